@@ -0,0 +1,256 @@
+/**
+ * Knowledge Engine - Entity Aliases
+ * Loads the user-maintained alias file and suggests likely aliases
+ *
+ * The alias file maps a canonical node ID to the IDs or labels it absorbs:
+ *   { "ticker:rklb": ["Rocket Lab", "organization:rocket_lab"],
+ *     "tool:pm2": ["topic:pm2"] }
+ * A bare label matches that label under every type.
+ *
+ * Usage: node aliases.js suggest [limit]   (reads the graph snapshot)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+
+// Owner recorded on aliases from the alias file (front matter aliases are owned by their source)
+const ALIAS_FILE_OWNER = '@aliases';
+
+/**
+ * Load the alias file
+ * @param {string} [filepath] - Alias file path (default: aliasFile from absalom.config.json)
+ * @returns {Object<string, Array<string>>} Canonical ID -> aliases
+ */
+function loadAliasFile(filepath = loadConfig().aliasFile) {
+  if (!filepath || !fs.existsSync(filepath)) return {};
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    const aliases = {};
+    for (const [canonical, list] of Object.entries(data)) {
+      aliases[canonical] = [].concat(list).filter(alias => typeof alias === 'string' && alias);
+    }
+    return aliases;
+  } catch (e) {
+    console.warn(`[Aliases] Failed to read ${filepath}:`, e.message);
+    return {};
+  }
+}
+
+/**
+ * Replace the graph's alias-file aliases
+ * @param {KnowledgeGraph} graph - Graph to update
+ * @param {Object<string, Array<string>>} aliases - From loadAliasFile()
+ * @returns {boolean} Whether the alias table changed
+ */
+function applyAliases(graph, aliases) {
+  const { aliasKey } = require('./graph');
+  const before = graph.getAliasSignature();
+
+  graph.removeAliases(ALIAS_FILE_OWNER);
+  for (const [canonical, list] of Object.entries(aliases)) {
+    const canonicalId = aliasKey(canonical);
+    if (canonicalId.startsWith('*:')) {
+      console.warn(`[Aliases] Canonical "${canonical}" needs a type prefix (e.g. "topic:${canonical}")`);
+      continue;
+    }
+    for (const alias of list) {
+      graph.addAlias(alias, canonicalId, ALIAS_FILE_OWNER);
+    }
+  }
+
+  return graph.getAliasSignature() !== before;
+}
+
+/**
+ * Reduce a label to lowercase letters and digits
+ */
+function compactLabel(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Sørensen–Dice similarity over character bigrams
+ * @returns {number} 0..1
+ */
+function diceSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const gram = a.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const gram = b.slice(i, i + 2);
+    const count = bigrams.get(gram);
+    if (count) {
+      bigrams.set(gram, count - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Check whether a ticker reads as an abbreviation of a name
+ * ("RKLB" of "Rocket Lab": same first letter, letters in order)
+ */
+function isAbbreviation(ticker, name) {
+  const letters = ticker.toLowerCase();
+  const words = compactLabel(name);
+  if (!letters || letters[0] !== words[0] || words.length <= letters.length) return false;
+
+  let i = 0;
+  for (const char of words) {
+    if (char === letters[i]) i++;
+  }
+  return i === letters.length;
+}
+
+/**
+ * Suggest alias pairs from string similarity. Nothing is applied; copy the
+ * ones you agree with into the alias file.
+ * @param {KnowledgeGraph} graph - Graph to scan
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.85] - Minimum similarity
+ * @param {number} [options.limit=50] - Maximum suggestions
+ * @returns {Array<{alias: string, canonical: string, score: number, reason: string}>}
+ */
+function suggestAliases(graph, options = {}) {
+  const minScore = options.minScore ?? 0.85;
+  const limit = options.limit ?? 50;
+  const nodes = graph.getNodes();
+  const suggestions = new Map();
+
+  const suggest = (a, b, score, reason) => {
+    if (score < minScore || a.id === b.id) return;
+    // The heavier node stays canonical
+    const [canonical, alias] = b.weight > a.weight || (b.weight === a.weight && b.id < a.id) ? [b, a] : [a, b];
+    const key = `${alias.id}→${canonical.id}`;
+    if (!suggestions.has(key) || suggestions.get(key).score < score) {
+      suggestions.set(key, { alias: alias.id, canonical: canonical.id, score: Math.round(score * 100) / 100, reason });
+    }
+  };
+
+  // Bucket by the first two letters so near-duplicates are compared without an O(n²) scan
+  const buckets = new Map();
+  for (const node of nodes) {
+    const compact = compactLabel(node.label);
+    if (compact.length < 2) continue;
+    const bucket = compact.slice(0, 2);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push({ node, compact });
+  }
+
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const a = bucket[i];
+        const b = bucket[j];
+        if (a.compact === b.compact) {
+          suggest(a.node, b.node, 1, a.node.type === b.node.type ? 'same label' : 'same label, different type');
+        } else {
+          suggest(a.node, b.node, diceSimilarity(a.compact, b.compact), 'similar label');
+        }
+      }
+    }
+  }
+
+  // Tickers abbreviating a multi-word name; likelier when they co-occur
+  const byInitial = new Map();
+  for (const node of nodes) {
+    if (node.type === 'ticker' || !/\s/.test(node.label.trim())) continue;
+    const initial = compactLabel(node.label)[0];
+    if (!byInitial.has(initial)) byInitial.set(initial, []);
+    byInitial.get(initial).push(node);
+  }
+  for (const node of nodes) {
+    if (node.type !== 'ticker') continue;
+    const neighbors = new Set(graph.getNeighbors(node.id).map(n => n.id));
+    for (const name of byInitial.get(node.label[0].toLowerCase()) || []) {
+      if (isAbbreviation(node.label, name.label)) {
+        suggest(node, name, neighbors.has(name.id) ? 0.95 : 0.85, 'ticker abbreviation');
+      }
+    }
+  }
+
+  return [...suggestions.values()]
+    .sort((a, b) => b.score - a.score || a.alias.localeCompare(b.alias))
+    .slice(0, limit);
+}
+
+// Exports
+module.exports = {
+  ALIAS_FILE_OWNER,
+  loadAliasFile,
+  applyAliases,
+  suggestAliases,
+  diceSimilarity,
+  isAbbreviation
+};
+
+// ============================================================
+// Standalone test / suggestion CLI
+// ============================================================
+if (require.main === module) {
+  const { buildGraph } = require('./graph');
+
+  if (process.argv[2] === 'suggest') {
+    const { loadSnapshot, SNAPSHOT_PATH } = require('./snapshot');
+    const graph = loadSnapshot();
+    if (!graph) {
+      console.error(`No snapshot at ${SNAPSHOT_PATH}; start the engine first.`);
+      process.exit(1);
+    }
+    const suggestions = suggestAliases(graph, { limit: parseInt(process.argv[3]) || 50 });
+    for (const s of suggestions) {
+      console.log(`${s.score.toFixed(2)}  ${s.alias} → ${s.canonical}  (${s.reason})`);
+    }
+    console.log(`\n${suggestions.length} suggestions. Add accepted ones to ${loadConfig().aliasFile}`);
+    return;
+  }
+
+  const os = require('os');
+
+  console.log('=== Knowledge Engine Aliases Test ===\n');
+
+  console.log('--- Similarity ---');
+  console.log(`  dice(copilotmoney, copilotmoneyapp): ${diceSimilarity('copilotmoney', 'copilotmoneyapp').toFixed(2)}`);
+  console.log(`  RKLB abbreviates "Rocket Lab": ${isAbbreviation('RKLB', 'Rocket Lab')}`);
+  console.log(`  NVDA abbreviates "Rocket Lab": ${isAbbreviation('NVDA', 'Rocket Lab')}`);
+
+  const graph = buildGraph(`
+## Rocket Lab
+
+RKLB up 8% after the launch. Anton restarted \`pm2\` and \`copilot-money\`.
+
+## Copilot Money
+
+Anton checked the budget.
+`, 'MEMORY.md');
+
+  console.log('\n--- Suggestions ---');
+  for (const s of suggestAliases(graph)) {
+    console.log(`  ${s.score.toFixed(2)}  ${s.alias} → ${s.canonical}  (${s.reason})`);
+  }
+
+  console.log('\n--- Alias file ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-aliases-'));
+  const aliasPath = path.join(tmpDir, 'aliases.json');
+  fs.writeFileSync(aliasPath, JSON.stringify({
+    'ticker:rklb': ['Rocket Lab'],
+    'tool:copilot-money': ['header:copilot_money'],
+    'person:anton': ['topic:anton']
+  }));
+  console.log(`  Changed: ${applyAliases(graph, loadAliasFile(aliasPath))}`);
+  console.log(`  Nodes: ${graph.getNodes().map(n => n.id).join(', ')}`);
+  console.log(`  Reapplied unchanged: ${applyAliases(graph, loadAliasFile(aliasPath))}`);
+  console.log(`  Cleared: ${applyAliases(graph, {})}, aliases left: ${graph.aliases.size}`);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n=== Test Complete ===');
+}
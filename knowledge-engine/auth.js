@@ -0,0 +1,167 @@
+/**
+ * Knowledge Engine - API Authentication
+ * Token-based read/write scopes for the HTTP and WebSocket API
+ *
+ * Tokens come from auth.json ({ "readToken", "writeToken" }) or the
+ * ABSALOM_READ_TOKEN / ABSALOM_WRITE_TOKEN env vars (env wins).
+ * Read with no token configured is open. Write with no token configured is
+ * only allowed from loopback (not through a tunnel or proxy); the write token
+ * also grants read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTH_FILE = process.env.ABSALOM_AUTH_FILE || path.join(__dirname, 'auth.json');
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+// Set by tunnels and reverse proxies, which connect from loopback themselves
+const FORWARDING_HEADERS = ['x-forwarded-for', 'forwarded', 'cf-connecting-ip', 'x-real-ip'];
+
+/**
+ * Load token configuration from file and environment
+ * @param {string} [filepath] - Auth config path
+ * @returns {{readToken: string|null, writeToken: string|null}}
+ */
+function loadAuthConfig(filepath = AUTH_FILE) {
+  let fileConfig = {};
+  if (fs.existsSync(filepath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (e) {
+      console.warn(`[Auth] Failed to read ${filepath}:`, e.message);
+    }
+  }
+
+  return {
+    readToken: process.env.ABSALOM_READ_TOKEN || fileConfig.readToken || null,
+    writeToken: process.env.ABSALOM_WRITE_TOKEN || fileConfig.writeToken || null
+  };
+}
+
+/**
+ * Constant-time token comparison
+ * @param {string} a - Presented token
+ * @param {string} b - Expected token
+ * @returns {boolean}
+ */
+function tokensEqual(a, b) {
+  if (!a || !b) return false;
+  // Hash first so lengths match for timingSafeEqual
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Extract a token from an HTTP/WebSocket upgrade request.
+ * Accepts `Authorization: Bearer <token>`, `X-Absalom-Token` or `?token=`.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  if (req.headers && req.headers['x-absalom-token']) {
+    return req.headers['x-absalom-token'];
+  }
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a request comes straight from this machine. Requests relayed by a
+ * local tunnel or proxy (cloudflared, nginx) carry forwarding headers and
+ * don't count.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+  const address = req.socket && req.socket.remoteAddress;
+  if (!LOOPBACK_ADDRESSES.has(address)) return false;
+  return !FORWARDING_HEADERS.some(header => req.headers && req.headers[header]);
+}
+
+/**
+ * Create an authorizer for a token configuration
+ * @param {{readToken: string|null, writeToken: string|null}} config - Tokens
+ * @returns {Object} { enabled, scopesFor, allows }
+ */
+function createAuth(config = {}) {
+  const readToken = config.readToken || null;
+  const writeToken = config.writeToken || null;
+
+  /**
+   * Get the scopes a token grants
+   * @param {string|null} token
+   * @param {boolean} [local=false] - Request is from loopback (see isLocalRequest)
+   * @returns {Set<string>}
+   */
+  function scopesFor(token, local = false) {
+    const scopes = new Set();
+    const isWriter = tokensEqual(token, writeToken);
+    if (isWriter || (!writeToken && local)) scopes.add('write');
+    if (!readToken || isWriter || tokensEqual(token, readToken)) scopes.add('read');
+    return scopes;
+  }
+
+  return {
+    enabled: { read: Boolean(readToken), write: Boolean(writeToken) },
+    scopesFor,
+    allows: (token, scope, local = false) => scope === 'public' || scopesFor(token, local).has(scope)
+  };
+}
+
+// Exports
+module.exports = {
+  AUTH_FILE,
+  loadAuthConfig,
+  createAuth,
+  getRequestToken,
+  isLocalRequest,
+  tokensEqual
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  console.log('=== Knowledge Engine Auth Test ===\n');
+
+  console.log('--- No tokens configured ---');
+  const open = createAuth({});
+  console.log(`  Anonymous read: ${open.allows(null, 'read')}, write: ${open.allows(null, 'write')}`);
+  console.log(`  Loopback write: ${open.allows(null, 'write', true)}`);
+
+  console.log('\n--- Write token only ---');
+  const writeOnly = createAuth({ writeToken: 'w-secret' });
+  console.log(`  Anonymous read: ${writeOnly.allows(null, 'read')}, write: ${writeOnly.allows(null, 'write')}`);
+  console.log(`  Wrong token write: ${writeOnly.allows('nope', 'write')}`);
+  console.log(`  Write token write: ${writeOnly.allows('w-secret', 'write')}`);
+
+  console.log('\n--- Read and write tokens ---');
+  const both = createAuth({ readToken: 'r-secret', writeToken: 'w-secret' });
+  console.log(`  Anonymous read: ${both.allows(null, 'read')}, public: ${both.allows(null, 'public')}`);
+  console.log(`  Read token read: ${both.allows('r-secret', 'read')}, write: ${both.allows('r-secret', 'write')}`);
+  console.log(`  Write token read: ${both.allows('w-secret', 'read')}, write: ${both.allows('w-secret', 'write')}`);
+
+  console.log('\n--- Request token extraction ---');
+  console.log(`  Bearer: ${getRequestToken({ headers: { authorization: 'Bearer abc' }, url: '/' })}`);
+  console.log(`  Header: ${getRequestToken({ headers: { 'x-absalom-token': 'def' }, url: '/' })}`);
+  console.log(`  Query:  ${getRequestToken({ headers: {}, url: '/?token=ghi' })}`);
+  console.log(`  None:   ${getRequestToken({ headers: {}, url: '/state' })}`);
+
+  console.log('\n--- Loopback detection ---');
+  console.log(`  127.0.0.1: ${isLocalRequest({ socket: { remoteAddress: '127.0.0.1' }, headers: {} })}`);
+  console.log(`  ::1: ${isLocalRequest({ socket: { remoteAddress: '::1' }, headers: {} })}`);
+  console.log(`  LAN: ${isLocalRequest({ socket: { remoteAddress: '192.168.1.20' }, headers: {} })}`);
+  console.log(`  Tunnel: ${isLocalRequest({ socket: { remoteAddress: '127.0.0.1' }, headers: { 'cf-connecting-ip': '203.0.113.9' } })}`);
+
+  console.log('\n=== Test Complete ===');
+}
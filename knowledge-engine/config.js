@@ -0,0 +1,360 @@
+/**
+ * Knowledge Engine - Configuration
+ * Loads absalom.config.json: which workspace files are ingested, how much
+ * each source counts, and how fast each entity type decays.
+ *
+ * Every module that lists, weights or decays sources reads from here,
+ * so the tables can't drift apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.ABSALOM_CONFIG || path.join(__dirname, 'absalom.config.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Used for anything the config file leaves out
+const DEFAULT_CONFIG = {
+  // Workspace-relative files or globs ('*' within a segment, '**' across segments)
+  sources: [
+    'MEMORY.md',
+    'MEMORY_EXTENDED.md',
+    'SOUL.md',
+    'USER.md',
+    'AGENTS.md',
+    'TOOLS.md',
+    'memory/*.md'
+  ],
+
+  // Globs excluded even when they match a source
+  ignore: [],
+
+  // Modules exporting extra entity extractors (see registerExtractor in extractor.js),
+  // relative to this config file
+  extractors: [],
+
+  // Alias file mapping canonical node IDs to the IDs/labels they absorb,
+  // relative to this config file
+  aliasFile: 'aliases.json',
+
+  // How co-occurrence edges are weighted and filtered (see scoring.js)
+  edgeScoring: {
+    method: 'pmi',     // count | pmi | jaccard
+    backbone: true,    // Keep only edges significant for an endpoint
+    alpha: 0.05        // Disparity filter significance level
+  },
+
+  // Community detection (see detectCommunities in graph.js). Seeds pin
+  // clusters to named districts: { key: { name, members, color, position } },
+  // members being node IDs, 'type:*' or labels.
+  communities: {
+    resolution: 1,       // Higher gives more, smaller communities
+    minSize: 2,          // Smaller clusters are gathered into 'unclustered'
+    minSeedShare: 0.25,  // Share of a cluster's weight that must match a seed
+    seeds: {}
+  },
+
+  // Blend behind a node's combined importance (see computeImportance in graph.js),
+  // which is then scaled by decay and source weight
+  importance: {
+    pagerank: 0.4,     // Referenced by other important nodes
+    betweenness: 0.2,  // Bridges between clusters
+    degree: 0.2,       // Distinct neighbors
+    weight: 0.2        // Mentions (log-scaled)
+  },
+
+  // Optional similar_to edges between entities whose surrounding paragraphs
+  // look alike (TF-IDF cosine, see similarity.js); off unless enabled
+  similarity: {
+    enabled: false,
+    threshold: 0.3,    // Minimum cosine similarity
+    maxPerNode: 3,     // Strongest similar entities kept per node
+    minMentions: 2,    // Paragraphs an entity needs to get a context vector
+    terms: 50          // Strongest terms kept per context vector
+  },
+
+  // Compressed graph snapshots for time-travel queries (see SnapshotHistory
+  // in snapshot.js): one per interval while the graph changes, thinned to
+  // everything recent, then one per day, then one per week
+  history: {
+    enabled: true,
+    intervalMinutes: 60,
+    keepAllHours: 24,
+    keepDailyDays: 30,
+    keepWeeklyWeeks: 12
+  },
+
+  // First match wins: a file name, a directory prefix ending in '/', or a glob
+  sourceWeights: {
+    'SOUL.md': 5.0,             // Core identity, always bright
+    'MEMORY.md': 3.0,           // Long-term memory, prominent
+    'MEMORY_EXTENDED.md': 2.0,  // Extended reference, moderate weight
+    'USER.md': 3.0,             // User info, prominent
+    'AGENTS.md': 2.0,           // Operating instructions
+    'TOOLS.md': 2.0,            // Tool configuration
+    'memory/': 1.0              // Daily notes, standard decay
+  },
+
+  // Half-lives in days, by node type
+  halfLives: {
+    topic: 30,
+    person: 60,        // People remembered longer
+    organization: 45,
+    ticker: 7,         // Market data stales fast
+    tool: 90,          // Skills persist
+    url: 14,           // Links go stale
+    header: 30,
+    decision: 60,      // Decisions are important
+    default: 30
+  }
+};
+
+/**
+ * Convert a glob to a RegExp matching workspace-relative paths
+ * @param {string} glob - e.g. 'memory/*.md', 'notes/**\/*.md'
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more directories
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check whether a pattern contains glob characters
+ */
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Match a source path against a weight/ignore pattern
+ * @param {string} pattern - File name, 'dir/' prefix or glob
+ * @param {string} source - Workspace-relative (or absolute) path
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, source) {
+  if (!source) return false;
+  if (isGlob(pattern)) {
+    return globToRegExp(pattern).test(source) || globToRegExp(`**/${pattern}`).test(source);
+  }
+  if (pattern.endsWith('/')) {
+    return source.startsWith(pattern) || source.includes(`/${pattern}`);
+  }
+  return source === pattern || source.endsWith(`/${pattern}`);
+}
+
+/**
+ * Load the config file merged over the defaults
+ * @param {string} [filepath] - Config path
+ * @returns {Object} { sources, ignore, extractors, aliasFile, edgeScoring, communities, importance, sourceWeights, halfLives }
+ */
+function loadConfig(filepath = CONFIG_PATH) {
+  let fileConfig = {};
+  if (fs.existsSync(filepath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (e) {
+      console.warn(`[Config] Failed to read ${filepath}:`, e.message);
+    }
+  }
+
+  return {
+    sources: fileConfig.sources || DEFAULT_CONFIG.sources,
+    ignore: fileConfig.ignore || DEFAULT_CONFIG.ignore,
+    extractors: (fileConfig.extractors || DEFAULT_CONFIG.extractors)
+      .map(modulePath => path.resolve(path.dirname(filepath), modulePath)),
+    aliasFile: path.resolve(path.dirname(filepath), fileConfig.aliasFile || DEFAULT_CONFIG.aliasFile),
+    edgeScoring: { ...DEFAULT_CONFIG.edgeScoring, ...fileConfig.edgeScoring },
+    communities: { ...DEFAULT_CONFIG.communities, ...fileConfig.communities },
+    importance: { ...DEFAULT_CONFIG.importance, ...fileConfig.importance },
+    similarity: { ...DEFAULT_CONFIG.similarity, ...fileConfig.similarity },
+    history: { ...DEFAULT_CONFIG.history, ...fileConfig.history },
+    // Weight order matters, so a file's table replaces the default outright
+    sourceWeights: fileConfig.sourceWeights || DEFAULT_CONFIG.sourceWeights,
+    halfLives: { ...DEFAULT_CONFIG.halfLives, ...fileConfig.halfLives }
+  };
+}
+
+/**
+ * Create source helpers for a config
+ * @param {Object} [config] - Loaded config (default: loadConfig())
+ * @returns {Object} { config, halfLives, isSource, isIgnored, getSourceWeight, getHalfLife, listSources, getWatchRoots }
+ */
+function createSources(config = loadConfig()) {
+  const sourceMatchers = config.sources.map(source => isGlob(source) ? globToRegExp(source) : source);
+  const halfLives = {};
+  for (const [type, days] of Object.entries(config.halfLives)) {
+    halfLives[type] = days * DAY;
+  }
+
+  function isIgnored(relativePath) {
+    return config.ignore.some(pattern => matchesPattern(pattern, relativePath));
+  }
+
+  /**
+   * Whether a workspace-relative path is ingested
+   */
+  function isSource(relativePath) {
+    if (isIgnored(relativePath)) return false;
+    return sourceMatchers.some(matcher =>
+      typeof matcher === 'string' ? matcher === relativePath : matcher.test(relativePath)
+    );
+  }
+
+  function getSourceWeight(source) {
+    for (const [pattern, weight] of Object.entries(config.sourceWeights)) {
+      if (matchesPattern(pattern, source)) return weight;
+    }
+    return 1.0;
+  }
+
+  function getHalfLife(type) {
+    return halfLives[type] || halfLives.default;
+  }
+
+  /**
+   * Directories (or files) to watch: each glob's fixed leading directory
+   * @param {string} workspace - Workspace root
+   * @returns {Array<string>} Absolute paths
+   */
+  function getWatchRoots(workspace) {
+    const roots = new Set();
+    for (const source of config.sources) {
+      if (!isGlob(source)) {
+        roots.add(path.join(workspace, source));
+        continue;
+      }
+      const fixed = [];
+      for (const segment of source.split('/')) {
+        if (isGlob(segment)) break;
+        fixed.push(segment);
+      }
+      roots.add(path.join(workspace, ...fixed));
+    }
+    return [...roots];
+  }
+
+  /**
+   * List all existing source files in a workspace
+   * @param {string} workspace - Workspace root
+   * @returns {Array<string>} Workspace-relative paths, in config order
+   */
+  function listSources(workspace) {
+    const found = new Set();
+
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (e) {
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(workspace, fullPath).split(path.sep).join('/');
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (isSource(relativePath)) {
+          found.add(relativePath);
+        }
+      }
+    };
+
+    for (const root of getWatchRoots(workspace)) {
+      if (!fs.existsSync(root)) continue;
+      if (fs.statSync(root).isDirectory()) {
+        walk(root);
+      } else {
+        const relativePath = path.relative(workspace, root).split(path.sep).join('/');
+        if (isSource(relativePath)) found.add(relativePath);
+      }
+    }
+
+    return [...found];
+  }
+
+  return { config, halfLives, isSource, isIgnored, getSourceWeight, getHalfLife, listSources, getWatchRoots };
+}
+
+// Exports
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadConfig,
+  createSources,
+  globToRegExp,
+  matchesPattern
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const os = require('os');
+
+  console.log('=== Knowledge Engine Config Test ===\n');
+
+  console.log('--- Globs ---');
+  const globs = [
+    ['memory/*.md', 'memory/2026-01-05.md'],
+    ['memory/*.md', 'memory/archive/2025-01-01.md'],
+    ['notes/**/*.md', 'notes/a/b/c.md'],
+    ['notes/**/*.md', 'notes/c.md'],
+    ['*.draft.md', 'memory/idea.draft.md']
+  ];
+  for (const [glob, file] of globs) {
+    console.log(`  ${glob} ~ ${file}: ${matchesPattern(glob, file)}`);
+  }
+
+  console.log('\n--- Default config ---');
+  const defaults = createSources(loadConfig(path.join(os.tmpdir(), 'no-such-config.json')));
+  console.log(`  Sources: ${defaults.config.sources.join(', ')}`);
+  console.log(`  SOUL.md weight: ${defaults.getSourceWeight('SOUL.md')}x`);
+  console.log(`  memory/2026-01-05.md weight: ${defaults.getSourceWeight('memory/2026-01-05.md')}x`);
+  console.log(`  Ticker half-life: ${defaults.getHalfLife('ticker') / DAY} days`);
+
+  console.log('\n--- Custom config in a temp workspace ---');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-config-'));
+  const configPath = path.join(tmpDir, 'absalom.config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sources: ['MEMORY.md', 'memory/*.md', 'projects/**/*.md'],
+    ignore: ['*.draft.md'],
+    sourceWeights: { 'MEMORY.md': 3.0, 'projects/': 2.5, 'memory/': 1.0 },
+    halfLives: { ticker: 3 }
+  }));
+  for (const file of ['MEMORY.md', 'SOUL.md', 'memory/2026-01-05.md', 'memory/idea.draft.md',
+    'projects/README.md', 'projects/city/plan.md', 'projects/city/notes.txt']) {
+    fs.mkdirSync(path.join(tmpDir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, file), '# test\n');
+  }
+
+  const custom = createSources(loadConfig(configPath));
+  console.log(`  Listed: ${custom.listSources(tmpDir).sort().join(', ')}`);
+  console.log(`  Watch roots: ${custom.getWatchRoots(tmpDir).map(p => path.relative(tmpDir, p)).join(', ')}`);
+  console.log(`  projects/city/plan.md weight: ${custom.getSourceWeight('projects/city/plan.md')}x`);
+  console.log(`  Ticker half-life: ${custom.getHalfLife('ticker') / DAY} days, person: ${custom.getHalfLife('person') / DAY} days`);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n=== Test Complete ===');
+}
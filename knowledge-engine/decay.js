@@ -4,29 +4,16 @@
  * Also handles source weighting for different file types
  */
 
-// Half-lives in milliseconds (from spec)
-const HALF_LIVES = {
-  topic: 30 * 24 * 60 * 60 * 1000,        // 30 days
-  person: 60 * 24 * 60 * 60 * 1000,       // 60 days - people remembered longer
-  organization: 45 * 24 * 60 * 60 * 1000, // 45 days
-  ticker: 7 * 24 * 60 * 60 * 1000,        // 7 days - market data stales fast
-  tool: 90 * 24 * 60 * 60 * 1000,         // 90 days - skills persist
-  url: 14 * 24 * 60 * 60 * 1000,          // 14 days - links go stale
-  header: 30 * 24 * 60 * 60 * 1000,       // 30 days
-  decision: 60 * 24 * 60 * 60 * 1000,     // 60 days - decisions are important
-  default: 30 * 24 * 60 * 60 * 1000       // 30 days fallback
-};
+const { createSources, loadConfig } = require('./config');
+const { getExtractor } = require('./extractor');
 
-// Source file weights (from spec)
-const SOURCE_WEIGHTS = {
-  'SOUL.md': 5.0,      // Core identity, always bright
-  'MEMORY.md': 3.0,    // Long-term memory, prominent
-  'MEMORY_EXTENDED.md': 2.0,  // Extended reference, moderate weight
-  'USER.md': 3.0,      // User info, prominent
-  'AGENTS.md': 2.0,    // Operating instructions
-  'TOOLS.md': 2.0,     // Tool configuration
-  'memory/': 1.0,      // Daily notes, standard decay
-};
+const DAY = 24 * 60 * 60 * 1000;
+
+// Half-lives (ms) and source weights come from absalom.config.json;
+// types it doesn't list use their extractor's halfLife (days)
+const sourceConfig = createSources();
+const HALF_LIVES = sourceConfig.halfLives;
+const SOURCE_WEIGHTS = sourceConfig.config.sourceWeights;
 
 /**
  * Get half-life for a node type
@@ -34,6 +21,12 @@ const SOURCE_WEIGHTS = {
  * @returns {number} Half-life in milliseconds
  */
 function getHalfLife(type) {
+  if (!HALF_LIVES[type]) {
+    const extractor = getExtractor(type);
+    if (extractor && extractor.halfLife) {
+      HALF_LIVES[type] = extractor.halfLife * DAY;
+    }
+  }
   return HALF_LIVES[type] || HALF_LIVES.default;
 }
 
@@ -43,15 +36,7 @@ function getHalfLife(type) {
  * @returns {number} Weight multiplier
  */
 function getSourceWeight(filepath) {
-  if (!filepath) return 1.0;
-  
-  // Check patterns in order of specificity
-  for (const [pattern, weight] of Object.entries(SOURCE_WEIGHTS)) {
-    if (filepath.includes(pattern)) {
-      return weight;
-    }
-  }
-  return 1.0;
+  return sourceConfig.getSourceWeight(filepath);
 }
 
 /**
@@ -218,30 +203,30 @@ function groupByDecay(nodes) {
  * @returns {Object} Decay functions with custom config
  */
 function createDecayConfig(customHalfLives = {}, customSourceWeights = {}) {
-  const halfLives = { ...HALF_LIVES, ...customHalfLives };
-  const sourceWeights = { ...SOURCE_WEIGHTS, ...customSourceWeights };
+  const config = loadConfig();
+  // Custom half-lives are in ms like HALF_LIVES; the config stores days
+  const days = {};
+  for (const [type, ms] of Object.entries(customHalfLives)) {
+    days[type] = ms / DAY;
+  }
+  const custom = createSources({
+    ...config,
+    halfLives: { ...config.halfLives, ...days },
+    // Custom patterns are checked first and their weights win over the config's
+    sourceWeights: { ...customSourceWeights, ...config.sourceWeights, ...customSourceWeights }
+  });
   
   return {
-    getHalfLife: (type) => halfLives[type] || halfLives.default,
-    getSourceWeight: (filepath) => {
-      for (const [pattern, weight] of Object.entries(sourceWeights)) {
-        if (filepath && filepath.includes(pattern)) return weight;
-      }
-      return 1.0;
-    },
+    getHalfLife: (type) => custom.halfLives[type] || getHalfLife(type),
+    getSourceWeight: (filepath) => custom.getSourceWeight(filepath),
     applyDecay: (node, now = Date.now()) => {
-      const hl = halfLives[node.type] || halfLives.default;
       const age = now - node.lastSeen;
-      const decayFactor = calculateDecayFactor(age, hl);
+      const decayFactor = calculateDecayFactor(age, custom.halfLives[node.type] || getHalfLife(node.type));
       
       let sourceBonus = 1.0;
       const sources = Array.isArray(node.sources) ? node.sources : [...(node.sources || [])];
       for (const source of sources) {
-        for (const [pattern, weight] of Object.entries(sourceWeights)) {
-          if (source && source.includes(pattern)) {
-            sourceBonus = Math.max(sourceBonus, weight);
-          }
-        }
+        sourceBonus = Math.max(sourceBonus, custom.getSourceWeight(source));
       }
       
       return {
@@ -277,6 +262,7 @@ module.exports = {
 // Standalone test
 // ============================================================
 if (require.main === module) {
+  const assert = require('assert');
   console.log('=== Knowledge Engine Decay Test ===\n');
 
   const DAY = 24 * 60 * 60 * 1000;
@@ -390,5 +376,11 @@ if (require.main === module) {
   console.log(`  Custom ticker half-life: ${customDecay.getHalfLife('ticker') / DAY} days`);
   console.log(`  Custom PROJECT.md weight: ${customDecay.getSourceWeight('PROJECT.md')}x`);
 
+  // Custom weights override the config's for the same pattern
+  const overridden = createDecayConfig({}, { 'SOUL.md': 10, 'memory/': 4 });
+  assert.strictEqual(overridden.getSourceWeight('SOUL.md'), 10);
+  assert.strictEqual(overridden.getSourceWeight('memory/2026-01-20.md'), 4);
+  console.log(`  Custom SOUL.md weight: ${overridden.getSourceWeight('SOUL.md')}x, memory/: ${overridden.getSourceWeight('memory/2026-01-20.md')}x`);
+
   console.log('\n=== Test Complete ===');
 }
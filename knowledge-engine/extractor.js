@@ -3,7 +3,9 @@
  * Extracts entities from markdown files using compromise NLP and regex patterns
  */
 
+const path = require('path');
 const nlp = require('compromise');
+const { loadConfig } = require('./config');
 
 // Common words that look like tickers but aren't
 const TICKER_BLACKLIST = new Set([
@@ -27,6 +29,84 @@ const DECISION_PATTERNS = [
   /settled\s+on\s+(.{10,60})/gi,
 ];
 
+// ISO dates in daily note filenames and section headers
+const DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})\b/;
+
+// [[Page]], [[Page|text]], [[Page#Section]]; a leading '!' marks an embed
+const WIKI_LINK = /(!?)\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]+))?\]\]/g;
+// [text](href "title"); a leading '!' marks an image
+const MARKDOWN_LINK = /(!?)\[([^\]]*)\]\(<?([^)\s>]+)>?(?:\s+"[^"]*")?\)/g;
+
+/**
+ * Parse the first YYYY-MM-DD date in a string
+ * @param {string} str - Text that may contain a date
+ * @returns {number|null} UTC midnight timestamp, or null if no valid date
+ */
+function parseDate(str) {
+  const match = str && str.match(DATE_PATTERN);
+  if (!match) return null;
+  
+  const [year, month, day] = match.slice(1).map(Number);
+  const timestamp = Date.UTC(year, month - 1, day);
+  // Reject rollovers like 2026-02-31
+  if (new Date(timestamp).getUTCDate() !== day) return null;
+  return timestamp;
+}
+
+/**
+ * Get the date a source file was written, from its filename (memory/YYYY-MM-DD.md)
+ * @param {string} source - Source file path
+ * @returns {number|null} Timestamp, or null for undated files
+ */
+function getSourceDate(source) {
+  return source ? parseDate(path.basename(source)) : null;
+}
+
+/**
+ * Parse a scalar or inline list from front matter
+ */
+function parseFrontMatterValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(parseFrontMatterValue).filter(v => v !== '');
+  }
+  return value.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Split YAML front matter from markdown. Handles the flat subset notes use:
+ * `key: value`, `key: [a, b]` and `key:` followed by `- item` lines.
+ * The front matter is blanked out of the body so line numbers still match.
+ * @param {string} markdown - Raw markdown
+ * @returns {{data: Object, body: string}}
+ */
+function parseFrontMatter(markdown) {
+  const match = markdown && markdown.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: markdown };
+
+  const data = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseFrontMatterValue(item[1]));
+      continue;
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) continue;
+    if (pair[2].trim() === '') {
+      listKey = pair[1];
+      data[listKey] = [];
+    } else {
+      listKey = null;
+      data[pair[1]] = parseFrontMatterValue(pair[2]);
+    }
+  }
+
+  const lineCount = match[0].split('\n').length - 1;
+  return { data, body: '\n'.repeat(lineCount) + markdown.slice(match[0].length) };
+}
+
 /**
  * Check if a string is likely a stock ticker
  * @param {string} str - Potential ticker
@@ -40,100 +120,249 @@ function isTicker(str) {
   return true;
 }
 
-/**
- * Extract entities from markdown content
- * @param {string} markdown - Raw markdown content
- * @param {string} source - Source file path
- * @returns {Object} Extracted entities with metadata
- */
-function extractEntities(markdown, source) {
-  if (!markdown || typeof markdown !== 'string') {
-    return createEmptyResult(source);
-  }
-
-  // Strip markdown before NLP to reduce noise
-  const cleanedMarkdown = markdown
+// Strip markdown before NLP to reduce noise
+function cleanMarkdown(markdown) {
+  return markdown
     .replace(/^#{1,6}\s+/gm, '')           // Remove header markers
     .replace(/```[\s\S]*?```/g, '')        // Remove code blocks
     .replace(/`[^`]+`/g, '')               // Remove inline code
+    .replace(WIKI_LINK, (m, embed, page, text) => text || page) // Wiki-links to text
     .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Convert links to text
     .replace(/^\s*[-*+]\s+/gm, '')         // Remove list markers
     .replace(/^\s*\d+\.\s+/gm, '')         // Remove numbered list markers
     .replace(/\*\*([^*]+)\*\*/g, '$1')     // Remove bold
     .replace(/\*([^*]+)\*/g, '$1')         // Remove italic
     .replace(/[|:─┌┐└┘├┤┬┴┼]+/g, ' ');    // Remove table chars
-  
-  const doc = nlp(cleanedMarkdown);
-  
-  // Helper to clean NLP output
-  const cleanEntity = (arr) => arr
+}
+
+// Helper to clean NLP output
+function cleanEntity(arr) {
+  return arr
     .map(t => t.trim())
     .filter(t => t.length > 2)                    // Min 3 chars
     .filter(t => !/^[#\-*`(\[<>@$%]/.test(t))    // No special char starts
     .filter(t => !/[`\[\](){}<>]/.test(t))       // No brackets/parens
     .filter(t => !/^(the|a|an|is|are|was|were|be|been|being)$/i.test(t)); // No articles
-  
-  // NLP extraction
-  const topics = cleanEntity(doc.topics().out('array'));
-  const people = cleanEntity(doc.people().out('array'));
-  const organizations = cleanEntity(doc.organizations().out('array'));
-
-  // Regex extraction - Tickers (2-5 uppercase, word boundary)
-  const tickerMatches = markdown.match(/\b[A-Z]{2,5}\b/g) || [];
-  const tickers = [...new Set(tickerMatches.filter(isTicker))];
-
-  // Regex extraction - Tools (backticked content)
-  const toolMatches = markdown.match(/`([^`\n]+)`/g) || [];
-  const tools = [...new Set(
-    toolMatches
-      .map(t => t.slice(1, -1).trim())
-      .filter(t => t.length > 0 && t.length < 50 && !t.includes(' '))
-  )];
-
-  // Regex extraction - URLs
-  const urlMatches = markdown.match(/https?:\/\/[^\s\)>\]]+/g) || [];
-  const urls = [...new Set(urlMatches.map(u => u.replace(/[.,;:]+$/, '')))];
-
-  // Structure extraction - Headers
-  const headerMatches = markdown.match(/^#{1,3}\s+(.+)$/gm) || [];
-  const headers = headerMatches
-    .map(h => h.replace(/^#+\s+/, '').trim())
-    .filter(h => h.length > 0);
-
-  // Structure extraction - Decisions (checkbox items and keywords)
-  const decisions = [];
-  
-  // Completed checkbox items (decisions made)
-  const checkboxMatches = markdown.match(/- \[x\]\s*(.+)/gi) || [];
-  for (const match of checkboxMatches) {
-    const decision = match.replace(/- \[x\]\s*/i, '').trim();
-    if (decision.length > 5) {
-      decisions.push(decision);
-    }
+}
+
+// ============================================================
+// Extractor registry
+// ============================================================
+
+/**
+ * @typedef {Object} ExtractorPlugin
+ * @property {string} type - Node type, used in ids (`${type}:${normalize(label)}`)
+ * @property {string} [key] - Key in extractEntities results (default `${type}s`)
+ * @property {function(string, Object): Array<string>} extract - (markdown, context) => labels.
+ *   context has { source, cleaned (markdown stripped for NLP), doc (compromise doc) }
+ * @property {function(string): string} [normalize] - Label to id suffix (default normalize)
+ * @property {number} [halfLife] - Decay half-life in days, unless absalom.config.json sets one
+ * @property {string} [color] - Hex color for renderers
+ */
+
+const EXTRACTORS = new Map();
+
+/**
+ * Register an entity extractor (replaces any existing one for the type)
+ * @param {ExtractorPlugin} plugin
+ * @returns {ExtractorPlugin} The registered plugin, with defaults filled in
+ */
+function registerExtractor(plugin) {
+  if (!plugin || typeof plugin.type !== 'string' || !/^[a-z][\w-]*$/.test(plugin.type)) {
+    throw new Error(`Extractor needs a lowercase type, got ${plugin && plugin.type}`);
   }
-  
-  // Decision keywords
-  for (const pattern of DECISION_PATTERNS) {
-    let match;
-    pattern.lastIndex = 0; // Reset regex state
-    while ((match = pattern.exec(markdown)) !== null) {
-      const decision = match[1].trim().replace(/[.!?,;:]+$/, '');
-      if (decision.length > 5 && decision.length < 100) {
-        decisions.push(decision);
+  if (typeof plugin.extract !== 'function') {
+    throw new Error(`Extractor "${plugin.type}" needs an extract(markdown, context) function`);
+  }
+
+  const extractor = {
+    key: `${plugin.type}s`,
+    normalize,
+    ...plugin
+  };
+  EXTRACTORS.set(extractor.type, extractor);
+  return extractor;
+}
+
+/**
+ * Remove an extractor
+ * @param {string} type - Node type
+ * @returns {boolean} Whether it was registered
+ */
+function unregisterExtractor(type) {
+  return EXTRACTORS.delete(type);
+}
+
+/**
+ * Get an extractor by node type
+ * @param {string} type - Node type
+ * @returns {ExtractorPlugin|undefined}
+ */
+function getExtractor(type) {
+  return EXTRACTORS.get(type);
+}
+
+/**
+ * Get all registered extractors, in registration order
+ * @returns {Array<ExtractorPlugin>}
+ */
+function getExtractors() {
+  return [...EXTRACTORS.values()];
+}
+
+/**
+ * Describe registered node types for renderers
+ * @returns {Object} { [type]: { key, color } }
+ */
+function getNodeTypes() {
+  const types = {};
+  for (const extractor of EXTRACTORS.values()) {
+    types[extractor.type] = { key: extractor.key, color: extractor.color || null };
+  }
+  return types;
+}
+
+// Built-in extractors: compromise NLP for topics, people and organizations,
+// regexes and markdown structure for the rest
+const BUILTIN_EXTRACTORS = [
+  {
+    type: 'topic',
+    color: '#2dd4a8',
+    extract: (markdown, context) => [...new Set(cleanEntity(context.doc.topics().out('array')))]
+  },
+  {
+    type: 'person',
+    key: 'people',
+    color: '#fbbf24',
+    extract: (markdown, context) => [...new Set(cleanEntity(context.doc.people().out('array')))]
+  },
+  {
+    type: 'organization',
+    extract: (markdown, context) => [...new Set(cleanEntity(context.doc.organizations().out('array')))]
+  },
+  {
+    // Tickers (2-5 uppercase, word boundary)
+    type: 'ticker',
+    color: '#60a5fa',
+    extract: (markdown) => {
+      const tickerMatches = markdown.match(/\b[A-Z]{2,5}\b/g) || [];
+      return [...new Set(tickerMatches.filter(isTicker))];
+    }
+  },
+  {
+    // Tools (backticked content)
+    type: 'tool',
+    color: '#a78bfa',
+    extract: (markdown) => {
+      const toolMatches = markdown.match(/`([^`\n]+)`/g) || [];
+      return [...new Set(
+        toolMatches
+          .map(t => t.slice(1, -1).trim())
+          .filter(t => t.length > 0 && t.length < 50 && !t.includes(' '))
+      )];
+    }
+  },
+  {
+    type: 'url',
+    extract: (markdown) => {
+      const urlMatches = markdown.match(/https?:\/\/[^\s\)>\]]+/g) || [];
+      return [...new Set(urlMatches.map(u => u.replace(/[.,;:]+$/, '')))];
+    }
+  },
+  {
+    type: 'header',
+    color: '#94a3b8',
+    extract: (markdown) => {
+      const headerMatches = markdown.match(/^#{1,3}\s+(.+)$/gm) || [];
+      return headerMatches
+        .map(h => h.replace(/^#+\s+/, '').trim())
+        .filter(h => h.length > 0);
+    }
+  },
+  {
+    // Checkbox items and decision keywords
+    type: 'decision',
+    color: '#f472b6',
+    extract: (markdown) => {
+      const decisions = [];
+
+      // Completed checkbox items (decisions made)
+      const checkboxMatches = markdown.match(/- \[x\]\s*(.+)/gi) || [];
+      for (const match of checkboxMatches) {
+        const decision = match.replace(/- \[x\]\s*/i, '').trim();
+        if (decision.length > 5) {
+          decisions.push(decision);
+        }
       }
+
+      // Decision keywords
+      for (const pattern of DECISION_PATTERNS) {
+        let match;
+        pattern.lastIndex = 0; // Reset regex state
+        while ((match = pattern.exec(markdown)) !== null) {
+          const decision = match[1].trim().replace(/[.!?,;:]+$/, '');
+          if (decision.length > 5 && decision.length < 100) {
+            decisions.push(decision);
+          }
+        }
+      }
+
+      return [...new Set(decisions)];
+    }
+  }
+];
+
+BUILTIN_EXTRACTORS.forEach(registerExtractor);
+
+// Extra extractor modules listed in absalom.config.json ("extractors")
+for (const modulePath of loadConfig().extractors) {
+  try {
+    const exported = require(modulePath);
+    [].concat(exported).forEach(registerExtractor);
+  } catch (e) {
+    console.warn(`[Extractor] Failed to load ${modulePath}:`, e.message);
+  }
+}
+
+/**
+ * Extract entities from markdown content
+ * @param {string} markdown - Raw markdown content
+ * @param {string} source - Source file path
+ * @returns {Object} Extracted entities (one array per extractor key) with metadata
+ */
+function extractEntities(markdown, source) {
+  if (!markdown || typeof markdown !== 'string') {
+    return createEmptyResult(source);
+  }
+  markdown = parseFrontMatter(markdown).body;
+
+  // Cleaning and NLP run at most once, and only if an extractor asks
+  let cleaned = null;
+  let doc = null;
+  const context = {
+    source,
+    get cleaned() {
+      if (cleaned === null) cleaned = cleanMarkdown(markdown);
+      return cleaned;
+    },
+    get doc() {
+      if (doc === null) doc = nlp(this.cleaned);
+      return doc;
+    }
+  };
+
+  const result = {};
+  for (const extractor of EXTRACTORS.values()) {
+    try {
+      result[extractor.key] = extractor.extract(markdown, context) || [];
+    } catch (e) {
+      console.warn(`[Extractor] ${extractor.type} failed on ${source}:`, e.message);
+      result[extractor.key] = [];
     }
   }
 
   return {
-    // Entity types
-    topics: [...new Set(topics)],
-    people: [...new Set(people)],
-    organizations: [...new Set(organizations)],
-    tickers,
-    tools,
-    urls,
-    headers,
-    decisions: [...new Set(decisions)],
+    ...result,
     
     // Metadata
     source,
@@ -144,27 +373,262 @@ function extractEntities(markdown, source) {
 }
 
 /**
- * Extract entities from each paragraph separately (for co-occurrence)
+ * Get the page name a link points at ("notes/Rocket Lab.md" -> "Rocket Lab")
+ */
+function pageName(ref) {
+  return ref.trim().split('/').pop().replace(/\.md$/i, '').trim();
+}
+
+/**
+ * Extract explicit links: wiki-links to pages, markdown links to other
+ * notes (relative .md paths) or web pages. Links inside code are ignored,
+ * as are images and embeds.
+ * @param {string} markdown - Raw markdown content
+ * @returns {Array<{kind: 'wiki'|'markdown', target: string, text: string, type: string|null}>}
+ *   target is a page name, or the URL when type is 'url'
+ */
+function extractLinks(markdown) {
+  if (!markdown || typeof markdown !== 'string') return [];
+
+  const text = parseFrontMatter(markdown).body
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/`[^`]+`/g, '');
+  const links = [];
+
+  for (const [, embed, page, label] of text.matchAll(WIKI_LINK)) {
+    if (embed || !pageName(page)) continue;
+    links.push({ kind: 'wiki', target: pageName(page), text: (label || page).trim(), type: null });
+  }
+
+  for (const [, image, label, href] of text.matchAll(MARKDOWN_LINK)) {
+    if (image) continue;
+    if (/^https?:\/\//i.test(href)) {
+      links.push({ kind: 'markdown', target: href.replace(/[.,;:]+$/, ''), text: label.trim(), type: 'url' });
+    } else if (/\.md(#.*)?$/i.test(href)) {
+      let page = href.replace(/#.*$/, '');
+      try {
+        page = decodeURIComponent(page);
+      } catch (e) {
+        // Keep the raw path
+      }
+      links.push({ kind: 'markdown', target: pageName(page), text: label.trim(), type: null });
+    }
+  }
+
+  return links;
+}
+
+// Entity types that can take part in a relation (headers and decisions are phrases, not things)
+const RELATION_TYPES_EXCLUDED = new Set(['header', 'decision', 'url']);
+
+// Verbs too vague to label a relation
+const RELATION_VERB_BLACKLIST = new Set(['be', 'have', 'do', 'get', 'go', 'say', 'let', 'make', 'see']);
+
+/**
+ * Find where known entities are mentioned in a text. Overlapping mentions
+ * keep the longer label; on a tie, typed entities beat topics.
+ */
+function findMentions(text, entries) {
+  const mentions = [];
+  const lower = text.toLowerCase();
+
+  for (const entry of entries) {
+    if (RELATION_TYPES_EXCLUDED.has(entry.type)) continue;
+    const label = entry.label.toLowerCase();
+    if (!label) continue;
+    let from = 0;
+    let index;
+    while ((index = lower.indexOf(label, from)) !== -1) {
+      const before = lower[index - 1];
+      const after = lower[index + label.length];
+      if (!/[\w]/.test(before || '') && !/[\w]/.test(after || '')) {
+        mentions.push({ entry, start: index, end: index + label.length });
+      }
+      from = index + label.length;
+    }
+  }
+
+  mentions.sort((a, b) => (b.end - b.start) - (a.end - a.start) ||
+    (a.entry.type === 'topic') - (b.entry.type === 'topic'));
+  const kept = [];
+  for (const mention of mentions) {
+    if (!kept.some(k => mention.start < k.end && k.start < mention.end)) kept.push(mention);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Extract subject-verb-object relations between known entities, e.g.
+ * "Absalom uses \`pm2\`" -> Absalom -use-> pm2. The subject is the nearest
+ * entity before the verb in the same sentence, the object the nearest after
+ * it. A sentence with no subject ("Decided to deploy via Coolify") yields
+ * subject null, meaning the note itself.
+ * @param {string} markdown - Paragraph markdown
+ * @param {Object} entities - extractEntities() result for the same text
+ * @returns {Array<{subject: Object|null, relation: string, object: Object}>}
+ *   subject/object are node entries ({id, label, type}); relation is the verb lemma
+ */
+function extractRelations(markdown, entities) {
+  if (!markdown || typeof markdown !== 'string') return [];
+
+  const entries = getNodeEntries(entities);
+  if (entries.length === 0) return [];
+
+  // Keep inline code and link text readable, since tools live in backticks
+  const text = parseFrontMatter(markdown).body
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(WIKI_LINK, (m, embed, page, label) => label || page)
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\*\*([^*]+)\*\*/g, '$1');
+
+  const mentions = findMentions(text, entries);
+  if (mentions.length === 0) return [];
+
+  const relations = [];
+  const seen = new Set();
+  // Parse once; sentence views and their verbs carry offsets into `text`
+  const sentences = nlp(text).sentences();
+  sentences.json({ offset: true, terms: false }).forEach((sentence, index) => {
+    const start = sentence.offset.start;
+    const end = start + sentence.offset.length;
+    const inSentence = mentions.filter(m => m.start >= start && m.end <= end);
+    if (inSentence.length === 0) return;
+
+    const verbs = sentences.eq(index).verbs().json({ offset: true }).map(verb => ({
+      lemma: ((verb.verb && verb.verb.infinitive) || verb.text).toLowerCase().trim(),
+      start: verb.offset.start,
+      end: verb.offset.start + verb.offset.length
+    })).filter(verb => !inSentence.some(m => verb.start < m.end && m.start < verb.end)); // "coolify" is a tool, not a verb
+
+    verbs.forEach((verb, i) => {
+      if (!verb.lemma || /\s/.test(verb.lemma) || RELATION_VERB_BLACKLIST.has(verb.lemma)) return;
+
+      // Objects run until the next verb, skipping infinitive chains ("decided to deploy")
+      let next = i + 1;
+      while (next < verbs.length && /^\s*to\s*$/i.test(text.slice(verbs[next - 1].end, verbs[next].start))) next++;
+      const objectsEnd = next < verbs.length ? verbs[next].start : end;
+
+      const subject = [...inSentence].reverse().find(m => m.end <= verb.start);
+      const objects = inSentence.filter(m => m.start >= verb.end && m.end <= objectsEnd);
+
+      for (const object of objects) {
+        if (subject && subject.entry.id === object.entry.id) continue;
+        // One relation per entity pair per sentence: the first verb between them
+        const key = `${subject ? subject.entry.id : ''}|${object.entry.id}|${start}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        relations.push({ subject: subject ? subject.entry : null, relation: verb.lemma, object: object.entry });
+      }
+    });
+  });
+
+  return relations;
+}
+
+/**
+ * Count newlines in a string
+ */
+function countLines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+  return count;
+}
+
+/**
+ * Split markdown into paragraphs (blank lines, or a line break before an
+ * H1-H3 header) and note where each one sits in the file
+ * @param {string} markdown - Markdown body
+ * @returns {Array<{text: string, lineStart: number, lineEnd: number}>} Trimmed paragraphs, 1-based inclusive lines
+ */
+function splitParagraphs(markdown) {
+  const separator = /\n\n+|\n(?=#{1,3}\s)/g;
+  const paragraphs = [];
+  let start = 0;
+  let line = 1; // Line number at `start`
+
+  const add = (end) => {
+    const raw = markdown.slice(start, end);
+    const text = raw.trim();
+    if (!text) return;
+    const lineStart = line + countLines(raw.slice(0, raw.length - raw.trimStart().length));
+    paragraphs.push({ text, lineStart, lineEnd: lineStart + countLines(text) });
+  };
+
+  let match;
+  while ((match = separator.exec(markdown)) !== null) {
+    add(match.index);
+    const next = match.index + match[0].length;
+    line += countLines(markdown.slice(start, next));
+    start = next;
+  }
+  add(markdown.length);
+  return paragraphs;
+}
+
+/**
+ * Split markdown into the paragraphs entities are extracted from.
+ * Each paragraph is dated by the nearest dated header above it
+ * (e.g. "## 2026-02-03"), falling back to the date in the filename,
+ * and keeps its full text and line range so mentions can be traced back.
+ * Paragraphs of 10 characters or less are skipped.
  * @param {string} markdown - Raw markdown content
  * @param {string} source - Source file path
- * @returns {Array<Object>} Array of entities per paragraph
+ * @returns {Array<{paragraphIndex: number, content: string, lineStart: number, lineEnd: number, date: number|null}>}
  */
-function extractByParagraph(markdown, source) {
+function splitDatedParagraphs(markdown, source) {
   if (!markdown || typeof markdown !== 'string') {
     return [];
   }
+  markdown = parseFrontMatter(markdown).body;
+
+  const fileDate = getSourceDate(source);
+  let section = null; // { level, date } of the enclosing dated header
+  const results = [];
+
+  for (const { text: para, lineStart, lineEnd } of splitParagraphs(markdown)) {
+    const header = para.match(/^(#{1,6})\s+(.*)/);
+    if (header) {
+      const level = header[1].length;
+      const date = parseDate(header[2]);
+      if (date !== null) {
+        section = { level, date };
+      } else if (section && level <= section.level) {
+        section = null; // Sibling or parent header ends the dated section
+      }
+    }
+
+    if (para.length <= 10) continue;
 
-  // Split into paragraphs (double newline or header boundaries)
-  const paragraphs = markdown
-    .split(/\n\n+|\n(?=#{1,3}\s)/)
-    .map(p => p.trim())
-    .filter(p => p.length > 10);
-
-  return paragraphs.map((para, index) => ({
-    paragraphIndex: index,
-    content: para.slice(0, 100), // First 100 chars for debug
-    entities: extractEntities(para, source)
-  }));
+    results.push({
+      paragraphIndex: results.length,
+      content: para,
+      lineStart,
+      lineEnd,
+      date: section ? section.date : fileDate
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Extract entities from each paragraph separately (for co-occurrence)
+ * @param {string} markdown - Raw markdown content
+ * @param {string} source - Source file path
+ * @returns {Array<Object>} Paragraphs from splitDatedParagraphs() with entities, links and relations
+ */
+function extractByParagraph(markdown, source) {
+  return splitDatedParagraphs(markdown, source).map(para => {
+    const entities = extractEntities(para.content, source);
+    return {
+      ...para,
+      entities,
+      links: extractLinks(para.content),
+      relations: extractRelations(para.content, entities)
+    };
+  });
 }
 
 /**
@@ -173,15 +637,12 @@ function extractByParagraph(markdown, source) {
  * @returns {Object} Empty entities object
  */
 function createEmptyResult(source) {
+  const result = {};
+  for (const extractor of EXTRACTORS.values()) {
+    result[extractor.key] = [];
+  }
   return {
-    topics: [],
-    people: [],
-    organizations: [],
-    tickers: [],
-    tools: [],
-    urls: [],
-    headers: [],
-    decisions: [],
+    ...result,
     source,
     extractedAt: Date.now(),
     charCount: 0,
@@ -190,32 +651,30 @@ function createEmptyResult(source) {
 }
 
 /**
- * Get all entity IDs from an extraction result
+ * Get graph nodes from an extraction result
  * @param {Object} entities - Extracted entities
- * @returns {Array<string>} Array of node IDs
+ * @returns {Array<{id: string, label: string, type: string}>}
  */
-function getAllNodeIds(entities) {
-  const ids = [];
-  
-  const typeMap = {
-    topics: 'topic',
-    people: 'person',
-    organizations: 'organization',
-    tickers: 'ticker',
-    tools: 'tool',
-    urls: 'url',
-    headers: 'header',
-    decisions: 'decision'
-  };
+function getNodeEntries(entities) {
+  const entries = [];
 
-  for (const [plural, singular] of Object.entries(typeMap)) {
-    const items = entities[plural] || [];
+  for (const extractor of EXTRACTORS.values()) {
+    const items = entities[extractor.key] || [];
     for (const item of items) {
-      ids.push(`${singular}:${normalize(item)}`);
+      entries.push({ id: `${extractor.type}:${extractor.normalize(item)}`, label: item, type: extractor.type });
     }
   }
 
-  return ids;
+  return entries;
+}
+
+/**
+ * Get all entity IDs from an extraction result
+ * @param {Object} entities - Extracted entities
+ * @returns {Array<string>} Array of node IDs
+ */
+function getAllNodeIds(entities) {
+  return getNodeEntries(entities).map(entry => entry.id);
 }
 
 /**
@@ -237,9 +696,21 @@ function normalize(label) {
 module.exports = {
   extractEntities,
   extractByParagraph,
+  splitDatedParagraphs,
+  extractLinks,
+  extractRelations,
   getAllNodeIds,
+  getNodeEntries,
   normalize,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractor,
+  getExtractors,
+  getNodeTypes,
   isTicker,
+  parseDate,
+  getSourceDate,
+  parseFrontMatter,
   TICKER_BLACKLIST
 };
 
@@ -299,12 +770,64 @@ Committed to reviewing positions weekly.
   console.log(`Found ${paragraphs.length} paragraphs`);
   
   for (const para of paragraphs.slice(0, 3)) {
-    console.log(`\nParagraph ${para.paragraphIndex}:`);
+    console.log(`\nParagraph ${para.paragraphIndex} (lines ${para.lineStart}-${para.lineEnd}):`);
     console.log(`  Preview: "${para.content.slice(0, 50)}..."`);
+    console.log(`  Date: ${para.date ? new Date(para.date).toISOString().slice(0, 10) : 'undated'}`);
     const ids = getAllNodeIds(para.entities);
     console.log(`  Node IDs (${ids.length}):`, ids.slice(0, 5).join(', '), ids.length > 5 ? '...' : '');
   }
 
+  console.log('\n--- Date test ---');
+  console.log('  "memory/2026-02-03.md" ->', new Date(getSourceDate('memory/2026-02-03.md')).toISOString());
+  console.log('  "MEMORY.md" ->', getSourceDate('MEMORY.md'));
+  console.log('  "2026-02-31" ->', parseDate('2026-02-31'));
+  const dated = extractByParagraph('## 2026-02-03\n\nLooked at NVDA today.\n\n## Ideas\n\nMaybe try RKLB later.', 'MEMORY.md');
+  console.log('  Dated section:', dated.map(p => p.date && new Date(p.date).toISOString().slice(0, 10)));
+  console.log('  Line ranges:', dated.map(p => `${p.lineStart}-${p.lineEnd}`).join(', '));
+
+  console.log('\n--- Front matter test ---');
+  const note = '---\ntitle: Rocket Lab\ntype: organization\naliases: [RKLB, "Rocket Lab USA"]\ntags:\n  - space\n  - launch\n---\n# Rocket Lab\n\nWatching RKLB.';
+  const fm = parseFrontMatter(note);
+  console.log('  Data:', JSON.stringify(fm.data));
+  const headerLine = (text) => text.split('\n').indexOf('# Rocket Lab');
+  console.log(`  Body keeps line numbers: ${headerLine(fm.body) === headerLine(note)}`);
+
+  console.log('\n--- Link test ---');
+  const links = extractLinks('See [[Rocket Lab]], [[notes/PM2|the process manager]] and [[Anton#Goals]].\n' +
+    'Details in [the plan](projects/city%20plan.md#layout) and [docs](https://example.com/docs).\n' +
+    '![chart](chart.png) ![[diagram.png]] `[[not a link]]`');
+  for (const link of links) {
+    console.log(`  ${link.kind}: ${link.target} ("${link.text}")${link.type ? ` [${link.type}]` : ''}`);
+  }
+  console.log('  Wiki-link text reaches NLP:', extractEntities('Met [[Anton]] about it.').people);
+
+  console.log('\n--- Relation test ---');
+  for (const text of ['Anton uses `pm2` to keep the scanner alive.', 'Anton owns LUNR and RKLB.', 'Decided to deploy via `coolify` tonight.']) {
+    const found = extractRelations(text, extractEntities(text));
+    console.log(`  "${text}" ->`, found.map(rel => `${rel.subject ? rel.subject.id : '(note)'} -${rel.relation}-> ${rel.object.id}`));
+  }
+
+  console.log('\n--- Extractor registry test ---');
+  console.log('  Built-in types:', getExtractors().map(e => e.type).join(', '));
+  registerExtractor({
+    type: 'hashtag',
+    color: '#34d399',
+    halfLife: 14,
+    extract: (markdown) => [...new Set(markdown.match(/(?<![\w#])#[A-Za-z][\w-]*/g) || [])],
+    normalize: (label) => normalize(label.replace(/^#/, ''))
+  });
+  registerExtractor({
+    type: 'mention',
+    extract: (markdown) => [...new Set(markdown.match(/(?<![\w@])@[A-Za-z][\w-]*/g) || [])],
+    normalize: (label) => normalize(label.slice(1))
+  });
+  const plugged = extractEntities('Paired with @anton on #Asymmetry and #scanner for NVDA.', 'test.md');
+  console.log('  Hashtags:', plugged.hashtags, 'Mentions:', plugged.mentions);
+  console.log('  Node IDs:', getAllNodeIds(plugged).join(', '));
+  console.log('  Types:', Object.keys(getNodeTypes()).join(', '));
+  unregisterExtractor('hashtag');
+  unregisterExtractor('mention');
+
   console.log('\n--- Normalize test ---');
   console.log('  "Hello World" ->', normalize('Hello World'));
   console.log('  "NVDA" ->', normalize('NVDA'));
@@ -1,9 +1,25 @@
 /**
  * Knowledge Engine - Graph Construction
- * Builds a weighted graph from extracted entities with co-occurrence edges
+ * Builds a weighted graph from extracted entities with co-occurrence edges,
+ * directed link edges (wiki-links and markdown links between notes) and
+ * directed relation edges labelled with a verb ("Anton owns LUNR")
  */
 
-const { extractByParagraph, getAllNodeIds, normalize } = require('./extractor');
+const crypto = require('crypto');
+const { extractByParagraph, getNodeEntries, getExtractor, normalize, parseFrontMatter } = require('./extractor');
+const { applyDecay } = require('./decay');
+const { loadConfig } = require('./config');
+
+// Weight added per occurrence, by edge type. An explicit link says two
+// things are related on purpose, so it counts more than sharing a paragraph.
+const EDGE_WEIGHTS = {
+  co_occurs: 1,
+  relation: 2,
+  links_to: 3
+};
+
+// Longest paragraph text kept per mention; the line range points at the rest
+const MENTION_TEXT_LENGTH = 600;
 
 /**
  * Node in the knowledge graph
@@ -15,17 +31,90 @@ const { extractByParagraph, getAllNodeIds, normalize } = require('./extractor');
  * @property {number} firstSeen - Timestamp of first occurrence
  * @property {number} lastSeen - Timestamp of most recent occurrence
  * @property {Set<string>|Array<string>} sources - Files where this entity appears
+ * @property {Set<string>|Array<string>} [aliases] - Alias labels folded into this node
  */
 
 /**
  * Edge in the knowledge graph
  * @typedef {Object} GraphEdge
- * @property {string} id - Unique identifier (source↔target, sorted)
+ * @property {string} id - Unique identifier (source↔target sorted; source→target for
+ *   links; source-relation→target for relations; source≈target sorted for similarity)
  * @property {string} source - Source node ID
  * @property {string} target - Target node ID
- * @property {number} weight - Co-occurrence count
- * @property {number} lastSeen - Timestamp of most recent co-occurrence
+ * @property {'co_occurs'|'links_to'|'relation'|'similar_to'} type - Undirected co-occurrence, a directed
+ *   link or relation, or an undirected context similarity (derived, see similarity.js)
+ * @property {string} [relation] - Verb lemma for relation edges ('use', 'own', 'decide')
+ * @property {number} weight - Occurrence count times the type's weight
+ * @property {number} lastSeen - Timestamp of most recent occurrence
+ */
+
+/**
+ * Per-source contribution counts, used to retract a file's nodes and edges
+ * @typedef {Object} SourceEntry
+ * @property {Map<string, number>} nodes - Node ID -> weight contributed by this source
+ * @property {Map<string, number>} edges - Edge ID -> weight contributed by this source
+ * @property {string} [hash] - Content hash of the file when it was last extracted
+ * @property {number} [paragraphs] - Paragraphs extracted from the file
+ * @property {Array<Mention>} [mentions] - Paragraphs of the file that mention entities
+ */
+
+/**
+ * A paragraph that mentions entities (provenance)
+ * @typedef {Object} Mention
+ * @property {number} paragraph - Paragraph index within the file
+ * @property {number} lineStart - First line (1-based)
+ * @property {number} lineEnd - Last line (inclusive)
+ * @property {number|null} date - When the paragraph was written (dated header or filename)
+ * @property {string} text - Paragraph text, cut at MENTION_TEXT_LENGTH
+ * @property {Array<string>} nodes - IDs of the nodes it mentions
+ */
+
+/**
+ * Alias mapping onto a canonical node
+ * @typedef {Object} AliasEntry
+ * @property {string} canonical - Canonical node ID
+ * @property {string} [owner] - Who declared it: a source file (front matter) or the alias file
+ */
+
+/**
+ * Get the type prefix of a node ID
+ */
+function idType(id) {
+  return id.slice(0, id.indexOf(':'));
+}
+
+/**
+ * Turn an alias into a lookup key. Node IDs ('organization:rocket_lab') match
+ * exactly; bare labels ('Rocket Lab') match that label under every type ('*:rocket_lab').
+ * @param {string} alias - Node ID or label
+ * @returns {string} Alias key
+ */
+function aliasKey(alias) {
+  const typed = alias.match(/^([a-z][\w-]*):(.+)$/);
+  if (typed && (getExtractor(typed[1]) || typed[1] === '*')) {
+    const extractor = getExtractor(typed[1]);
+    return `${typed[1]}:${extractor ? extractor.normalize(typed[2]) : normalize(typed[2])}`;
+  }
+  return `*:${normalize(alias)}`;
+}
+
+/**
+ * Build an edge ID: co-occurrence and similarity are undirected (sorted ends),
+ * links and relations are directed, and each relation label gets its own edge
  */
+function edgeId(sourceId, targetId, type = 'co_occurs', relation) {
+  if (type === 'relation') return `${sourceId}-${relation}→${targetId}`;
+  if (type === 'links_to') return `${sourceId}→${targetId}`;
+  if (type === 'similar_to') return [sourceId, targetId].sort().join('≈');
+  return [sourceId, targetId].sort().join('↔');
+}
+
+/**
+ * Get the any-type alias key for a node ID
+ */
+function wildcardKey(id) {
+  return `*:${id.slice(id.indexOf(':') + 1)}`;
+}
 
 /**
  * Knowledge graph container
@@ -36,39 +125,243 @@ class KnowledgeGraph {
     this.nodes = new Map();
     /** @type {Map<string, GraphEdge>} */
     this.edges = new Map();
+    /** @type {Map<string, SourceEntry>} */
+    this.sourceIndex = new Map();
+    /** @type {Map<string, AliasEntry>} Alias key -> canonical node */
+    this.aliases = new Map();
+    // Paragraphs extracted so far: the sample size for edge statistics (see scoring.js)
+    this.paragraphCount = 0;
+    // Node ID -> edges touching it; built on demand, dropped whenever edges change
+    this.edgeIndex = null;
     this.lastUpdated = Date.now();
   }
 
+  /**
+   * Follow aliases from a node ID to its canonical ID
+   * @param {string} id - Node ID
+   * @returns {string} Canonical node ID (the ID itself if it isn't an alias)
+   */
+  resolveId(id) {
+    const seen = new Set([id]);
+    let current = id;
+    for (;;) {
+      const entry = this.aliases.get(current) || this.aliases.get(wildcardKey(current));
+      if (!entry || seen.has(entry.canonical)) return current;
+      current = entry.canonical;
+      seen.add(current);
+    }
+  }
+
+  /**
+   * Map an alias onto a canonical node, folding any existing alias nodes
+   * (and their edges and weights) into it.
+   * @param {string} alias - Node ID, or a bare label matching every type
+   * @param {string} canonicalId - Canonical node ID
+   * @param {string} [owner] - Source file or alias file that declared it
+   * @returns {boolean} Whether the mapping was added
+   */
+  addAlias(alias, canonicalId, owner) {
+    const key = aliasKey(alias);
+    if (key === canonicalId) return false;
+    
+    const previous = this.aliases.get(key);
+    this.aliases.set(key, { canonical: canonicalId, owner });
+    
+    // Refuse mappings that would loop back onto the alias
+    const resolved = this.resolveId(canonicalId);
+    if (resolved === key || (key.startsWith('*:') && wildcardKey(resolved) === key && resolved !== canonicalId)) {
+      if (previous) this.aliases.set(key, previous);
+      else this.aliases.delete(key);
+      return false;
+    }
+    
+    for (const id of [...this.nodes.keys()]) {
+      const target = this.resolveId(id);
+      if (target !== id) this.foldNode(id, target);
+    }
+    return !previous || previous.canonical !== canonicalId;
+  }
+
+  /**
+   * Remove the aliases declared by one owner. Nodes already folded stay
+   * merged until their sources are re-extracted.
+   * @param {string} owner - Source file or alias file
+   * @returns {number} Aliases removed
+   */
+  removeAliases(owner) {
+    let removed = 0;
+    for (const [key, entry] of this.aliases) {
+      if (entry.owner === owner) {
+        this.aliases.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get the alias keys that resolve to a node
+   * @param {string} canonicalId - Canonical node ID
+   * @returns {Array<string>}
+   */
+  getAliases(canonicalId) {
+    return [...this.aliases.keys()].filter(key => this.aliases.get(key).canonical === canonicalId);
+  }
+
+  /**
+   * Fingerprint of the alias table, to spot changes that need a rebuild
+   * @returns {string}
+   */
+  getAliasSignature() {
+    return JSON.stringify([...this.aliases].map(([key, entry]) => [key, entry.canonical]).sort());
+  }
+
+  /**
+   * Merge one node into another: weights, timestamps, sources, edges and
+   * per-source bookkeeping all move to the target.
+   * @param {string} fromId - Node to fold away
+   * @param {string} toId - Node that absorbs it
+   */
+  foldNode(fromId, toId) {
+    const from = this.nodes.get(fromId);
+    if (!from || fromId === toId) return;
+    
+    let to = this.nodes.get(toId);
+    if (!to) {
+      to = { ...from, id: toId, type: idType(toId), weight: 0, sources: new Set() };
+      this.nodes.set(toId, to);
+    }
+    to.weight += from.weight;
+    to.firstSeen = Math.min(to.firstSeen, from.firstSeen);
+    to.lastSeen = Math.max(to.lastSeen, from.lastSeen);
+    for (const src of from.sources) to.sources.add(src);
+    to.aliases = new Set([...(to.aliases || []), ...(from.aliases || []), from.label]);
+    to.aliases.delete(to.label);
+    this.nodes.delete(fromId);
+    
+    // Re-point edges; edges between the two nodes disappear
+    this.edgeIndex = null;
+    const renamed = new Map(); // old edge ID -> new edge ID (null if dropped)
+    for (const edge of [...this.edges.values()]) {
+      if (edge.source !== fromId && edge.target !== fromId) continue;
+      this.edges.delete(edge.id);
+      const sourceId = edge.source === fromId ? toId : edge.source;
+      const targetId = edge.target === fromId ? toId : edge.target;
+      if (sourceId === targetId) {
+        renamed.set(edge.id, null);
+        continue;
+      }
+      const id = edgeId(sourceId, targetId, edge.type, edge.relation);
+      renamed.set(edge.id, id);
+      const existing = this.edges.get(id);
+      if (existing) {
+        existing.weight += edge.weight;
+        existing.lastSeen = Math.max(existing.lastSeen, edge.lastSeen);
+      } else {
+        this.edges.set(id, { ...edge, id, source: sourceId, target: targetId });
+      }
+    }
+    
+    for (const entry of this.sourceIndex.values()) {
+      const count = entry.nodes.get(fromId);
+      if (count) {
+        entry.nodes.delete(fromId);
+        entry.nodes.set(toId, (entry.nodes.get(toId) || 0) + count);
+      }
+      for (const [oldId, newId] of renamed) {
+        const edgeCount = entry.edges.get(oldId);
+        if (!edgeCount) continue;
+        entry.edges.delete(oldId);
+        if (newId) entry.edges.set(newId, (entry.edges.get(newId) || 0) + edgeCount);
+      }
+      for (const mention of entry.mentions || []) {
+        if (mention.nodes.includes(fromId)) {
+          mention.nodes = [...new Set(mention.nodes.map(id => (id === fromId ? toId : id)))];
+        }
+      }
+    }
+  }
+
+  /**
+   * Get (or create) the bookkeeping entry for a source file
+   * @param {string} source - Source file
+   * @returns {SourceEntry}
+   */
+  getSourceEntry(source) {
+    if (!this.sourceIndex.has(source)) {
+      this.sourceIndex.set(source, { nodes: new Map(), edges: new Map() });
+    }
+    return this.sourceIndex.get(source);
+  }
+
+  /**
+   * Record a weight contribution from a source file
+   * @param {string} source - Source file
+   * @param {'nodes'|'edges'} kind - Which collection the ID belongs to
+   * @param {string} id - Node or edge ID
+   * @param {number} [amount=1] - Weight contributed
+   */
+  trackSource(source, kind, id, amount = 1) {
+    if (!source) return;
+    
+    const entry = this.getSourceEntry(source)[kind];
+    entry.set(id, (entry.get(id) || 0) + amount);
+  }
+
+  /**
+   * Get the content hash a source was last extracted from
+   * @param {string} source - Source file
+   * @returns {string|undefined}
+   */
+  getSourceHash(source) {
+    const entry = this.sourceIndex.get(source);
+    return entry && entry.hash;
+  }
+
   /**
    * Add or update a node
    * @param {string} id - Node ID
    * @param {string} label - Display label
    * @param {string} type - Entity type
    * @param {string} source - Source file
+   * @param {number} [seenAt] - When the mention was written (default: now)
    * @returns {GraphNode} The node
    */
-  addNode(id, label, type, source) {
-    const now = Date.now();
+  addNode(id, label, type, source, seenAt = Date.now()) {
+    // Aliases land on their canonical node
+    const canonicalId = this.resolveId(id);
+    const isAlias = canonicalId !== id;
+    this.trackSource(source, 'nodes', canonicalId);
     
-    if (this.nodes.has(id)) {
-      const node = this.nodes.get(id);
+    if (this.nodes.has(canonicalId)) {
+      const node = this.nodes.get(canonicalId);
       node.weight++;
-      node.lastSeen = now;
+      node.lastSeen = Math.max(node.lastSeen, seenAt);
+      node.firstSeen = Math.min(node.firstSeen, seenAt);
       node.sources.add(source);
+      if (isAlias) {
+        if (label !== node.label) (node.aliases = node.aliases || new Set()).add(label);
+      } else if (node.aliases && node.aliases.has(node.label)) {
+        // Created from an alias; the canonical mention supplies the label
+        node.aliases.add(node.label);
+        node.aliases.delete(label);
+        node.label = label;
+      }
       return node;
     }
 
     const node = {
-      id,
+      id: canonicalId,
       label,
-      type,
+      type: isAlias ? idType(canonicalId) : type,
       weight: 1,
-      firstSeen: now,
-      lastSeen: now,
+      firstSeen: seenAt,
+      lastSeen: seenAt,
       sources: new Set([source])
     };
+    if (isAlias) node.aliases = new Set([label]);
     
-    this.nodes.set(id, node);
+    this.nodes.set(canonicalId, node);
     return node;
   }
 
@@ -76,32 +369,91 @@ class KnowledgeGraph {
    * Add or update an edge
    * @param {string} sourceId - Source node ID
    * @param {string} targetId - Target node ID
-   * @returns {GraphEdge} The edge
+   * @param {string} [source] - Source file the co-occurrence came from
+   * @param {number} [seenAt] - When the co-occurrence was written (default: now)
+   * @param {'co_occurs'|'links_to'|'relation'} [type] - Edge type (default co_occurs)
+   * @param {string} [relation] - Verb label, for relation edges
+   * @returns {GraphEdge|null} The edge (null if both ends are the same entity)
    */
-  addEdge(sourceId, targetId) {
-    // Consistent edge ID (sorted)
-    const edgeId = [sourceId, targetId].sort().join('↔');
-    const now = Date.now();
+  addEdge(sourceId, targetId, source, seenAt = Date.now(), type = 'co_occurs', relation) {
+    sourceId = this.resolveId(sourceId);
+    targetId = this.resolveId(targetId);
+    if (sourceId === targetId) return null;
     
-    if (this.edges.has(edgeId)) {
-      const edge = this.edges.get(edgeId);
-      edge.weight++;
-      edge.lastSeen = now;
+    const id = edgeId(sourceId, targetId, type, relation);
+    const weight = EDGE_WEIGHTS[type] || 1;
+    this.trackSource(source, 'edges', id, weight);
+    
+    if (this.edges.has(id)) {
+      const edge = this.edges.get(id);
+      edge.weight += weight;
+      edge.lastSeen = Math.max(edge.lastSeen, seenAt);
       return edge;
     }
 
     const edge = {
-      id: edgeId,
+      id,
       source: sourceId,
       target: targetId,
-      weight: 1,
-      lastSeen: now
+      type,
+      ...(relation && { relation }),
+      weight,
+      lastSeen: seenAt
     };
     
-    this.edges.set(edgeId, edge);
+    this.edges.set(id, edge);
+    this.edgeIndex = null;
     return edge;
   }
 
+  /**
+   * Retract everything a source file contributed to the graph.
+   * Nodes and edges left with no weight are deleted.
+   * @param {string} source - Source file
+   * @returns {{nodes: number, edges: number}} Count of removed nodes and edges
+   */
+  removeSource(source) {
+    const entry = this.sourceIndex.get(source);
+    const removed = { nodes: 0, edges: 0 };
+    if (!entry) return removed;
+
+    for (const [edgeId, count] of entry.edges) {
+      const edge = this.edges.get(edgeId);
+      if (!edge) continue;
+      edge.weight -= count;
+      if (edge.weight <= 0) {
+        this.edges.delete(edgeId);
+        this.edgeIndex = null;
+        removed.edges++;
+      }
+    }
+
+    for (const [nodeId, count] of entry.nodes) {
+      const node = this.nodes.get(nodeId);
+      if (!node) continue;
+      node.weight -= count;
+      node.sources.delete(source);
+      if (node.weight <= 0 || node.sources.size === 0) {
+        this.nodes.delete(nodeId);
+        removed.nodes++;
+      }
+    }
+
+    this.paragraphCount = Math.max(0, this.paragraphCount - (entry.paragraphs || 0));
+    this.sourceIndex.delete(source);
+    this.removeAliases(source);
+    this.lastUpdated = Date.now();
+    return removed;
+  }
+
+  /**
+   * Get the source files that contributed to the graph
+   * @returns {Array<string>}
+   */
+  getSources() {
+    return [...this.sourceIndex.keys()];
+  }
+
   /**
    * Get node by ID
    * @param {string} id - Node ID
@@ -118,7 +470,8 @@ class KnowledgeGraph {
   getNodes() {
     return [...this.nodes.values()].map(node => ({
       ...node,
-      sources: [...node.sources]
+      sources: [...node.sources],
+      ...(node.aliases && { aliases: [...node.aliases] })
     }));
   }
 
@@ -130,15 +483,30 @@ class KnowledgeGraph {
     return [...this.edges.values()];
   }
 
+  /**
+   * Get the node -> edges index, building it if edges changed since last time
+   * @returns {Map<string, Array<GraphEdge>>}
+   */
+  getEdgeIndex() {
+    if (!this.edgeIndex) {
+      this.edgeIndex = new Map();
+      for (const edge of this.edges.values()) {
+        for (const id of [edge.source, edge.target]) {
+          if (!this.edgeIndex.has(id)) this.edgeIndex.set(id, []);
+          this.edgeIndex.get(id).push(edge);
+        }
+      }
+    }
+    return this.edgeIndex;
+  }
+
   /**
    * Get edges connected to a node
    * @param {string} nodeId - Node ID
    * @returns {Array<GraphEdge>}
    */
   getNodeEdges(nodeId) {
-    return this.getEdges().filter(
-      e => e.source === nodeId || e.target === nodeId
-    );
+    return [...(this.getEdgeIndex().get(nodeId) || [])];
   }
 
   /**
@@ -149,9 +517,8 @@ class KnowledgeGraph {
   getNeighbors(nodeId) {
     const neighborIds = new Set();
     
-    for (const edge of this.edges.values()) {
-      if (edge.source === nodeId) neighborIds.add(edge.target);
-      if (edge.target === nodeId) neighborIds.add(edge.source);
+    for (const edge of this.getEdgeIndex().get(nodeId) || []) {
+      neighborIds.add(edge.source === nodeId ? edge.target : edge.source);
     }
     
     return [...neighborIds]
@@ -159,14 +526,86 @@ class KnowledgeGraph {
       .filter(Boolean);
   }
 
+  /**
+   * Record a paragraph as mentioning some nodes
+   * @param {string} source - Source file
+   * @param {Object} para - Paragraph from extractByParagraph()
+   * @param {Iterable<string>} nodeIds - Nodes it mentions
+   */
+  addMention(source, para, nodeIds) {
+    const nodes = [...new Set(nodeIds)];
+    if (!source || nodes.length === 0) return;
+
+    const entry = this.getSourceEntry(source);
+    (entry.mentions = entry.mentions || []).push({
+      paragraph: para.paragraphIndex,
+      lineStart: para.lineStart,
+      lineEnd: para.lineEnd,
+      date: para.date || null,
+      text: para.content.length > MENTION_TEXT_LENGTH
+        ? `${para.content.slice(0, MENTION_TEXT_LENGTH)}…`
+        : para.content,
+      nodes
+    });
+  }
+
+  /**
+   * Get the paragraphs that mention a node, newest first
+   * @param {string} nodeId - Node ID
+   * @param {Object} [options]
+   * @param {string} [options.source] - Only this source file
+   * @param {number} [options.limit] - Most mentions returned
+   * @returns {Array<Object>} Mentions with `source` (and without the `nodes` list)
+   */
+  getMentions(nodeId, options = {}) {
+    const mentions = [];
+    for (const [source, entry] of this.sourceIndex) {
+      if (options.source && source !== options.source) continue;
+      for (const { nodes, ...mention } of entry.mentions || []) {
+        if (nodes.includes(nodeId)) mentions.push({ source, ...mention });
+      }
+    }
+
+    mentions.sort((a, b) => (b.date || 0) - (a.date || 0) ||
+      a.source.localeCompare(b.source) || a.lineStart - b.lineStart);
+    return options.limit ? mentions.slice(0, options.limit) : mentions;
+  }
+
+  /**
+   * Get the nodes a paragraph mentions (the reverse of getMentions)
+   * @param {string} source - Source file
+   * @param {number} paragraph - Paragraph index within the file
+   * @returns {Array<GraphNode>}
+   */
+  getParagraphNodes(source, paragraph) {
+    const entry = this.sourceIndex.get(source);
+    const mention = entry && (entry.mentions || []).find(m => m.paragraph === paragraph);
+    if (!mention) return [];
+    return mention.nodes.map(id => this.nodes.get(id)).filter(Boolean);
+  }
+
   /**
    * Export graph for serialization
    * @returns {Object}
    */
   toJSON() {
+    const sources = {};
+    for (const [source, entry] of this.sourceIndex) {
+      sources[source] = {
+        nodes: Object.fromEntries(entry.nodes),
+        edges: Object.fromEntries(entry.edges),
+        hash: entry.hash,
+        paragraphs: entry.paragraphs,
+        ...(entry.mentions && { mentions: entry.mentions })
+      };
+    }
+
     return {
       nodes: this.getNodes(),
       edges: this.getEdges(),
+      sources,
+      aliases: Object.fromEntries(this.aliases),
+      paragraphCount: this.paragraphCount,
       lastUpdated: this.lastUpdated,
       nodeCount: this.nodes.size,
       edgeCount: this.edges.size
@@ -180,11 +619,15 @@ class KnowledgeGraph {
   fromJSON(data) {
     this.nodes.clear();
     this.edges.clear();
+    this.edgeIndex = null;
+    this.sourceIndex.clear();
+    this.aliases.clear();
     
     for (const node of data.nodes || []) {
       this.nodes.set(node.id, {
         ...node,
-        sources: new Set(node.sources || [])
+        sources: new Set(node.sources || []),
+        ...(node.aliases && { aliases: new Set(node.aliases) })
       });
     }
     
@@ -192,6 +635,21 @@ class KnowledgeGraph {
       this.edges.set(edge.id, edge);
     }
     
+    for (const [source, entry] of Object.entries(data.sources || {})) {
+      this.sourceIndex.set(source, {
+        nodes: new Map(Object.entries(entry.nodes || {})),
+        edges: new Map(Object.entries(entry.edges || {})),
+        hash: entry.hash,
+        paragraphs: entry.paragraphs,
+        ...(entry.mentions && { mentions: entry.mentions.map(mention => ({ ...mention, nodes: [...mention.nodes] })) })
+      });
+    }
+    
+    for (const [key, entry] of Object.entries(data.aliases || {})) {
+      this.aliases.set(key, entry);
+    }
+    
+    this.paragraphCount = data.paragraphCount || 0;
     this.lastUpdated = data.lastUpdated || Date.now();
   }
 
@@ -204,6 +662,10 @@ class KnowledgeGraph {
     for (const node of this.nodes.values()) {
       typeCount[node.type] = (typeCount[node.type] || 0) + 1;
     }
+    const edgeTypeCount = {};
+    for (const edge of this.edges.values()) {
+      edgeTypeCount[edge.type] = (edgeTypeCount[edge.type] || 0) + 1;
+    }
 
     const totalWeight = [...this.nodes.values()].reduce((sum, n) => sum + n.weight, 0);
     const totalEdgeWeight = [...this.edges.values()].reduce((sum, e) => sum + e.weight, 0);
@@ -212,6 +674,7 @@ class KnowledgeGraph {
       nodeCount: this.nodes.size,
       edgeCount: this.edges.size,
       typeCount,
+      edgeTypeCount,
       totalWeight,
       totalEdgeWeight,
       avgNodeWeight: this.nodes.size > 0 ? totalWeight / this.nodes.size : 0,
@@ -232,44 +695,184 @@ function buildGraph(markdown, source, existingGraph = null) {
   
   // Extract entities by paragraph for co-occurrence
   const paragraphs = extractByParagraph(markdown, source);
+  if (source) {
+    const entry = graph.getSourceEntry(source);
+    entry.hash = hashContent(markdown);
+    entry.paragraphs = (entry.paragraphs || 0) + paragraphs.length;
+  }
+  graph.paragraphCount += paragraphs.length;
   
-  const typeMap = {
-    topics: 'topic',
-    people: 'person',
-    organizations: 'organization',
-    tickers: 'ticker',
-    tools: 'tool',
-    urls: 'url',
-    headers: 'header',
-    decisions: 'decision'
-  };
+  // Front matter aliases apply before any entity is added
+  const { data } = parseFrontMatter(markdown);
+  const subject = getNoteSubject(markdown, source, data);
+  if (data.aliases && subject) {
+    addFrontMatterAliases(graph, data, subject, source);
+  }
+  
+  const now = Date.now();
 
   for (const para of paragraphs) {
     const entities = para.entities;
-    const nodeIds = [];
+    // Canonical IDs; an entity and its alias in one paragraph count once here
+    const nodeIds = new Set();
+    // Dated notes count from when they were written; never from the future
+    const seenAt = para.date ? Math.min(para.date, now) : now;
 
     // Add nodes for all entities in this paragraph
-    for (const [plural, singular] of Object.entries(typeMap)) {
-      const items = entities[plural] || [];
-      for (const item of items) {
-        const id = `${singular}:${normalize(item)}`;
-        graph.addNode(id, item, singular, source);
-        nodeIds.push(id);
-      }
+    for (const { id, label, type } of getNodeEntries(entities)) {
+      nodeIds.add(graph.addNode(id, label, type, source, seenAt).id);
     }
 
     // Create edges for all co-occurring entities in the paragraph
-    for (let i = 0; i < nodeIds.length; i++) {
-      for (let j = i + 1; j < nodeIds.length; j++) {
-        graph.addEdge(nodeIds[i], nodeIds[j]);
+    const ids = [...nodeIds];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        graph.addEdge(ids[i], ids[j], source, seenAt);
       }
     }
+
+    // Relations without a subject ("Decided to ...") are the note's own
+    let from = null;
+    const getSubjectNode = () => from || (from = graph.addNode(subject.id, subject.label, subject.type, source, seenAt));
+    for (const { subject: actor, relation, object } of para.relations) {
+      if (!actor && !subject) continue;
+      const actorId = actor ? actor.id : getSubjectNode().id;
+      graph.addEdge(actorId, object.id, source, seenAt, 'relation', relation);
+    }
+
+    // Links run from the note's subject to the page or URL they point at
+    const linked = [];
+    if (para.links.length > 0 && subject) {
+      getSubjectNode();
+      for (const link of para.links) {
+        const target = getLinkTarget(link, getNodeEntries(entities));
+        const to = nodeIds.has(graph.resolveId(target.id))
+          ? graph.getNode(graph.resolveId(target.id))
+          : graph.addNode(target.id, target.label, target.type, source, seenAt);
+        graph.addEdge(from.id, to.id, source, seenAt, 'links_to');
+        linked.push(to.id);
+      }
+    }
+
+    // Provenance: which paragraph (and lines) each entity came from
+    graph.addMention(source, para, [...nodeIds, ...linked, ...(from ? [from.id] : [])]);
   }
 
   graph.lastUpdated = Date.now();
   return graph;
 }
 
+/**
+ * Get the entity a note is about: front matter `canonical:` (a node ID or
+ * label), else `title:`, the first H1 or the filename, typed by `type:`
+ * (default topic). Links in the note start here.
+ * @param {string} markdown - Raw markdown (for the H1 title)
+ * @param {string} source - Source file path
+ * @param {Object} data - Parsed front matter
+ * @returns {{id: string, label: string, type: string}|null}
+ */
+function getNoteSubject(markdown, source, data) {
+  const h1 = markdown.match(/^#\s+(.+)$/m);
+  const label = data.canonical || data.title || (h1 && h1[1].trim()) ||
+    (source && source.split('/').pop().replace(/\.md$/, ''));
+  if (!label) return null;
+  
+  const key = aliasKey(String(label));
+  if (!key.startsWith('*:')) {
+    return { id: key, label: String(label).slice(String(label).indexOf(':') + 1), type: idType(key) };
+  }
+  const type = data.type || 'topic';
+  return { id: `${type}:${key.slice(2)}`, label: String(label), type };
+}
+
+/**
+ * Get the node a link points at. A page that matches an entity named in the
+ * same paragraph links to that entity; other pages become topics.
+ * @param {Object} link - From extractLinks()
+ * @param {Array<{id: string, label: string, type: string}>} entries - Paragraph entities
+ * @returns {{id: string, label: string, type: string}}
+ */
+function getLinkTarget(link, entries) {
+  if (link.type === 'url') {
+    const extractor = getExtractor('url');
+    return { id: `url:${extractor ? extractor.normalize(link.target) : normalize(link.target)}`, label: link.target, type: 'url' };
+  }
+  const key = aliasKey(link.target);
+  const match = entries.find(entry => wildcardKey(entry.id) === key);
+  return match || { id: `topic:${key.slice(2)}`, label: link.target, type: 'topic' };
+}
+
+/**
+ * Register a note's front matter aliases onto its subject. The subject's
+ * label matches every type.
+ * @param {KnowledgeGraph} graph - Graph to update
+ * @param {Object} data - Parsed front matter
+ * @param {{id: string}} subject - From getNoteSubject()
+ * @param {string} source - Source file that owns the aliases
+ */
+function addFrontMatterAliases(graph, data, subject, source) {
+  graph.addAlias(wildcardKey(subject.id), subject.id, source);
+  for (const alias of [].concat(data.aliases)) {
+    if (alias) graph.addAlias(String(alias), subject.id, source);
+  }
+}
+
+/**
+ * Hash markdown content so unchanged files can be skipped on reload
+ * @param {string} markdown - Raw markdown
+ * @returns {string} MD5 hex digest
+ */
+function hashContent(markdown) {
+  return crypto.createHash('md5').update(markdown).digest('hex');
+}
+
+/**
+ * Replace one source file's contribution to a graph.
+ * Retracts the file's previous nodes and edges, then re-extracts it.
+ * Entities that survive the edit keep their original firstSeen.
+ * @param {string|null} markdown - New content (null when the file was deleted)
+ * @param {string} source - Source file path
+ * @param {KnowledgeGraph} graph - Graph to update in place
+ * @returns {KnowledgeGraph}
+ */
+function updateSource(markdown, source, graph) {
+  const firstSeen = new Map();
+  const entry = graph.sourceIndex.get(source);
+  if (entry) {
+    for (const id of entry.nodes.keys()) {
+      const node = graph.nodes.get(id);
+      if (node) firstSeen.set(id, node.firstSeen);
+    }
+  }
+
+  graph.removeSource(source);
+  if (markdown) {
+    buildGraph(markdown, source, graph);
+    for (const [id, seen] of firstSeen) {
+      const node = graph.nodes.get(id);
+      if (node) node.firstSeen = Math.min(node.firstSeen, seen);
+    }
+  }
+  return graph;
+}
+
+/**
+ * Re-extract a source file only if its content differs from what the graph holds
+ * @param {string|null} markdown - Current content (null when the file was deleted)
+ * @param {string} source - Source file path
+ * @param {KnowledgeGraph} graph - Graph to update in place
+ * @returns {boolean} Whether the graph changed
+ */
+function syncSource(markdown, source, graph) {
+  if (markdown === null || markdown === undefined) {
+    if (!graph.sourceIndex.has(source)) return false;
+  } else if (graph.getSourceHash(source) === hashContent(markdown)) {
+    return false;
+  }
+  updateSource(markdown, source, graph);
+  return true;
+}
+
 /**
  * Build graph from multiple files
  * @param {Array<{markdown: string, source: string}>} files - Array of file contents
@@ -305,10 +908,14 @@ function mergeGraphs(graph1, graph2) {
       for (const src of node.sources) {
         existing.sources.add(src);
       }
+      if (node.aliases) {
+        existing.aliases = new Set([...(existing.aliases || []), ...node.aliases]);
+      }
     } else {
       merged.nodes.set(node.id, {
         ...node,
-        sources: new Set(node.sources)
+        sources: new Set(node.sources),
+        ...(node.aliases && { aliases: new Set(node.aliases) })
       });
     }
   }
@@ -324,39 +931,524 @@ function mergeGraphs(graph1, graph2) {
     }
   }
   
+  // Merge per-source bookkeeping so the result can still be updated incrementally
+  for (const [source, entry] of graph2.sourceIndex) {
+    const target = merged.getSourceEntry(source);
+    for (const kind of ['nodes', 'edges']) {
+      for (const [id, count] of entry[kind]) {
+        target[kind].set(id, (target[kind].get(id) || 0) + count);
+      }
+    }
+    if (entry.hash) target.hash = entry.hash;
+    if (entry.paragraphs) target.paragraphs = (target.paragraphs || 0) + entry.paragraphs;
+    if (entry.mentions) {
+      target.mentions = [...(target.mentions || []), ...entry.mentions.map(mention => ({ ...mention, nodes: [...mention.nodes] }))];
+    }
+  }
+  merged.paragraphCount = graph1.paragraphCount + graph2.paragraphCount;
+  
+  // Aliases from graph2 fold matching nodes of graph1 too
+  for (const [key, entry] of graph2.aliases) {
+    merged.addAlias(key, entry.canonical, entry.owner);
+  }
+  
   merged.lastUpdated = Date.now();
   return merged;
 }
 
 /**
- * Find strongly connected nodes (high weight, many edges)
+ * Compare two versions of a graph by weight
+ * @param {KnowledgeGraph|{nodes: Array, edges: Array}} before - Older graph
+ * @param {KnowledgeGraph|{nodes: Array, edges: Array}} after - Newer graph
+ * @param {Object} [options]
+ * @param {number} [options.epsilon=0] - Weight changes at or below this are ignored
+ * @returns {Object} { nodes, edges }, each { added, removed, strengthened, weakened };
+ *   added/removed hold the item, strengthened/weakened hold { id, before, after, change }
+ *   (biggest change first)
+ */
+function diffGraphs(before, after, options = {}) {
+  const epsilon = options.epsilon || 0;
+  const oldParts = graphParts(before);
+  const newParts = graphParts(after);
+
+  const diff = (oldItems, newItems, summarize) => {
+    const oldById = new Map(oldItems.map(item => [item.id, item]));
+    const newById = new Map(newItems.map(item => [item.id, item]));
+    const result = { added: [], removed: [], strengthened: [], weakened: [] };
+
+    for (const [id, item] of newById) {
+      const old = oldById.get(id);
+      if (!old) {
+        result.added.push(summarize(item));
+        continue;
+      }
+      const change = item.weight - old.weight;
+      if (Math.abs(change) <= epsilon) continue;
+      const entry = { ...summarize(item), before: old.weight, after: item.weight, change: Math.round(change * 1e4) / 1e4 };
+      (change > 0 ? result.strengthened : result.weakened).push(entry);
+    }
+    for (const [id, item] of oldById) {
+      if (!newById.has(id)) result.removed.push(summarize(item));
+    }
+
+    result.strengthened.sort((a, b) => b.change - a.change);
+    result.weakened.sort((a, b) => a.change - b.change);
+    return result;
+  };
+
+  return {
+    nodes: diff(oldParts.nodes, newParts.nodes, ({ id, label, type, weight }) => ({ id, label, type, weight })),
+    edges: diff(oldParts.edges, newParts.edges, ({ id, source, target, type, relation, weight }) =>
+      ({ id, source, target, type, ...(relation && { relation }), weight }))
+  };
+}
+
+/**
+ * Get the nodes (sorted by ID, for deterministic results) and edges of a
+ * KnowledgeGraph or a plain { nodes, edges } object
+ */
+function graphParts(graph) {
+  const nodes = (graph.getNodes ? graph.getNodes() : graph.nodes)
+    .slice()
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const edges = graph.getEdges ? graph.getEdges() : graph.edges;
+  return { nodes, edges };
+}
+
+/**
+ * PageRank by power iteration; dangling nodes spread their rank evenly
+ * @param {Array<Map<number, number>>} outLinks - Target index -> weight, per node
+ * @param {number} damping - Probability of following a link
+ * @returns {Float64Array} Ranks summing to 1
+ */
+function pageRank(outLinks, damping) {
+  const n = outLinks.length;
+  const outWeight = outLinks.map(links => [...links.values()].reduce((sum, w) => sum + w, 0));
+  let rank = new Float64Array(n).fill(1 / n);
+
+  for (let iter = 0; iter < 100; iter++) {
+    const next = new Float64Array(n);
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (outWeight[i] === 0) {
+        dangling += rank[i];
+        continue;
+      }
+      for (const [j, w] of outLinks[i]) {
+        next[j] += damping * rank[i] * w / outWeight[i];
+      }
+    }
+    const base = (1 - damping + damping * dangling) / n;
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      next[i] += base;
+      change += Math.abs(next[i] - rank[i]);
+    }
+    rank = next;
+    if (change < 1e-6) break;
+  }
+  return rank;
+}
+
+/**
+ * Betweenness centrality (Brandes, unweighted). Large graphs use evenly
+ * spaced sample sources and scale up.
+ * @param {Array<Set<number>>} neighbors - Undirected neighbor indexes, per node
+ * @param {number} samples - Most BFS sources to run
+ * @returns {Float64Array}
+ */
+function betweenness(neighbors, samples) {
+  const n = neighbors.length;
+  const result = new Float64Array(n);
+  const count = Math.min(n, samples);
+  if (count === 0) return result;
+
+  for (let k = 0; k < count; k++) {
+    const s = Math.floor(k * n / count);
+    const stack = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    const sigma = new Float64Array(n);
+    const distance = new Int32Array(n).fill(-1);
+    sigma[s] = 1;
+    distance[s] = 0;
+
+    const queue = [s];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of neighbors[v]) {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    const delta = new Float64Array(n);
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      if (w !== s) result[w] += delta[w];
+    }
+  }
+
+  const scale = n / count;
+  for (let i = 0; i < n; i++) result[i] *= scale;
+  return result;
+}
+
+/**
+ * Compute PageRank, degree and betweenness centrality. Links and relations
+ * pass rank one way; co-occurrence (and untyped edges) both ways.
+ * @param {KnowledgeGraph|{nodes: Array<Object>, edges: Array<Object>}} graph - Graph, or nodes and edges
+ * @param {Object} [options]
+ * @param {number} [options.damping=0.85] - PageRank damping factor
+ * @param {number} [options.samples=500] - Most betweenness sources (exact below this many nodes)
+ * @returns {Map<string, {pagerank: number, degree: number, betweenness: number}>} Each scaled so the top node is 1
+ */
+function computeCentrality(graph, options = {}) {
+  const { nodes, edges } = graphParts(graph);
+  const indexOf = new Map(nodes.map((node, i) => [node.id, i]));
+  const outLinks = nodes.map(() => new Map());
+  const neighbors = nodes.map(() => new Set());
+
+  const link = (a, b, w) => outLinks[a].set(b, (outLinks[a].get(b) || 0) + w);
+  for (const edge of edges) {
+    const a = indexOf.get(edge.source);
+    const b = indexOf.get(edge.target);
+    const w = edge.weight ?? 1;
+    if (a === undefined || b === undefined || a === b || !(w > 0)) continue;
+    link(a, b, w);
+    if (edge.type !== 'links_to' && edge.type !== 'relation') link(b, a, w);
+    neighbors[a].add(b);
+    neighbors[b].add(a);
+  }
+
+  const ranks = pageRank(outLinks, options.damping ?? 0.85);
+  const between = betweenness(neighbors, options.samples ?? 500);
+  const maxRank = Math.max(...ranks, 0) || 1;
+  const maxDegree = Math.max(...neighbors.map(set => set.size), 0) || 1;
+  const maxBetween = Math.max(...between, 0) || 1;
+
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+  const centrality = new Map();
+  nodes.forEach((node, i) => {
+    centrality.set(node.id, {
+      pagerank: round(ranks[i] / maxRank),
+      degree: round(neighbors[i].size / maxDegree),
+      betweenness: round(between[i] / maxBetween)
+    });
+  });
+  return centrality;
+}
+
+/**
+ * Combined importance: a blend of PageRank, degree, betweenness and
+ * (log-scaled) mention weight, times decay and source weight
+ * @param {KnowledgeGraph|{nodes: Array<Object>, edges: Array<Object>}} graph - Graph, or nodes and edges
+ * @param {Object} [options]
+ * @param {Object} [options.blend] - { pagerank, degree, betweenness, weight } (default: importance from absalom.config.json)
+ * @param {function(Object): number} [options.decayOf] - Decay factor of a node (default from decay.js)
+ * @param {function(Object): number} [options.sourceWeightOf] - Source bonus of a node (default from decay.js)
+ * @param {number} [options.damping] - PageRank damping factor
+ * @param {number} [options.samples] - Most betweenness sources
+ * @param {Map<string, Object>} [options.centrality] - Precomputed computeCentrality() result to reuse
+ * @returns {Map<string, {pagerank: number, degree: number, betweenness: number, importance: number}>} Importance scaled so the top node is 1
+ */
+function computeImportance(graph, options = {}) {
+  const { nodes } = graphParts(graph);
+  const blend = options.blend || loadConfig().importance;
+  const decayOf = options.decayOf || (node => applyDecay(node).decayFactor);
+  const sourceWeightOf = options.sourceWeightOf || (node => applyDecay(node).sourceBonus);
+
+  const centrality = options.centrality || computeCentrality(graph, options);
+  const maxWeight = Math.log1p(Math.max(...nodes.map(node => node.weight || 0), 0)) || 1;
+
+  const raw = new Map();
+  for (const node of nodes) {
+    const c = centrality.get(node.id);
+    const structural =
+      (blend.pagerank || 0) * c.pagerank +
+      (blend.degree || 0) * c.degree +
+      (blend.betweenness || 0) * c.betweenness +
+      (blend.weight || 0) * Math.log1p(node.weight || 0) / maxWeight;
+    raw.set(node.id, structural * decayOf(node) * sourceWeightOf(node));
+  }
+
+  const max = Math.max(...raw.values(), 0) || 1;
+  const result = new Map();
+  for (const [id, value] of raw) {
+    result.set(id, { ...centrality.get(id), importance: Math.round(value / max * 1e4) / 1e4 });
+  }
+  return result;
+}
+
+/**
+ * Find the most important nodes (see computeImportance)
  * @param {KnowledgeGraph} graph - The graph
  * @param {number} [limit=10] - Number of nodes to return
+ * @param {Object} [options] - Passed to computeImportance
  * @returns {Array<GraphNode>}
  */
-function findKeyNodes(graph, limit = 10) {
-  const nodes = graph.getNodes();
-  
-  // Score = weight * sqrt(edge_count)
-  const scored = nodes.map(node => {
-    const edgeCount = graph.getNodeEdges(node.id).length;
+function findKeyNodes(graph, limit = 10, options = {}) {
+  const importance = computeImportance(graph, options);
+  return graph.getNodes()
+    .sort((a, b) => importance.get(b.id).importance - importance.get(a.id).importance || b.weight - a.weight)
+    .slice(0, limit);
+}
+
+/**
+ * Detected community
+ * @typedef {Object} Community
+ * @property {string} id - Seed key when pinned, otherwise derived from the top node
+ * @property {string} name - Seed name, or the labels of the top nodes
+ * @property {Array<string>} nodes - Member node IDs, heaviest first
+ * @property {Array<string>} top - Labels of the heaviest members
+ * @property {number} size - Member count
+ * @property {number} weight - Summed member weight
+ * @property {string|null} seed - Seed district key it is pinned to
+ * @property {Object|null} seedConfig - The seed's entry (color, position, ...)
+ */
+
+/**
+ * One Louvain level: move nodes between communities while modularity improves
+ * @param {Array<Map<number, number>>} adjacency - Neighbor index -> weight (self-loop under own index)
+ * @param {number} resolution - Modularity resolution
+ * @returns {{membership: Array<number>, count: number, moved: boolean}}
+ */
+function louvainLevel(adjacency, resolution) {
+  const n = adjacency.length;
+  const degree = adjacency.map(neighbors => [...neighbors.values()].reduce((sum, w) => sum + w, 0));
+  const total = degree.reduce((sum, k) => sum + k, 0);
+  const membership = adjacency.map((_, i) => i);
+  const communityDegree = [...degree];
+  let moved = false;
+
+  let improved = total > 0;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < n; i++) {
+      const current = membership[i];
+      const links = new Map();
+      for (const [j, w] of adjacency[i]) {
+        if (j === i) continue;
+        links.set(membership[j], (links.get(membership[j]) || 0) + w);
+      }
+
+      // Take i out, then put it back wherever the modularity gain is largest
+      communityDegree[current] -= degree[i];
+      const gain = (c) => (links.get(c) || 0) - resolution * communityDegree[c] * degree[i] / total;
+      let best = current;
+      let bestGain = gain(current);
+      for (const c of links.keys()) {
+        const g = gain(c);
+        if (g > bestGain + 1e-12) {
+          best = c;
+          bestGain = g;
+        }
+      }
+      communityDegree[best] += degree[i];
+
+      if (best !== current) {
+        membership[i] = best;
+        improved = true;
+        moved = true;
+      }
+    }
+  }
+
+  // Renumber to 0..count-1
+  const index = new Map();
+  for (let i = 0; i < n; i++) {
+    if (!index.has(membership[i])) index.set(membership[i], index.size);
+    membership[i] = index.get(membership[i]);
+  }
+  return { membership, count: index.size, moved };
+}
+
+/**
+ * Check whether a node matches a seed member: an ID ('ticker:rklb'),
+ * a whole type ('ticker:*') or a bare label ('Rocket Lab')
+ */
+function matchesSeedMember(member, node) {
+  const id = node.id.toLowerCase();
+  if (member.endsWith(':*')) return id.startsWith(member.slice(0, -1).toLowerCase());
+  if (member.includes(':')) return id === member.toLowerCase();
+  return normalize(node.label) === normalize(member);
+}
+
+/**
+ * Detect communities from graph structure: Louvain modularity optimisation,
+ * then (as in Leiden) any community that is not internally connected is
+ * split into its connected parts. Clusters are named after their heaviest
+ * nodes, or pinned to a seed district when enough of their weight matches
+ * the seed's members; clusters pinned to the same seed become one community.
+ * @param {KnowledgeGraph|{nodes: Array<Object>, edges: Array<Object>}} graph - Graph, or nodes ({id, label, weight}) and edges ({source, target, weight})
+ * @param {Object} [options]
+ * @param {number} [options.resolution=1] - Higher values give more, smaller communities
+ * @param {number} [options.minSize=2] - Smaller communities are gathered into 'unclustered'
+ * @param {number} [options.minSeedShare=0.25] - Share of a cluster's weight that must match a seed to pin it
+ * @param {Object<string, {name: string, members: Array<string>}>} [options.seeds] - Seed districts by key
+ * @param {function(Object): number} [options.weightOf] - Node weight for naming and pinning (default node.weight)
+ * @returns {{assignments: Map<string, string>, communities: Array<Community>}}
+ */
+function detectCommunities(graph, options = {}) {
+  const resolution = options.resolution ?? 1;
+  const minSize = options.minSize ?? 2;
+  const minSeedShare = options.minSeedShare ?? 0.25;
+  const seeds = options.seeds || {};
+  const weightOf = options.weightOf || (node => node.weight || 1);
+
+  const { nodes, edges } = graphParts(graph);
+  const indexOf = new Map(nodes.map((node, i) => [node.id, i]));
+
+  // Undirected weighted adjacency; parallel edges (co-occurrence plus a relation) add up
+  const adjacency = nodes.map(() => new Map());
+  for (const edge of edges) {
+    const a = indexOf.get(edge.source);
+    const b = indexOf.get(edge.target);
+    const w = edge.weight ?? 1;
+    if (a === undefined || b === undefined || a === b || !(w > 0)) continue;
+    adjacency[a].set(b, (adjacency[a].get(b) || 0) + w);
+    adjacency[b].set(a, (adjacency[b].get(a) || 0) + w);
+  }
+
+  // Louvain: optimise a level, collapse communities into nodes, repeat
+  let membership = nodes.map((_, i) => i);
+  let level = adjacency;
+  for (;;) {
+    const result = louvainLevel(level, resolution);
+    if (!result.moved) break;
+    membership = membership.map(c => result.membership[c]);
+
+    const collapsed = Array.from({ length: result.count }, () => new Map());
+    level.forEach((neighbors, i) => {
+      const ci = result.membership[i];
+      for (const [j, w] of neighbors) {
+        const cj = result.membership[j];
+        collapsed[ci].set(cj, (collapsed[ci].get(cj) || 0) + w);
+      }
+    });
+    level = collapsed;
+  }
+
+  // Split communities that are not connected internally
+  const clusters = [];
+  const visited = new Set();
+  for (let start = 0; start < nodes.length; start++) {
+    if (visited.has(start)) continue;
+    const members = [];
+    const queue = [start];
+    visited.add(start);
+    while (queue.length) {
+      const i = queue.pop();
+      members.push(nodes[i]);
+      for (const j of adjacency[i].keys()) {
+        if (!visited.has(j) && membership[j] === membership[start]) {
+          visited.add(j);
+          queue.push(j);
+        }
+      }
+    }
+    clusters.push(members);
+  }
+
+  // Pin clusters to seeds; merge clusters sharing a seed
+  const groups = new Map();
+  const unclustered = [];
+  for (const members of clusters) {
+    const clusterWeight = members.reduce((sum, node) => sum + weightOf(node), 0);
+    let seed = null;
+    let bestShare = 0;
+    for (const [key, config] of Object.entries(seeds)) {
+      const matched = members
+        .filter(node => (config.members || []).some(member => matchesSeedMember(member, node)))
+        .reduce((sum, node) => sum + weightOf(node), 0);
+      const share = clusterWeight > 0 ? matched / clusterWeight : 0;
+      if (share >= minSeedShare && share > bestShare) {
+        seed = key;
+        bestShare = share;
+      }
+    }
+
+    if (seed) {
+      if (!groups.has(seed)) groups.set(seed, { seed, members: [] });
+      groups.get(seed).members.push(...members);
+    } else if (members.length < minSize) {
+      unclustered.push(...members);
+    } else {
+      groups.set(Symbol('cluster'), { seed: null, members });
+    }
+  }
+
+  const communities = [];
+  const usedIds = new Set();
+  const uniqueId = (base) => {
+    let id = base || 'cluster';
+    for (let i = 2; usedIds.has(id); i++) id = `${base}-${i}`;
+    usedIds.add(id);
+    return id;
+  };
+  // Seed keys first so an auto-named cluster can't take one
+  for (const key of groups.keys()) {
+    if (typeof key === 'string') usedIds.add(key);
+  }
+  usedIds.add('unclustered');
+
+  const describe = (members, seed, fixedId) => {
+    members.sort((a, b) => weightOf(b) - weightOf(a) || (a.id < b.id ? -1 : 1));
+    const top = members.slice(0, 3).map(node => node.label);
+    const seedConfig = seed ? seeds[seed] : null;
     return {
-      node,
-      score: node.weight * Math.sqrt(edgeCount + 1)
+      id: fixedId || uniqueId(normalize(top[0]).replace(/_/g, '-')),
+      name: seedConfig ? seedConfig.name || seed : top.slice(0, 2).join(' · '),
+      nodes: members.map(node => node.id),
+      top,
+      size: members.length,
+      weight: Math.round(members.reduce((sum, node) => sum + weightOf(node), 0) * 100) / 100,
+      seed,
+      seedConfig
     };
-  });
-  
-  scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, limit).map(s => s.node);
+  };
+
+  for (const group of groups.values()) {
+    communities.push(describe(group.members, group.seed, group.seed));
+  }
+  if (unclustered.length) {
+    communities.push({ ...describe(unclustered, null, 'unclustered'), name: 'Unclustered' });
+  }
+  communities.sort((a, b) => b.weight - a.weight);
+
+  const assignments = new Map();
+  for (const community of communities) {
+    for (const id of community.nodes) assignments.set(id, community.id);
+  }
+  return { assignments, communities };
 }
 
 // Exports
 module.exports = {
   KnowledgeGraph,
+  EDGE_WEIGHTS,
+  edgeId,
+  aliasKey,
   buildGraph,
   buildGraphFromFiles,
+  updateSource,
+  syncSource,
+  hashContent,
   mergeGraphs,
-  findKeyNodes
+  diffGraphs,
+  findKeyNodes,
+  computeCentrality,
+  computeImportance,
+  detectCommunities
 };
 
 // ============================================================
@@ -422,11 +1514,17 @@ Discussed Google's AI announcements with the team.
 
   console.log('\n--- Key Nodes ---');
   const keyNodes = findKeyNodes(graph, 5);
+  const importance = computeImportance(graph);
   for (const node of keyNodes) {
     const edgeCount = graph.getNodeEdges(node.id).length;
-    console.log(`  ${node.label} (${node.type}): weight=${node.weight}, edges=${edgeCount}`);
+    const { importance: score, pagerank, betweenness: between } = importance.get(node.id);
+    console.log(`  ${node.label} (${node.type}): weight=${node.weight}, edges=${edgeCount}, importance=${score}, pagerank=${pagerank}, betweenness=${between}`);
   }
 
+  console.log('\n--- Dated Timestamps ---');
+  const tsla = graph.getNode('ticker:tsla');
+  console.log(`  TSLA firstSeen: ${new Date(tsla.firstSeen).toISOString().slice(0, 10)} (from memory/2026-01-15.md)`);
+
   console.log('\n--- Neighbors of "person:anton" ---');
   const neighbors = graph.getNeighbors('person:anton');
   console.log(`  Found ${neighbors.length} neighbors:`);
@@ -434,6 +1532,86 @@ Discussed Google's AI announcements with the team.
     console.log(`    - ${n.label} (${n.type})`);
   }
 
+  console.log('\n--- Incremental Update Test ---');
+  const before = { nodes: graph.nodes.size, edges: graph.edges.size };
+  updateSource(testMarkdown2.replace('NVDA still strong.', 'RKLB looking strong.'), 'memory/2026-01-16.md', graph);
+  console.log(`  Sources: ${graph.getSources().join(', ')}`);
+  console.log(`  After edit: ${graph.nodes.size} nodes, ${graph.edges.size} edges`);
+  console.log(`  ticker:rklb present: ${graph.nodes.has('ticker:rklb')}`);
+  console.log(`  ticker:nvda weight: ${graph.getNode('ticker:nvda').weight}`);
+  updateSource(null, 'memory/2026-01-16.md', graph);
+  console.log(`  After delete: ${graph.nodes.size} nodes, ${graph.edges.size} edges`);
+  console.log(`  ticker:rklb present: ${graph.nodes.has('ticker:rklb')}`);
+  buildGraph(testMarkdown2, 'memory/2026-01-16.md', graph);
+  console.log(`  Restored: ${graph.nodes.size === before.nodes && graph.edges.size === before.edges}`);
+  console.log(`  Unchanged content skipped: ${!syncSource(testMarkdown2, 'memory/2026-01-16.md', graph)}`);
+  console.log(`  Unknown source delete skipped: ${!syncSource(null, 'memory/nope.md', graph)}`);
+
+  console.log('\n--- Alias Test ---');
+  const aliased = buildGraph('## Rocket Lab\n\nRKLB up 8%, Anton restarted the bot with `pm2`.\n\n## Scanner\n\nAnton moved the scanner too.', 'MEMORY.md');
+  console.log(`  Before: ${aliased.getNodes().map(n => n.id).join(', ')}`);
+  aliased.addAlias('Rocket Lab', 'ticker:rklb', 'aliases.json');
+  aliased.addAlias('topic:anton', 'person:anton', 'aliases.json');
+  const rklb = aliased.getNode('ticker:rklb');
+  console.log(`  After:  ${aliased.getNodes().map(n => n.id).join(', ')}`);
+  console.log(`  RKLB weight: ${rklb.weight}, aliases: ${[...rklb.aliases].join(', ')}`);
+  console.log(`  No self-loops: ${aliased.getEdges().every(e => e.source !== e.target)}`);
+  updateSource('## Rocket Lab\n\nHiring again.', 'memory/2026-01-17.md', aliased);
+  console.log(`  New mention lands on: ${aliased.getNode('header:rocket_lab') ? 'header:rocket_lab' : 'ticker:rklb'} (weight ${rklb.weight})`);
+  
+  console.log(`  RKLB mentions after fold: ${aliased.getMentions('ticker:rklb').map(m => `${m.source}:${m.lineStart}`).join(', ')}`);
+  
+  const frontMatter = buildGraph('---\naliases: [Copilot, copilot-money]\n---\n# Copilot Money\n\nCopilot synced with `copilot-money`.', 'notes/copilot.md');
+  console.log(`  Front matter canonical: ${frontMatter.getNodes().map(n => n.id).join(', ')}`);
+
+  console.log('\n--- Provenance Test ---');
+  for (const mention of graph.getMentions('ticker:nvda')) {
+    const date = mention.date ? new Date(mention.date).toISOString().slice(0, 10) : 'undated';
+    console.log(`  ${mention.source} lines ${mention.lineStart}-${mention.lineEnd} (${date}): "${mention.text.slice(0, 40)}..."`);
+  }
+
+  console.log('\n--- Link Test ---');
+  const linked = buildGraph('# Launch Plan\n\nAnton wants [[Rocket Lab]] covered, see [[PM2]] and [the docs](https://example.com/docs).\n\nRocket Lab again: [[Rocket Lab]].', 'notes/launch-plan.md');
+  for (const edge of linked.getEdges().filter(e => e.type === 'links_to')) {
+    console.log(`  ${edge.id} (weight: ${edge.weight})`);
+  }
+  console.log(`  Edge types: ${JSON.stringify(linked.getStats().edgeTypeCount)}`);
+  updateSource(null, 'notes/launch-plan.md', linked);
+  console.log(`  After delete: ${linked.edges.size} edges`);
+
+  console.log('\n--- Relation Test ---');
+  const related = buildGraph('# Ops\n\nAnton owns LUNR and RKLB. Anton uses `pm2` for the scanner.\n\nDecided to deploy via `coolify`.', 'notes/ops.md');
+  for (const edge of related.getEdges().filter(e => e.type === 'relation')) {
+    console.log(`  ${edge.source} -${edge.relation}-> ${edge.target} (weight: ${edge.weight})`);
+  }
+
+  console.log('\n--- Community Test ---');
+  const clustered = buildGraph([
+    'RKLB and LUNR gapped up.', 'LUNR, RKLB and ASTS all moved.', 'ASTS and RKLB ran again.',
+    'Restarted `pm2` and `docker`.', '`docker` and `coolify` redeployed.', '`coolify` restarts `pm2` jobs.',
+    'RKLB alerts now run under `pm2`.'
+  ].join('\n\n'), 'MEMORY.md');
+  const { communities } = detectCommunities(clustered);
+  for (const community of communities) {
+    console.log(`  ${community.id} "${community.name}": ${community.nodes.join(', ')}`);
+  }
+  const seeded = detectCommunities(clustered, {
+    seeds: { trading: { name: 'Trading Mind', members: ['ticker:*'] } }
+  });
+  const bridges = [...computeCentrality(clustered)].sort((a, b) => b[1].betweenness - a[1].betweenness);
+  console.log(`  Top bridge: ${bridges[0][0]} (betweenness ${bridges[0][1].betweenness}, pagerank ${bridges[0][1].pagerank})`);
+  console.log(`  Seeded: ${seeded.communities.map(c => `${c.id}${c.seed ? ' (pinned)' : ''}`).join(', ')}`);
+  console.log(`  ticker:rklb -> ${seeded.assignments.get('ticker:rklb')}, tool:docker -> ${seeded.assignments.get('tool:docker')}`);
+
+  console.log('\n--- Diff Test ---');
+  const earlier = buildGraph('RKLB and LUNR gapped up.\n\nRestarted `pm2`.', 'MEMORY.md');
+  const later = buildGraph('RKLB and LUNR gapped up.\n\nLUNR again, with ASTS.', 'MEMORY.md');
+  const changes = diffGraphs(earlier, later);
+  for (const kind of ['nodes', 'edges']) {
+    const summary = Object.entries(changes[kind]).map(([change, items]) => `${change} ${items.map(i => i.id).join(', ') || '-'}`);
+    console.log(`  ${kind}: ${summary.join('; ')}`);
+  }
+
   console.log('\n--- Serialization Test ---');
   const json = graph.toJSON();
   console.log(`  Serialized: ${JSON.stringify(json).length} bytes`);
@@ -441,6 +1619,8 @@ Discussed Google's AI announcements with the team.
   const restored = new KnowledgeGraph();
   restored.fromJSON(json);
   console.log(`  Restored: ${restored.nodes.size} nodes, ${restored.edges.size} edges`);
+  console.log(`  Restored sources: ${restored.getSources().length}, hash kept: ${restored.getSourceHash('memory/2026-01-16.md') === hashContent(testMarkdown2)}`);
+  console.log(`  Restored mentions: ${restored.getMentions('ticker:nvda').length === graph.getMentions('ticker:nvda').length}`);
 
   console.log('\n=== Test Complete ===');
 }
@@ -3,8 +3,18 @@
  * Ties together extraction, graph construction, and temporal decay
  */
 
-const { extractEntities, extractByParagraph, getAllNodeIds, normalize } = require('./extractor');
-const { KnowledgeGraph, buildGraph, buildGraphFromFiles, mergeGraphs, findKeyNodes } = require('./graph');
+const {
+  extractEntities,
+  extractByParagraph,
+  splitDatedParagraphs,
+  getAllNodeIds,
+  normalize,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractors,
+  getNodeTypes
+} = require('./extractor');
+const { KnowledgeGraph, buildGraph, buildGraphFromFiles, updateSource, syncSource, mergeGraphs, diffGraphs, findKeyNodes, detectCommunities } = require('./graph');
 const { 
   applyDecay, 
   applyDecayToGraph, 
@@ -15,6 +25,12 @@ const {
   HALF_LIVES,
   SOURCE_WEIGHTS
 } = require('./decay');
+const { loadConfig, createSources } = require('./config');
+const { loadAliasFile, applyAliases, suggestAliases } = require('./aliases');
+const { scoreEdges, scoreGraphEdges, disparityFilter } = require('./scoring');
+const { GraphQuery } = require('./query');
+const { RecallIndex, linkEntities } = require('./recall');
+const { buildContextVectors, similarityEdges } = require('./similarity');
 
 /**
  * Full pipeline: markdown -> decayed knowledge graph
@@ -62,15 +78,24 @@ module.exports = {
   // Extractor
   extractEntities,
   extractByParagraph,
+  splitDatedParagraphs,
   getAllNodeIds,
   normalize,
+  registerExtractor,
+  unregisterExtractor,
+  getExtractors,
+  getNodeTypes,
   
   // Graph
   KnowledgeGraph,
   buildGraph,
   buildGraphFromFiles,
+  updateSource,
+  syncSource,
   mergeGraphs,
+  diffGraphs,
   findKeyNodes,
+  detectCommunities,
   
   // Decay
   applyDecay,
@@ -80,7 +105,32 @@ module.exports = {
   filterByWeight,
   getTopNodes,
   HALF_LIVES,
-  SOURCE_WEIGHTS
+  SOURCE_WEIGHTS,
+  
+  // Config
+  loadConfig,
+  createSources,
+  
+  // Aliases
+  loadAliasFile,
+  applyAliases,
+  suggestAliases,
+  
+  // Edge scoring
+  scoreEdges,
+  scoreGraphEdges,
+  disparityFilter,
+  
+  // Queries
+  GraphQuery,
+  
+  // Recall
+  RecallIndex,
+  linkEntities,
+  
+  // Similarity
+  buildContextVectors,
+  similarityEdges
 };
 
 // ============================================================
@@ -0,0 +1,297 @@
+/**
+ * Knowledge Engine - Graph Queries
+ * Targeted reads over a KnowledgeGraph for the HTTP API: node lookup,
+ * neighborhoods, label search, paths between nodes and filtered subgraphs.
+ *
+ * Works on whatever graph it is given; the server passes the graph it
+ * serves on /graph, so query results carry the same scored edges and
+ * per-node fields (importance, community, displayWeight).
+ */
+
+const { KnowledgeGraph } = require('./graph');
+
+const MAX_DEPTH = 3;
+const MAX_RESULTS = 500;
+
+/**
+ * Rank used to order nodes: combined importance when the graph has it,
+ * otherwise display weight or raw weight
+ */
+function rankOf(node) {
+  return node.importance ?? node.displayWeight ?? node.weight ?? 0;
+}
+
+/**
+ * Clamp a numeric query parameter
+ */
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+/**
+ * Parse a comma-separated list parameter
+ * @returns {Array<string>|null} null when absent or empty
+ */
+function parseList(value) {
+  if (!value) return null;
+  const list = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Plain node summary for neighbor lists and paths
+ */
+function summarize(node) {
+  return { id: node.id, label: node.label, type: node.type, weight: node.weight, importance: node.importance };
+}
+
+/**
+ * Queries over one graph. Build a new one when the graph is replaced.
+ */
+class GraphQuery {
+  /**
+   * @param {KnowledgeGraph|{nodes: Array<Object>, edges: Array<Object>}} graph - Graph, or a serialized { nodes, edges } snapshot
+   */
+  constructor(graph) {
+    if (graph instanceof KnowledgeGraph) {
+      this.graph = graph;
+    } else {
+      this.graph = new KnowledgeGraph();
+      this.graph.fromJSON({
+        nodes: graph.nodes || [],
+        // Externally posted edges may lack IDs
+        edges: (graph.edges || []).map(edge => edge.id ? edge : { ...edge, id: `${edge.source}↔${edge.target}` })
+      });
+    }
+  }
+
+  /**
+   * Look up one node with its edges and sources
+   * @param {string} id - Node ID
+   * @returns {Object|null} { node, edges, neighbors, sources } or null if unknown
+   */
+  getNode(id) {
+    const node = this.graph.getNode(id);
+    if (!node) return null;
+
+    const edges = this.graph.getNodeEdges(id).sort((a, b) => b.weight - a.weight);
+    return {
+      node: { ...node, sources: [...node.sources], ...(node.aliases && { aliases: [...node.aliases] }) },
+      edges,
+      neighbors: this.graph.getNeighbors(id).sort((a, b) => rankOf(b) - rankOf(a)).map(summarize),
+      sources: [...node.sources]
+    };
+  }
+
+  /**
+   * Nodes within `depth` hops of a node, and the edges between them
+   * @param {string} id - Center node ID
+   * @param {Object} [options]
+   * @param {number} [options.depth=1] - Hops (1-3)
+   * @param {number} [options.limit=200] - Most nodes returned (nearest, then highest ranked)
+   * @returns {Object|null} { center, depth, nodes (with `depth`), edges } or null if unknown
+   */
+  getNeighborhood(id, options = {}) {
+    if (!this.graph.getNode(id)) return null;
+    const depth = clampInt(options.depth, 1, 1, MAX_DEPTH);
+    const limit = clampInt(options.limit, 200, 1, MAX_RESULTS);
+
+    const distance = new Map([[id, 0]]);
+    let frontier = [id];
+    for (let hop = 1; hop <= depth && frontier.length; hop++) {
+      const next = [];
+      for (const current of frontier) {
+        for (const neighbor of this.graph.getNeighbors(current)) {
+          if (distance.has(neighbor.id)) continue;
+          distance.set(neighbor.id, hop);
+          next.push(neighbor.id);
+        }
+      }
+      frontier = next;
+    }
+
+    const nodes = [...distance]
+      .map(([nodeId, hops]) => ({ ...this.graph.getNode(nodeId), depth: hops }))
+      .sort((a, b) => a.depth - b.depth || rankOf(b) - rankOf(a))
+      .slice(0, limit)
+      .map(node => ({ ...node, sources: [...node.sources] }));
+
+    const included = new Set(nodes.map(node => node.id));
+    const edges = this.graph.getEdges().filter(edge => included.has(edge.source) && included.has(edge.target));
+    return { center: id, depth, nodes, edges };
+  }
+
+  /**
+   * Search nodes by label, ID or alias
+   * @param {string} q - Search text (case-insensitive)
+   * @param {Object} [options]
+   * @param {Array<string>|string} [options.type] - Node type(s), list or comma-separated
+   * @param {number} [options.limit=20] - Most results
+   * @returns {Array<Object>} Node summaries with `score`, best match first
+   */
+  search(q, options = {}) {
+    const needle = String(q || '').trim().toLowerCase();
+    const types = Array.isArray(options.type) ? options.type : parseList(options.type);
+    const limit = clampInt(options.limit, 20, 1, MAX_RESULTS);
+
+    const results = [];
+    for (const node of this.graph.nodes.values()) {
+      if (types && !types.includes(node.type)) continue;
+
+      let score = needle ? 0 : 1;
+      const names = [node.label, node.id.slice(node.id.indexOf(':') + 1), ...(node.aliases || [])]
+        .map(name => String(name).toLowerCase());
+      for (const name of names) {
+        if (!needle) break;
+        if (name === needle) score = Math.max(score, 4);
+        else if (name.startsWith(needle)) score = Math.max(score, 3);
+        else if (name.split(/[\s_\-./]+/).some(word => word.startsWith(needle))) score = Math.max(score, 2);
+        else if (name.includes(needle)) score = Math.max(score, 1);
+      }
+      if (score > 0) results.push({ ...summarize(node), score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || rankOf(b) - rankOf(a) || a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Find a path between two nodes
+   * @param {string} from - Start node ID
+   * @param {string} to - End node ID
+   * @param {Object} [options]
+   * @param {'strength'|'hops'} [options.by='strength'] - Strongest path (edge cost 1/score or 1/weight) or fewest hops
+   * @returns {Object|null} { from, to, by, nodes, edges, hops, cost }, null if either node is unknown;
+   *   nodes and edges are empty when no path exists
+   */
+  findPath(from, to, options = {}) {
+    if (!this.graph.getNode(from) || !this.graph.getNode(to)) return null;
+    const by = options.by === 'hops' ? 'hops' : 'strength';
+    // Scored co-occurrences carry their association score; other edges their weight
+    const costOf = (edge) => (by === 'hops' ? 1 : 1 / Math.max(edge.score ?? edge.weight ?? 1, 1e-6));
+
+    // Dijkstra (plain BFS order when every cost is 1); small graphs, so a scan beats a heap
+    const cost = new Map([[from, 0]]);
+    const previous = new Map();
+    const done = new Set();
+    while (true) {
+      let current = null;
+      for (const [id, c] of cost) {
+        if (!done.has(id) && (current === null || c < cost.get(current))) current = id;
+      }
+      if (current === null || current === to) break;
+      done.add(current);
+
+      for (const edge of this.graph.getNodeEdges(current)) {
+        const next = edge.source === current ? edge.target : edge.source;
+        if (done.has(next)) continue;
+        const candidate = cost.get(current) + costOf(edge);
+        if (!cost.has(next) || candidate < cost.get(next)) {
+          cost.set(next, candidate);
+          previous.set(next, { id: current, edge });
+        }
+      }
+    }
+
+    if (!cost.has(to)) {
+      return { from, to, by, nodes: [], edges: [], hops: null, cost: null };
+    }
+
+    const nodes = [to];
+    const edges = [];
+    for (let step = previous.get(to); step; step = previous.get(step.id)) {
+      nodes.unshift(step.id);
+      edges.unshift(step.edge);
+    }
+    return {
+      from,
+      to,
+      by,
+      nodes: nodes.map(id => summarize(this.graph.getNode(id))),
+      edges,
+      hops: edges.length,
+      cost: Math.round(cost.get(to) * 1e4) / 1e4
+    };
+  }
+
+  /**
+   * Filtered subgraph: nodes by type and weight, the top `limit` by rank,
+   * and the edges between them at or above `minWeight`
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most nodes
+   * @param {number} [options.minWeight] - Minimum node and edge weight
+   * @param {Array<string>|string} [options.types] - Node types, list or comma-separated
+   * @returns {{nodes: Array<Object>, edges: Array<Object>}}
+   */
+  subgraph(options = {}) {
+    const types = Array.isArray(options.types) ? options.types : parseList(options.types);
+    const minWeight = Number(options.minWeight) || 0;
+    const limit = options.limit === undefined ? Infinity : clampInt(options.limit, Infinity, 0, Infinity);
+
+    const nodes = this.graph.getNodes()
+      .filter(node => (!types || types.includes(node.type)) && node.weight >= minWeight)
+      .sort((a, b) => rankOf(b) - rankOf(a))
+      .slice(0, limit);
+
+    const included = new Set(nodes.map(node => node.id));
+    const edges = this.graph.getEdges()
+      .filter(edge => included.has(edge.source) && included.has(edge.target) && edge.weight >= minWeight);
+    return { nodes, edges };
+  }
+}
+
+// Exports
+module.exports = {
+  GraphQuery
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const { buildGraph } = require('./graph');
+
+  console.log('=== Knowledge Engine Query Test ===\n');
+
+  const graph = buildGraph([
+    'RKLB and LUNR gapped up.', 'LUNR and ASTS moved.', 'ASTS ran again with LUNR.',
+    'Restarted `pm2` and `docker`.', '`docker` and `coolify` redeployed.',
+    'RKLB alerts now run under `pm2`.',
+    'Anton reviewed NVDA.'
+  ].join('\n\n'), 'MEMORY.md');
+  const query = new GraphQuery(graph);
+
+  console.log('--- Node ---');
+  const rklb = query.getNode('ticker:rklb');
+  console.log(`  ${rklb.node.label}: ${rklb.edges.length} edges, neighbors ${rklb.neighbors.map(n => n.id).join(', ')}, sources ${rklb.sources.join(', ')}`);
+  console.log(`  Unknown node: ${query.getNode('ticker:zzzz')}`);
+
+  console.log('\n--- Neighbors ---');
+  for (const depth of [1, 2]) {
+    const hood = query.getNeighborhood('tool:coolify', { depth });
+    console.log(`  depth ${depth}: ${hood.nodes.map(n => `${n.id}@${n.depth}`).join(', ')} (${hood.edges.length} edges)`);
+  }
+
+  console.log('\n--- Search ---');
+  console.log(`  "lu": ${query.search('lu').map(r => `${r.id} (${r.score})`).join(', ')}`);
+  console.log(`  "d" type=tool: ${query.search('d', { type: 'tool' }).map(r => r.id).join(', ')}`);
+
+  console.log('\n--- Path ---');
+  for (const by of ['strength', 'hops']) {
+    const path = query.findPath('ticker:asts', 'tool:coolify', { by });
+    console.log(`  ${by}: ${path.nodes.map(n => n.label).join(' → ')} (${path.hops} hops, cost ${path.cost})`);
+  }
+  const none = query.findPath('ticker:rklb', 'ticker:nvda');
+  console.log(`  RKLB → NVDA: ${none.nodes.length ? 'found' : 'no path'}`);
+
+  console.log('\n--- Subgraph ---');
+  const sub = query.subgraph({ types: 'ticker', limit: 3 });
+  console.log(`  tickers, top 3: ${sub.nodes.map(n => n.id).join(', ')} (${sub.edges.length} edges)`);
+  const snapshot = new GraphQuery({ nodes: graph.getNodes(), edges: graph.getEdges() });
+  console.log(`  From snapshot, minWeight 2: ${snapshot.subgraph({ minWeight: 2 }).nodes.map(n => n.id).join(', ')}`);
+
+  console.log('\n=== Test Complete ===');
+}
@@ -0,0 +1,249 @@
+/**
+ * Knowledge Engine - Full-Text Recall
+ * BM25 index over workspace paragraphs, for "what do I know about X"
+ * questions that want the notes themselves rather than graph nodes.
+ *
+ * Paragraphs are split exactly like extraction does (splitDatedParagraphs),
+ * so a hit's source and paragraph index line up with the graph's
+ * provenance and can be linked back to the entities it mentions.
+ * Everything is in memory and local; there is no embedding service.
+ */
+
+const { splitDatedParagraphs } = require('./extractor');
+
+// BM25 term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Characters of context returned around the best match
+const SNIPPET_LENGTH = 240;
+
+// Words too common to say anything about a paragraph
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'do', 'for',
+  'from', 'had', 'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me',
+  'my', 'no', 'not', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'then',
+  'there', 'these', 'this', 'to', 'too', 'was', 'we', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with', 'you', 'about', 'know', 'did', 'does'
+]);
+
+/**
+ * Fold simple plurals so "alerts" finds "alert"
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Split text into index terms: lowercase letter/digit runs, stopwords dropped
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms, in order, with repeats
+ */
+function tokenize(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Cut a window of text around the first query term it contains
+ * @param {string} text - Paragraph text
+ * @param {Set<string>} terms - Query terms
+ * @returns {string}
+ */
+function makeSnippet(text, terms) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  let at = 0;
+  const word = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = word.exec(text)) !== null) {
+    if (terms.has(stem(match[0].toLowerCase()))) {
+      at = match.index;
+      break;
+    }
+  }
+
+  const start = Math.max(0, Math.min(at - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * In-memory BM25 index of paragraphs, updated one source file at a time
+ */
+class RecallIndex {
+  constructor() {
+    /** @type {Map<string, Object>} Doc key (source#paragraph) -> paragraph */
+    this.docs = new Map();
+    /** @type {Map<string, Map<string, number>>} Term -> doc key -> term frequency */
+    this.postings = new Map();
+    /** @type {Map<string, Array<string>>} Source -> its doc keys */
+    this.sourceDocs = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * (Re-)index a source file's paragraphs
+   * @param {string} source - Source file (relative path)
+   * @param {string|null} content - File content; null removes the source
+   * @returns {number} Paragraphs indexed
+   */
+  updateSource(source, content) {
+    this.removeSource(source);
+    if (content === null || content === undefined) return 0;
+
+    const keys = [];
+    for (const para of splitDatedParagraphs(content, source)) {
+      const terms = tokenize(para.content);
+      if (terms.length === 0) continue;
+
+      const key = `${source}#${para.paragraphIndex}`;
+      const counts = new Map();
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        this.postings.get(term).set(key, count);
+      }
+
+      this.docs.set(key, {
+        source,
+        paragraph: para.paragraphIndex,
+        lineStart: para.lineStart,
+        lineEnd: para.lineEnd,
+        date: para.date || null,
+        text: para.content,
+        length: terms.length,
+        terms: [...counts.keys()]
+      });
+      this.totalLength += terms.length;
+      keys.push(key);
+    }
+
+    if (keys.length) this.sourceDocs.set(source, keys);
+    return keys.length;
+  }
+
+  /**
+   * Drop a source file's paragraphs
+   * @param {string} source - Source file
+   */
+  removeSource(source) {
+    for (const key of this.sourceDocs.get(source) || []) {
+      const doc = this.docs.get(key);
+      for (const term of doc.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(key);
+        if (posting.size === 0) this.postings.delete(term);
+      }
+      this.totalLength -= doc.length;
+      this.docs.delete(key);
+    }
+    this.sourceDocs.delete(source);
+  }
+
+  /**
+   * Rank paragraphs against a query with BM25
+   * @param {string} query - Free text
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Most results
+   * @returns {Array<Object>} { source, paragraph, lineStart, lineEnd, date, text, snippet, score }, best first
+   */
+  search(query, options = {}) {
+    const limit = options.limit || 10;
+    const terms = new Set(tokenize(query));
+    const total = this.docs.size;
+    if (terms.size === 0 || total === 0) return [];
+
+    const avgLength = this.totalLength / total;
+    const scores = new Map();
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [key, tf] of posting) {
+        const { length } = this.docs.get(key);
+        const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+        scores.set(key, (scores.get(key) || 0) + idf * norm);
+      }
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1] || (this.docs.get(b[0]).date || 0) - (this.docs.get(a[0]).date || 0))
+      .slice(0, limit)
+      .map(([key, score]) => {
+        const { length, terms: docTerms, ...doc } = this.docs.get(key);
+        return { ...doc, snippet: makeSnippet(doc.text, terms), score: Math.round(score * 1e4) / 1e4 };
+      });
+  }
+
+  /**
+   * Index size
+   * @returns {{sources: number, paragraphs: number, terms: number}}
+   */
+  getStats() {
+    return { sources: this.sourceDocs.size, paragraphs: this.docs.size, terms: this.postings.size };
+  }
+}
+
+/**
+ * Attach the entities each hit mentions, from the graph's provenance
+ * @param {Array<Object>} hits - From RecallIndex.search()
+ * @param {KnowledgeGraph} graph - Live graph built from the same sources
+ * @returns {Array<Object>} Hits with `entities` ({ id, label, type })
+ */
+function linkEntities(hits, graph) {
+  return hits.map(hit => ({
+    ...hit,
+    entities: graph.getParagraphNodes(hit.source, hit.paragraph)
+      .map(({ id, label, type }) => ({ id, label, type }))
+  }));
+}
+
+// Exports
+module.exports = {
+  RecallIndex,
+  linkEntities,
+  tokenize
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const { KnowledgeGraph, buildGraph } = require('./graph');
+
+  console.log('=== Knowledge Engine Recall Test ===\n');
+
+  const files = {
+    'MEMORY.md': '# Memory\n\nRKLB alerts now run under `pm2` on the scanner box.\n\nAnton prefers small position sizes on space names.',
+    'memory/2026-01-15.md': '## Trading\n\nRocket Lab (RKLB) gapped up on launch news. Took profits on half.\n\n## Ops\n\nRestarted `docker` after the disk filled up.',
+    'notes/ideas.md': 'Maybe build a launch calendar for space tickers like RKLB and LUNR.'
+  };
+
+  const index = new RecallIndex();
+  const graph = new KnowledgeGraph();
+  for (const [source, content] of Object.entries(files)) {
+    index.updateSource(source, content);
+    buildGraph(content, source, graph);
+  }
+  console.log(`  Indexed: ${JSON.stringify(index.getStats())}`);
+  console.log(`  Tokens: ${tokenize('What do I know about the RKLB alerts?').join(', ')}`);
+
+  for (const query of ['RKLB launch', 'alert', 'disk docker']) {
+    console.log(`\n--- "${query}" ---`);
+    for (const hit of linkEntities(index.search(query, { limit: 3 }), graph)) {
+      console.log(`  ${hit.score.toFixed(3)} ${hit.source}:${hit.lineStart} "${hit.snippet.slice(0, 50)}" [${hit.entities.map(e => e.id).join(', ')}]`);
+    }
+  }
+
+  console.log('\n--- Incremental update ---');
+  index.updateSource('notes/ideas.md', 'Calendar idea dropped.');
+  console.log(`  "launch calendar" after edit: ${index.search('launch calendar').map(h => h.source).join(', ')}`);
+  index.updateSource('memory/2026-01-15.md', null);
+  console.log(`  "docker" after delete: ${index.search('docker').length} hits, ${JSON.stringify(index.getStats())}`);
+
+  console.log('\n=== Test Complete ===');
+}
@@ -0,0 +1,179 @@
+/**
+ * Knowledge Engine - Edge Scoring
+ * Turns raw co-occurrence counts into association scores and keeps only
+ * the significant ones, so hub entities stop connecting to everything.
+ *
+ * Methods (edgeScoring.method in absalom.config.json):
+ *   count   - raw co-occurrence count (the old behaviour)
+ *   pmi     - normalized pointwise mutual information, clipped at 0
+ *   jaccard - paragraphs with both / paragraphs with either
+ * With edgeScoring.backbone on, the disparity filter (Serrano et al. 2009)
+ * then drops edges that are not significant for either endpoint at `alpha`.
+ *
+ * Only co-occurrence edges are scored; explicit links and relations are kept.
+ */
+
+const { loadConfig } = require('./config');
+
+const SCORING_METHODS = ['count', 'pmi', 'jaccard'];
+
+/**
+ * Score one co-occurrence
+ * @param {string} method - 'count', 'pmi' or 'jaccard'
+ * @param {number} both - Paragraphs containing both entities
+ * @param {number} countA - Paragraphs containing A
+ * @param {number} countB - Paragraphs containing B
+ * @param {number} total - Paragraphs overall
+ * @returns {number} Score (>= 0; 0 means no association)
+ */
+function scorePair(method, both, countA, countB, total) {
+  // Mentions can exceed the paragraph counts (aliases, repeated subjects); clamp
+  const a = Math.max(countA, both);
+  const b = Math.max(countB, both);
+  const n = Math.max(total, a, b, 1);
+
+  switch (method) {
+    case 'pmi': {
+      if (both >= n) return 1;
+      const pmi = Math.log((both * n) / (a * b));
+      const npmi = pmi / -Math.log(both / n);
+      return Math.max(0, npmi);
+    }
+    case 'jaccard':
+      return both / (a + b - both);
+    default:
+      return both;
+  }
+}
+
+/**
+ * Disparity filter: keep edges whose share of an endpoint's strength is
+ * unlikely under a uniform split of that strength (p-value below alpha)
+ * @param {Array<{source: string, target: string, score: number}>} edges - Scored edges
+ * @param {number} alpha - Significance level (smaller keeps fewer edges)
+ * @returns {Array} Edges in the backbone, each with `significance` (lowest p-value)
+ */
+function disparityFilter(edges, alpha) {
+  const strength = new Map();
+  const degree = new Map();
+  for (const edge of edges) {
+    if (edge.score <= 0) continue;
+    for (const id of [edge.source, edge.target]) {
+      strength.set(id, (strength.get(id) || 0) + edge.score);
+      degree.set(id, (degree.get(id) || 0) + 1);
+    }
+  }
+
+  const pValue = (id, score) => {
+    const k = degree.get(id);
+    // A node's only edge is its backbone
+    if (k <= 1) return 0;
+    return Math.pow(1 - score / strength.get(id), k - 1);
+  };
+
+  const kept = [];
+  for (const edge of edges) {
+    if (edge.score <= 0) continue;
+    const significance = Math.min(pValue(edge.source, edge.score), pValue(edge.target, edge.score));
+    if (significance < alpha) {
+      kept.push({ ...edge, significance: Math.round(significance * 1e4) / 1e4 });
+    }
+  }
+  return kept;
+}
+
+/**
+ * Score co-occurrence edges and (optionally) reduce them to the backbone
+ * @param {Array<Object>} edges - Edges with source, target, weight (co-occurrence count) and optional type
+ * @param {Object} stats
+ * @param {function(string): number} stats.countOf - Paragraphs containing a node
+ * @param {number} stats.total - Paragraphs overall
+ * @param {Object} [options] - { method, backbone, alpha } (default: edgeScoring from config)
+ * @returns {Array<Object>} Explicit edges plus kept co-occurrence edges, each co-occurrence with `score`
+ */
+function scoreEdges(edges, stats, options = loadConfig().edgeScoring) {
+  const method = SCORING_METHODS.includes(options.method) ? options.method : 'count';
+  const explicit = [];
+  const scored = [];
+
+  for (const edge of edges) {
+    if (edge.type && edge.type !== 'co_occurs') {
+      explicit.push(edge);
+      continue;
+    }
+    const score = scorePair(method, edge.weight, stats.countOf(edge.source), stats.countOf(edge.target), stats.total);
+    scored.push({ ...edge, score: Math.round(score * 1e4) / 1e4 });
+  }
+
+  const kept = options.backbone
+    ? disparityFilter(scored, options.alpha ?? 0.05)
+    : scored.filter(edge => edge.score > 0);
+
+  return [...explicit, ...kept];
+}
+
+/**
+ * Score a KnowledgeGraph's edges
+ * @param {KnowledgeGraph} graph - Graph to score
+ * @param {Object} [options] - { method, backbone, alpha }
+ * @returns {Array<Object>} Scored (and filtered) edges
+ */
+function scoreGraphEdges(graph, options) {
+  const stats = {
+    countOf: (id) => {
+      const node = graph.getNode(id);
+      return node ? node.weight : 0;
+    },
+    total: graph.paragraphCount
+  };
+  return scoreEdges(graph.getEdges(), stats, options);
+}
+
+// Exports
+module.exports = {
+  SCORING_METHODS,
+  scorePair,
+  disparityFilter,
+  scoreEdges,
+  scoreGraphEdges
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const { buildGraph } = require('./graph');
+
+  console.log('=== Knowledge Engine Edge Scoring Test ===\n');
+
+  // "memory" is a hub: it shows up in every paragraph
+  const paragraphs = [
+    'Reviewed RKLB and LUNR in `memory` today.',
+    'RKLB and LUNR both up, logged in `memory`.',
+    'Space names RKLB, LUNR moving together.',
+    'Restarted `pm2` and `docker`, noted in `memory`.',
+    '`pm2` keeps `docker` alive, see `memory`.',
+    'NVDA earnings; wrote it to `memory`.',
+    'Anton asked about NVDA, saved to `memory`.'
+  ];
+  const graph = buildGraph(paragraphs.join('\n\n'), 'MEMORY.md');
+  console.log(`  Paragraphs: ${graph.paragraphCount}, co-occurrence edges: ${graph.getEdges().length}`);
+
+  const hubEdge = graph.getEdges().find(e => e.id === 'ticker:rklb↔tool:memory');
+  const pairEdge = graph.getEdges().find(e => e.id === 'ticker:lunr↔ticker:rklb');
+  console.log(`\n--- Pair scores (RKLB-LUNR vs RKLB-memory) ---`);
+  for (const method of SCORING_METHODS) {
+    const score = (edge) => scorePair(method, edge.weight, graph.getNode(edge.source).weight,
+      graph.getNode(edge.target).weight, graph.paragraphCount).toFixed(2);
+    console.log(`  ${method.padEnd(7)} RKLB-LUNR: ${score(pairEdge)}, RKLB-memory: ${score(hubEdge)}`);
+  }
+
+  console.log('\n--- Backbone ---');
+  for (const method of SCORING_METHODS) {
+    const kept = scoreGraphEdges(graph, { method, backbone: true, alpha: 0.3 });
+    const hubEdges = kept.filter(e => e.source === 'tool:memory' || e.target === 'tool:memory').length;
+    console.log(`  ${method.padEnd(7)} kept ${kept.length}/${graph.edges.size} edges, ${hubEdges} touching the hub`);
+  }
+
+  console.log('\n=== Test Complete ===');
+}
@@ -3,17 +3,92 @@
  * Knowledge Engine Server
  * 
  * WebSocket server for knowledge graph updates
- * Extends the existing state server with graph broadcast capability
+ * Single protocol server for every face page: state, graph, activation,
+ * tide, context, sub-agent and city endpoints all live here
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { WebSocketServer } = require('ws');
+const protocol = require('../renderer/protocol');
+const { createAuth, loadAuthConfig, getRequestToken, isLocalRequest } = require('./auth');
+const { createSources } = require('./config');
+const { GraphQuery } = require('./query');
 
 const PORT = process.env.PORT || 3847;
 const CITY_STATE_PATH = path.join(__dirname, '../data/city-state.json');
 
+// Relative change below which a numeric field is not worth a delta (decay drift)
+const DELTA_EPSILON = 0.001;
+// Above this share of changed items, one graph:full is cheaper than deltas
+const MAX_DELTA_RATIO = 0.5;
+// How long a new client has to send `hello` before it gets the default snapshot
+const HELLO_GRACE_MS = 250;
+// POST routes that only read (query in the body) and so need just the read scope
+const READ_ONLY_POSTS = new Set(['/api/recall']);
+// Most paragraphs one recall returns
+const MAX_RECALL = 50;
+
+/**
+ * Parse a query-string time: epoch milliseconds or anything Date.parse reads
+ * @returns {number|null} Timestamp, or null if unreadable
+ */
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether two field values differ enough to send
+ */
+function fieldChanged(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const scale = Math.max(Math.abs(a), Math.abs(b), 1e-9);
+    return Math.abs(a - b) / scale > DELTA_EPSILON;
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) !== JSON.stringify(b);
+  }
+  return a !== b;
+}
+
+/**
+ * Diff two lists of items keyed by id
+ * @returns {{added: Array, updated: Array<{id, changes}>, removed: Array<string>}}
+ */
+function diffById(prevItems, nextItems) {
+  const prevMap = new Map(prevItems.map(item => [item.id, item]));
+  const nextIds = new Set();
+  const added = [];
+  const updated = [];
+
+  for (const item of nextItems) {
+    nextIds.add(item.id);
+    const prev = prevMap.get(item.id);
+    if (!prev) {
+      added.push(item);
+      continue;
+    }
+    const changes = {};
+    for (const key of Object.keys(item)) {
+      if (fieldChanged(prev[key], item[key])) {
+        changes[key] = item[key];
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      updated.push({ id: item.id, changes });
+    }
+  }
+
+  const removed = prevItems
+    .filter(item => !nextIds.has(item.id))
+    .map(item => item.id);
+
+  return { added, updated, removed };
+}
+
 class KnowledgeServer {
   constructor(options = {}) {
     this.port = options.port || PORT;
@@ -21,6 +96,20 @@ class KnowledgeServer {
     this.wss = null;
     this.clients = new Set();
     
+    // Token scopes for mutating (write) and, optionally, read routes
+    this.auth = createAuth(options.auth || loadAuthConfig());
+    
+    // Provenance lookup (nodeId, { source, limit }) -> mentions; set by the
+    // engine, which keeps the paragraphs out of the broadcast graph
+    this.getMentions = options.getMentions || null;
+    // Full-text recall (query, limit) -> ranked paragraphs; set by the engine
+    this.recall = options.recall || null;
+    // Snapshot history: listHistory() -> snapshot times, graphAt(time) -> graph payload,
+    // diffGraph(from, to) -> diff; set by the engine when history is enabled
+    this.listHistory = options.listHistory || null;
+    this.graphAt = options.graphAt || null;
+    this.diffGraph = options.diffGraph || null;
+    
     // State (inherited from existing server)
     this.state = {
       mode: 'idle',
@@ -28,6 +117,9 @@ class KnowledgeServer {
       message: ''
     };
     
+    // Tide level (context fullness, 0-1)
+    this.tideLevel = 0.3;
+    
     // Knowledge graph
     this.graph = {
       nodes: [],
@@ -35,6 +127,9 @@ class KnowledgeServer {
       version: 0,
       lastUpdate: Date.now()
     };
+    // Query index for targeted graph reads, built from this.graph on demand
+    this.query = null;
+    this.queryGraph = null;
     
     // City state (for Absalom City visualization)
     this.cityState = this.loadCityState();
@@ -88,13 +183,20 @@ class KnowledgeServer {
     // Parse context for district activity hints
     if (context) {
       const lower = context.toLowerCase();
-      const districtKeywords = {
+      let districtKeywords = {
         trading: ['stock', 'trading', 'market', 'ticker', 'price', 'portfolio'],
         infrastructure: ['server', 'deploy', 'api', 'docker', 'tunnel'],
         projects: ['project', 'build', 'app', 'visualization', 'face'],
         memory: ['memory', 'remember', 'decision', 'note', 'log'],
         core: ['self', 'absalom', 'knowledge', 'engine']
       };
+      // Districts detected from the graph match on their top node labels
+      if (this.cityState.districts) {
+        districtKeywords = {};
+        for (const [district, { keywords }] of Object.entries(this.cityState.districts)) {
+          districtKeywords[district] = keywords || [];
+        }
+      }
       
       // Boost matching district
       for (const [district, keywords] of Object.entries(districtKeywords)) {
@@ -124,48 +226,89 @@ class KnowledgeServer {
 
   /**
    * Update the knowledge graph
+   * Clients that announced the 'graph:deltas' capability get node/edge
+   * deltas, each carrying its own version; everyone else, and everyone on
+   * large rewrites, gets graph:full.
    */
   setGraph(graph) {
+    const prev = this.graph;
+    const nodeDiff = diffById(prev.nodes, graph.nodes);
+    const edgeDiff = diffById(prev.edges, graph.edges);
+    
+    const deltaCount = 
+      nodeDiff.added.length + nodeDiff.updated.length + nodeDiff.removed.length +
+      edgeDiff.added.length + edgeDiff.updated.length + edgeDiff.removed.length;
+    const itemCount = Math.max(graph.nodes.length + graph.edges.length, 1);
+    const keyed = graph.nodes.every(n => n.id) && graph.edges.every(e => e.id);
+    const sendFull = prev.version === 0 || !keyed || deltaCount / itemCount > MAX_DELTA_RATIO;
+    
     this.graph = {
       ...graph,
-      version: this.graph.version + 1,
+      version: prev.version,
       lastUpdate: Date.now()
     };
     
-    // Broadcast full graph to all clients
-    this.broadcast({
-      type: 'graph:full',
-      graph: this.graph
-    });
+    if (sendFull) {
+      this.graph.version++;
+      this.broadcast({
+        type: 'graph:full',
+        graph: this.graph
+      });
+    } else {
+      // Removals first so clients never hold edges to missing nodes
+      for (const id of edgeDiff.removed) this.sendEdgeDelta('remove', { id });
+      for (const id of nodeDiff.removed) this.sendNodeDelta('remove', { id });
+      for (const node of nodeDiff.added) this.sendNodeDelta('add', node);
+      for (const { id, changes } of nodeDiff.updated) this.sendNodeDelta('update', { id }, changes);
+      for (const edge of edgeDiff.added) this.sendEdgeDelta('add', edge);
+      for (const { id, changes } of edgeDiff.updated) this.sendEdgeDelta('update', { id }, changes);
+      
+      // Clients that never opted into deltas only understand full graphs
+      this.broadcast({ type: 'graph:full', graph: this.graph }, client => !client.deltas);
+    }
     
-    console.log(`[Server] Graph updated: ${this.graph.nodes.length} nodes, ${this.graph.edges.length} edges`);
+    console.log(`[Server] Graph updated: ${this.graph.nodes.length} nodes, ${this.graph.edges.length} edges` +
+      (sendFull ? ' (full)' : ` (${deltaCount} deltas)`));
   }
 
   /**
    * Send graph delta (node added/updated/removed)
+   * @param {string} action - add, update or remove
+   * @param {Object} node - Full node for add, { id } otherwise
+   * @param {Object} [changes] - Changed fields for update
    */
-  sendNodeDelta(action, node) {
+  sendNodeDelta(action, node, changes) {
+    this.graph.version++;
     const message = {
       type: `graph:node:${action}`,
-      node,
+      id: node.id,
+      version: this.graph.version,
       timestamp: Date.now()
     };
+    if (action === 'add') message.node = node;
+    if (changes) message.changes = changes;
     
-    this.broadcast(message);
-    console.log(`[Server] Node ${action}: ${node.id}`);
+    this.broadcast(message, client => client.deltas);
   }
 
   /**
    * Send edge delta
+   * @param {string} action - add, update or remove
+   * @param {Object} edge - Full edge for add, { id } otherwise
+   * @param {Object} [changes] - Changed fields for update
    */
-  sendEdgeDelta(action, edge) {
+  sendEdgeDelta(action, edge, changes) {
+    this.graph.version++;
     const message = {
       type: `graph:edge:${action}`,
-      edge,
+      id: edge.id,
+      version: this.graph.version,
       timestamp: Date.now()
     };
+    if (action === 'add') message.edge = edge;
+    if (changes) message.changes = changes;
     
-    this.broadcast(message);
+    this.broadcast(message, client => client.deltas);
   }
 
   /**
@@ -192,6 +335,61 @@ class KnowledgeServer {
     });
   }
 
+  /**
+   * Set tide level (context fullness)
+   */
+  setTideLevel(level) {
+    this.tideLevel = Math.max(0, Math.min(1, level));
+    
+    this.broadcast({
+      type: 'tide:level',
+      level: this.tideLevel
+    });
+    
+    console.log(`[Server] Tide: ${this.tideLevel}`);
+  }
+
+  /**
+   * Add a context creature to the surface layer
+   */
+  addContext(concept, creatureType = 'default') {
+    this.broadcast({
+      type: 'context:add',
+      concept,
+      creatureType
+    });
+    
+    console.log(`[Server] Context: ${concept} (${creatureType})`);
+  }
+
+  /**
+   * Clear all context creatures
+   */
+  clearContext() {
+    this.broadcast({ type: 'context:clear' });
+    console.log('[Server] Context cleared');
+  }
+
+  /**
+   * Forward a sub-agent event (spawn, update, work, complete, heartbeat).
+   * Pages key agents by sessionKey or sessionId, so both are sent.
+   */
+  sendAgentEvent(action, payload = {}) {
+    const { action: _, ...fields } = payload;
+    const agent = fields.agent || {};
+    const sessionKey = fields.sessionKey || fields.sessionId || agent.sessionKey || agent.sessionId;
+    
+    this.broadcast({
+      type: `agent:${action}`,
+      ...agent,
+      ...fields,
+      ...(sessionKey ? { sessionKey, sessionId: sessionKey } : {}),
+      ...(action === 'complete' ? { findings: fields.findings || [] } : {})
+    });
+    
+    console.log(`[Server] Agent ${action}: ${agent.label || sessionKey || ''}`);
+  }
+
   /**
    * Update state (existing functionality)
    */
@@ -210,13 +408,22 @@ class KnowledgeServer {
 
   /**
    * Broadcast message to all connected clients
+   * Clients that sent a `hello` only receive the types they subscribed to.
+   * @param {Object} data - Message
+   * @param {Function} [accepts] - Further client filter (client => boolean)
    */
-  broadcast(data) {
+  broadcast(data, accepts = null) {
+    const errors = protocol.validateMessage(data, 'server');
+    if (errors.length > 0) {
+      console.warn(`[Server] Outgoing ${data.type} does not match protocol:`, errors);
+    }
+    
     const message = JSON.stringify(data);
     let sent = 0;
     
     this.clients.forEach(client => {
-      if (client.readyState === 1) {  // OPEN
+      if (client.readyState === 1 && client.canRead && protocol.isSubscribed(data.type, client.subscribe) &&  // OPEN
+          (!accepts || accepts(client))) {
         client.send(message);
         sent++;
       }
@@ -225,6 +432,36 @@ class KnowledgeServer {
     return sent;
   }
 
+  /**
+   * Send a message to one client if it subscribed to that type
+   */
+  sendTo(ws, data) {
+    if (ws.readyState === 1 && protocol.isSubscribed(data.type, ws.subscribe)) {
+      ws.send(JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Send current state, graph, city and tide to a new client (once, on
+   * hello or when the hello grace period runs out)
+   */
+  sendInitialState(ws) {
+    clearTimeout(ws.helloTimer);
+    ws.helloTimer = null;
+    ws.initialSent = true;
+    
+    if (!ws.canRead) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Unauthorized' }));
+      ws.close(4401, 'Unauthorized');
+      return;
+    }
+    
+    this.sendTo(ws, { type: 'state', ...this.state });
+    this.sendTo(ws, { type: 'graph:full', graph: this.graph });
+    this.sendTo(ws, { type: 'city:state', city: this.cityState });
+    this.sendTo(ws, { type: 'tide:level', level: this.tideLevel });
+  }
+
   /**
    * Handle new WebSocket connection
    */
@@ -233,55 +470,105 @@ class KnowledgeServer {
     const clientIp = req.socket.remoteAddress;
     console.log(`[Server] Client connected from ${clientIp} (${this.clients.size} total)`);
 
-    // Send current state immediately
-    ws.send(JSON.stringify({
-      type: 'state',
-      ...this.state
-    }));
-
-    // Send current graph
-    ws.send(JSON.stringify({
-      type: 'graph:full',
-      graph: this.graph
-    }));
-
-    // Send current city state
-    ws.send(JSON.stringify({
-      type: 'city:state',
-      city: this.cityState
-    }));
+    // Clients without a hello get every message type, and full graphs only
+    ws.subscribe = null;
+    ws.deltas = false;
+    ws.initialSent = false;
+    
+    // Token from the connection URL/headers; hello may supply one instead
+    ws.token = getRequestToken(req);
+    ws.local = isLocalRequest(req);
+    ws.canRead = this.auth.allows(ws.token, 'read');
+    
+    // Give the client a moment to say hello before sending the snapshot,
+    // so subscribed clients don't pay for types they filtered out
+    ws.helloTimer = setTimeout(() => this.sendInitialState(ws), HELLO_GRACE_MS);
 
     ws.on('close', () => {
+      clearTimeout(ws.helloTimer);
       this.clients.delete(ws);
       console.log(`[Server] Client disconnected (${this.clients.size} total)`);
     });
 
     ws.on('error', (err) => {
       console.error('[Server] WebSocket error:', err.message);
+      clearTimeout(ws.helloTimer);
       this.clients.delete(ws);
     });
 
     // Handle incoming messages from clients
     ws.on('message', (data) => {
+      let msg;
       try {
-        const msg = JSON.parse(data);
-        this.handleClientMessage(ws, msg);
+        msg = JSON.parse(data);
       } catch (err) {
         console.error('[Server] Invalid message:', err.message);
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+        return;
       }
+      this.handleClientMessage(ws, msg);
     });
   }
 
+  /**
+   * Handle the client's hello: check version, record subscriptions
+   */
+  handleHello(ws, msg) {
+    if (msg.version !== protocol.PROTOCOL_VERSION) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: `Unsupported protocol version ${msg.version} (server speaks ${protocol.PROTOCOL_VERSION})`
+      }));
+      return;
+    }
+    
+    ws.subscribe = msg.subscribe || null;
+    ws.deltas = (msg.capabilities || []).includes('graph:deltas');
+    if (msg.token) {
+      ws.token = msg.token;
+      ws.canRead = this.auth.allows(ws.token, 'read');
+    }
+    
+    ws.send(JSON.stringify({
+      type: 'welcome',
+      version: protocol.PROTOCOL_VERSION,
+      capabilities: protocol.getMessageTypes('server'),
+      subscribe: ws.subscribe || undefined
+    }));
+    
+    // A late hello only updates the subscription and capabilities
+    if (!ws.initialSent) this.sendInitialState(ws);
+  }
+
   /**
    * Handle client messages
    */
   handleClientMessage(ws, msg) {
+    const errors = protocol.validateMessage(msg, 'client');
+    if (errors.length > 0) {
+      console.log(`[Server] Rejected message ${msg && msg.type}:`, errors.map(e => `${e.field} ${e.message}`).join('; '));
+      ws.send(JSON.stringify({ type: 'error', error: 'Invalid message', errors }));
+      return;
+    }
+    
+    const scope = protocol.MESSAGE_SCHEMAS[msg.type].scope || 'read';
+    if (!this.auth.allows(ws.token, scope, ws.local)) {
+      console.log(`[Server] Unauthorized ${msg.type} (needs ${scope})`);
+      ws.send(JSON.stringify({ type: 'error', error: `Unauthorized: ${msg.type} requires ${scope} access` }));
+      return;
+    }
+    
     switch (msg.type) {
+      case 'hello':
+        this.handleHello(ws, msg);
+        break;
+      
       case 'ping':
         ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
         break;
       
       case 'graph:request':
+      case 'graph:get':
         ws.send(JSON.stringify({
           type: 'graph:full',
           graph: this.graph
@@ -305,12 +592,196 @@ class KnowledgeServer {
       case 'city:regenerate':
         this.regenerateCityState();
         break;
-      
-      default:
-        console.log(`[Server] Unknown message type: ${msg.type}`);
     }
   }
 
+  /**
+   * Query index over the served graph, rebuilt after each setGraph
+   * @returns {GraphQuery}
+   */
+  getQuery() {
+    if (!this.query || this.queryGraph !== this.graph) {
+      this.query = new GraphQuery(this.graph);
+      this.queryGraph = this.graph;
+    }
+    return this.query;
+  }
+
+  /**
+   * Targeted graph reads: node lookup, neighborhoods, search, paths and
+   * filtered subgraphs. Plain GET /graph (no filters) returns the whole graph.
+   * @returns {boolean} Whether the request was a graph read
+   */
+  handleGraphQuery(req, res) {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const nodeRoute = req.pathname.match(/^\/graph\/(nodes|neighbors)\/(.+)$/);
+    const mentionsRoute = req.pathname.match(/^\/graph\/nodes\/(.+)\/mentions$/);
+
+    // GET /graph/nodes/:id/mentions - paragraphs that mention a node
+    if (mentionsRoute) {
+      const id = decodeURIComponent(mentionsRoute[1]);
+      const node = this.getQuery().graph.getNode(id);
+      if (!node) {
+        send(404, { error: 'Node not found', id });
+        return true;
+      }
+      const mentions = this.getMentions
+        ? this.getMentions(id, { source: params.get('source') || undefined, limit: parseInt(params.get('limit'), 10) || 50 })
+        : [];
+      send(200, { id, label: node.label, mentions });
+      return true;
+    }
+
+    // GET /graph/nodes/:id - node with its edges, neighbors and sources
+    if (nodeRoute && nodeRoute[1] === 'nodes') {
+      const id = decodeURIComponent(nodeRoute[2]);
+      const result = this.getQuery().getNode(id);
+      if (!result) send(404, { error: 'Node not found', id });
+      else send(200, result);
+      return true;
+    }
+
+    // GET /graph/neighbors/:id?depth=2 - neighborhood within depth hops
+    if (nodeRoute && nodeRoute[1] === 'neighbors') {
+      const id = decodeURIComponent(nodeRoute[2]);
+      const result = this.getQuery().getNeighborhood(id, {
+        depth: params.get('depth') ?? undefined,
+        limit: params.get('limit') ?? undefined
+      });
+      if (!result) send(404, { error: 'Node not found', id });
+      else send(200, result);
+      return true;
+    }
+
+    // GET /graph/search?q=&type= - nodes by label, ID or alias
+    if (req.pathname === '/graph/search') {
+      if (!params.get('q') && !params.get('type')) {
+        send(400, { error: 'Missing q or type' });
+        return true;
+      }
+      const results = this.getQuery().search(params.get('q') || '', {
+        type: params.get('type'),
+        limit: params.get('limit') ?? undefined
+      });
+      send(200, { query: params.get('q') || '', results });
+      return true;
+    }
+
+    // GET /graph/path?from=&to=&by=strength|hops - strongest or shortest path
+    if (req.pathname === '/graph/path') {
+      const from = params.get('from');
+      const to = params.get('to');
+      if (!from || !to) {
+        send(400, { error: 'Missing from or to' });
+        return true;
+      }
+      const result = this.getQuery().findPath(from, to, { by: params.get('by') });
+      if (!result) send(404, { error: 'Node not found', id: [from, to].find(id => !this.getQuery().graph.getNode(id)) });
+      else if (!result.nodes.length) send(404, { error: 'No path', from, to });
+      else send(200, result);
+      return true;
+    }
+
+    // GET /graph/history - times of the stored snapshots, oldest first
+    if (req.pathname === '/graph/history') {
+      if (!this.listHistory) send(404, { error: 'Graph history not available' });
+      else send(200, { snapshots: this.listHistory(), now: Date.now() });
+      return true;
+    }
+
+    // GET /graph/diff?from=&to= - what changed between two times (to defaults to now)
+    if (req.pathname === '/graph/diff') {
+      const from = parseTime(params.get('from'));
+      const to = params.has('to') ? parseTime(params.get('to')) : undefined;
+      if (from === null || to === null) {
+        send(400, { error: 'from (and optional to) must be a timestamp or date' });
+        return true;
+      }
+      if (!this.diffGraph) {
+        send(404, { error: 'Graph history not available' });
+        return true;
+      }
+      const diff = this.diffGraph(from, to);
+      if (!diff) send(404, { error: 'No snapshot at or before', from, to });
+      else send(200, diff);
+      return true;
+    }
+
+    // GET /graph?at=&limit=&minWeight=&types= - past or filtered graph
+    if (req.pathname === '/graph') {
+      let graph = this.graph;
+      if (params.has('at')) {
+        const at = parseTime(params.get('at'));
+        if (at === null) {
+          send(400, { error: 'at must be a timestamp or date' });
+          return true;
+        }
+        graph = this.graphAt && this.graphAt(at);
+        if (!graph) {
+          send(404, { error: this.graphAt ? 'No snapshot at or before' : 'Graph history not available', at });
+          return true;
+        }
+      }
+
+      if (!['limit', 'minWeight', 'types'].some(key => params.has(key))) {
+        send(200, graph);
+        return true;
+      }
+      const query = graph === this.graph ? this.getQuery() : new GraphQuery(graph);
+      const { nodes, edges } = query.subgraph({
+        limit: params.get('limit') ?? undefined,
+        minWeight: params.get('minWeight'),
+        types: params.get('types')
+      });
+      const { version, lastUpdate, types, communities, at } = graph;
+      send(200, { nodes, edges, version, lastUpdate, types, communities, ...(at && { at }), filtered: true });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Read a JSON request body, validate it against the route's schema
+   * and pass it to a handler.
+   * Invalid JSON, schema violations and handler errors become 400 responses.
+   */
+  readJSON(req, res, handler) {
+    const route = `${req.method} ${req.pathname}`;
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      let data;
+      try {
+        data = JSON.parse(body || '{}');
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        return;
+      }
+      
+      const errors = protocol.validateBody(route, data);
+      if (errors.length > 0) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid request body', errors }));
+        return;
+      }
+      
+      try {
+        const result = handler(data) || { ok: true };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+  }
+
   /**
    * Handle HTTP requests
    */
@@ -318,7 +789,7 @@ class KnowledgeServer {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Absalom-Token');
 
     if (req.method === 'OPTIONS') {
       res.writeHead(200);
@@ -326,42 +797,98 @@ class KnowledgeServer {
       return;
     }
 
+    // Route on the path alone (the token may ride along as ?token=)
+    req.pathname = new URL(req.url, 'http://localhost').pathname;
+
+    // Every POST mutates and needs the write scope, except read-only queries.
+    // API reads need the read scope when a read token is set; static renderer
+    // files and /health stay public.
+    // Graph reads are never static, even when a node ID looks like a file name
+    const isGraphRead = req.pathname === '/graph' || req.pathname.startsWith('/graph/');
+    const isPublic = req.pathname === '/' || req.pathname === '/health' || (!isGraphRead && path.extname(req.pathname) !== '');
+    const scope = req.method === 'POST' && !READ_ONLY_POSTS.has(req.pathname) ? 'write' : (isPublic ? 'public' : 'read');
+    if (!this.auth.allows(getRequestToken(req), scope, isLocalRequest(req))) {
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ error: 'Unauthorized', scope }));
+      return;
+    }
+
     // GET /state - current state
-    if (req.method === 'GET' && req.url === '/state') {
+    if (req.method === 'GET' && req.pathname === '/state') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(this.state));
       return;
     }
 
     // POST /state - update state
-    if (req.method === 'POST' && req.url === '/state') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const update = JSON.parse(body);
-          if (update.mode) {
-            this.setState(update.mode, update.message);
-          }
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, state: this.state }));
-        } catch (e) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message }));
+    if (req.method === 'POST' && req.pathname === '/state') {
+      this.readJSON(req, res, (update) => {
+        this.setState(update.mode, update.message);
+        return { ok: true, state: this.state };
+      });
+      return;
+    }
+
+    // GET /graph and /graph/* - whole graph or targeted reads
+    if (req.method === 'GET' && (req.pathname === '/graph' || req.pathname.startsWith('/graph/'))) {
+      if (this.handleGraphQuery(req, res)) return;
+    }
+
+    // POST /graph - replace the full graph (external graph producers)
+    if (req.method === 'POST' && req.pathname === '/graph') {
+      this.readJSON(req, res, (update) => {
+        this.setGraph({ nodes: update.nodes, edges: update.edges });
+        return { ok: true, nodes: this.graph.nodes.length, edges: this.graph.edges.length };
+      });
+      return;
+    }
+
+    // POST /activate - activate specific nodes or a path
+    if (req.method === 'POST' && req.pathname === '/activate') {
+      this.readJSON(req, res, (update) => {
+        const intensity = update.intensity ?? 1;
+        if (Array.isArray(update.nodeIds)) {
+          this.sendActivation(update.nodeIds, intensity);
+        }
+        if (Array.isArray(update.path)) {
+          this.sendPathActivation(update.path, intensity);
         }
       });
       return;
     }
 
-    // GET /graph - current graph
-    if (req.method === 'GET' && req.url === '/graph') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(this.graph));
+    // POST /tide - set tide level
+    if (req.method === 'POST' && req.pathname === '/tide') {
+      this.readJSON(req, res, (update) => {
+        this.setTideLevel(update.level);
+        return { ok: true, level: this.tideLevel };
+      });
+      return;
+    }
+
+    // POST /context - add context creature or clear all
+    if (req.method === 'POST' && req.pathname === '/context') {
+      this.readJSON(req, res, (update) => {
+        if (update.concept) {
+          this.addContext(update.concept, update.creatureType);
+        }
+        if (update.clear) {
+          this.clearContext();
+        }
+      });
+      return;
+    }
+
+    // POST /agent - sub-agent events
+    if (req.method === 'POST' && req.pathname === '/agent') {
+      this.readJSON(req, res, (update) => {
+        this.sendAgentEvent(update.action, update);
+      });
       return;
     }
 
     // GET /health - health check
-    if (req.url === '/health') {
+    if (req.pathname === '/health') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         ok: true,
@@ -370,20 +897,21 @@ class KnowledgeServer {
         graphNodes: this.graph.nodes.length,
         graphEdges: this.graph.edges.length,
         graphVersion: this.graph.version,
+        tide: this.tideLevel,
         cityBuildings: this.cityState.buildings.length
       }));
       return;
     }
 
     // GET /city-state - current city state for Absalom City
-    if (req.method === 'GET' && req.url === '/city-state') {
+    if (req.method === 'GET' && req.pathname === '/city-state') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(this.cityState));
       return;
     }
 
     // POST /city-state/regenerate - regenerate city from knowledge
-    if (req.method === 'POST' && req.url === '/city-state/regenerate') {
+    if (req.method === 'POST' && req.pathname === '/city-state/regenerate') {
       this.regenerateCityState().then(state => {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ ok: true, buildings: state?.buildings?.length || 0 }));
@@ -395,19 +923,10 @@ class KnowledgeServer {
     }
 
     // POST /city-state/cognitive - update cognitive state with context
-    if (req.method === 'POST' && req.url === '/city-state/cognitive') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const { mode, context } = JSON.parse(body);
-          this.setCognitiveState(mode, context);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true, activeDistrict: this.cityState.activeDistrict }));
-        } catch (e) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message }));
-        }
+    if (req.method === 'POST' && req.pathname === '/city-state/cognitive') {
+      this.readJSON(req, res, ({ mode, context }) => {
+        this.setCognitiveState(mode, context);
+        return { ok: true, activeDistrict: this.cityState.activeDistrict };
       });
       return;
     }
@@ -417,42 +936,33 @@ class KnowledgeServer {
     // ═══════════════════════════════════════════════════════════════════════
     
     // POST /planner/scan - Report a building scan, get optimization hints
-    if (req.method === 'POST' && req.url === '/planner/scan') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const { buildingId, district, label } = JSON.parse(body);
-          console.log(`[Planner] Scanning: ${label} (${district})`);
-          
-          // Track scan in planner stats
-          if (!this.plannerStats) {
-            this.plannerStats = { scans: 0, optimizations: 0, lastPatrol: null, findings: [] };
-          }
-          this.plannerStats.scans++;
-          
-          // Check if this entity might be stale (simple heuristic)
-          const finding = this.analyzeBuildingHealth(buildingId, label, district);
-          if (finding) {
-            this.plannerStats.findings.push(finding);
-          }
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ 
-            ok: true, 
-            scans: this.plannerStats.scans,
-            finding: finding || null
-          }));
-        } catch (e) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message }));
+    if (req.method === 'POST' && req.pathname === '/planner/scan') {
+      this.readJSON(req, res, ({ buildingId, district, label }) => {
+        console.log(`[Planner] Scanning: ${label} (${district})`);
+        
+        // Track scan in planner stats
+        if (!this.plannerStats) {
+          this.plannerStats = { scans: 0, optimizations: 0, lastPatrol: null, findings: [] };
         }
+        this.plannerStats.scans++;
+        
+        // Check if this entity might be stale (simple heuristic)
+        const finding = this.analyzeBuildingHealth(buildingId, label, district);
+        if (finding) {
+          this.plannerStats.findings.push(finding);
+        }
+        
+        return { 
+          ok: true, 
+          scans: this.plannerStats.scans,
+          finding: finding || null
+        };
       });
       return;
     }
     
     // POST /planner/patrol-complete - Full patrol done, trigger optimization
-    if (req.method === 'POST' && req.url === '/planner/patrol-complete') {
+    if (req.method === 'POST' && req.pathname === '/planner/patrol-complete') {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
@@ -494,7 +1004,7 @@ class KnowledgeServer {
     }
     
     // GET /planner/status - Planner optimization stats
-    if (req.method === 'GET' && req.url === '/planner/status') {
+    if (req.method === 'GET' && req.pathname === '/planner/status') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         ok: true,
@@ -504,7 +1014,7 @@ class KnowledgeServer {
     }
 
     // GET /api/dashboard-stats - Stats for Command Center dashboard
-    if (req.method === 'GET' && req.url === '/api/dashboard-stats') {
+    if (req.method === 'GET' && req.pathname === '/api/dashboard-stats') {
       const stats = this.getDashboardStats();
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(stats));
@@ -512,43 +1022,59 @@ class KnowledgeServer {
     }
 
     // POST /api/thought - Inject a thought into the city
-    if (req.method === 'POST' && req.url === '/api/thought') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body);
-          if (data.text) {
-            // Broadcast thought to WebSocket clients
-            this.broadcast({
-              type: 'thought',
-              text: data.text,
-              timestamp: Date.now()
-            });
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ ok: true, text: data.text }));
-          } else {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Missing text field' }));
-          }
-        } catch (e) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Invalid JSON' }));
-        }
+    if (req.method === 'POST' && req.pathname === '/api/thought') {
+      this.readJSON(req, res, (data) => {
+        // Broadcast thought to WebSocket clients
+        this.broadcast({
+          type: 'thought',
+          text: data.text,
+          timestamp: Date.now()
+        });
+        return { ok: true, text: data.text };
+      });
+      return;
+    }
+
+    // POST /api/recall - full-text search over workspace paragraphs
+    if (req.method === 'POST' && req.pathname === '/api/recall') {
+      // The engine didn't provide an index; the request itself is fine
+      if (!this.recall) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Recall index not available' }));
+        return;
+      }
+      this.readJSON(req, res, ({ query, limit }) => {
+        const results = this.recall(query, Math.max(1, Math.min(MAX_RECALL, Math.floor(limit) || 10)));
+        return { query, results };
       });
       return;
     }
 
     // GET /api - API documentation
-    if (req.method === 'GET' && req.url === '/api') {
+    if (req.method === 'GET' && req.pathname === '/api') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         name: 'Absalom Knowledge Engine',
         version: '1.0.0',
+        protocolVersion: protocol.PROTOCOL_VERSION,
+        auth: this.auth.enabled,
+        messages: protocol.getMessageTypes('server'),
         endpoints: {
           'GET /state': 'Current cognitive state',
           'POST /state': 'Update cognitive state',
-          'GET /graph': 'Knowledge graph',
+          'GET /graph': 'Knowledge graph; filtered with ?limit=&minWeight=&types=a,b, as of a past time with ?at=',
+          'GET /graph/history': 'Times of stored history snapshots (for ?at= and timeline playback)',
+          'GET /graph/diff': 'Nodes and edges added, removed, strengthened or weakened ?from=&to= (to defaults to now)',
+          'GET /graph/nodes/:id': 'Node with its edges, neighbors and sources',
+          'GET /graph/nodes/:id/mentions': 'Paragraphs mentioning a node (file, lines, date, text) ?source=&limit=',
+          'GET /graph/neighbors/:id': 'Nodes and edges within ?depth= hops (1-3, default 1)',
+          'GET /graph/search': 'Search nodes ?q=&type=a,b&limit=',
+          'GET /graph/path': 'Strongest path ?from=&to= (or fewest hops with &by=hops)',
+          'POST /graph': 'Replace knowledge graph { nodes, edges }',
+          'POST /activate': 'Activate nodes { nodeIds: [], intensity } or path { path: [] }',
+          'POST /tide': 'Set tide level { level: 0.0-1.0 }',
+          'POST /context': 'Add context { concept, creatureType } or { clear: true }',
+          'POST /agent': 'Agent events { action: spawn|update|work|complete|heartbeat, ... }',
           'GET /health': 'Health check',
           'GET /city-state': 'City visualization state',
           'POST /city-state/regenerate': 'Regenerate city from knowledge',
@@ -558,6 +1084,7 @@ class KnowledgeServer {
           'GET /planner/status': 'Planner optimization stats',
           'GET /api/dashboard-stats': 'Dashboard statistics',
           'POST /api/thought': 'Inject a thought into the city visualization',
+          'POST /api/recall': 'Ranked workspace paragraphs with their entities { query, limit }',
         }
       }));
       return;
@@ -565,7 +1092,7 @@ class KnowledgeServer {
 
     // Static file serving for visualization (fallback for all other routes)
     const STATIC_ROOT = path.join(__dirname, '../renderer');
-    let filePath = req.url === '/' ? '/city/absalom-city.html' : req.url;
+    let filePath = req.pathname === '/' ? '/city/absalom-city.html' : req.pathname;
     
     // Security: prevent directory traversal
     filePath = filePath.replace(/\.\./g, '');
@@ -611,26 +1138,17 @@ class KnowledgeServer {
     // Count buildings
     const buildingCount = this.cityState?.buildings?.length || 0;
     
-    // Count memory files
+    // Count memory files (every configured source)
     let memoryFileCount = 0;
     let memoryTotalSize = 0;
-    const memoryDir = path.join(workspace, 'memory');
     try {
-      if (fs.existsSync(memoryDir)) {
-        const files = fs.readdirSync(memoryDir).filter(f => f.endsWith('.md'));
-        memoryFileCount = files.length;
-        files.forEach(f => {
-          try {
-            memoryTotalSize += fs.statSync(path.join(memoryDir, f)).size;
-          } catch (e) {}
-        });
-      }
-      // Add MEMORY.md
-      const mainMemory = path.join(workspace, 'MEMORY.md');
-      if (fs.existsSync(mainMemory)) {
-        memoryFileCount++;
-        memoryTotalSize += fs.statSync(mainMemory).size;
-      }
+      const files = createSources().listSources(workspace);
+      memoryFileCount = files.length;
+      files.forEach(f => {
+        try {
+          memoryTotalSize += fs.statSync(path.join(workspace, f)).size;
+        } catch (e) {}
+      });
     } catch (e) {}
     
     return {
@@ -766,6 +1284,9 @@ class KnowledgeServer {
         console.log(`[Server]   WebSocket: ws://localhost:${this.port}`);
         console.log(`[Server]   HTTP API:  http://localhost:${this.port}/state`);
         console.log(`[Server]   Graph API: http://localhost:${this.port}/graph`);
+        if (!this.auth.enabled.write) {
+          console.warn('[Server]   No write token configured - write API is loopback-only (see auth.js)');
+        }
         resolve();
       });
     });
@@ -0,0 +1,195 @@
+/**
+ * Knowledge Engine - Context Similarity
+ * Offline take on the spec's embedding graph (KNOWLEDGE-VIZ-SPEC.md, Option C):
+ * each entity gets a TF-IDF vector of the paragraphs that mention it, and
+ * entities whose vectors point the same way get an undirected `similar_to`
+ * edge, even if they never share a paragraph.
+ *
+ * Pairs already joined by any other edge are skipped, since sharing a
+ * paragraph makes contexts similar by construction. Similarity edges are
+ * derived: they are added to the served graph, never to the KnowledgeGraph,
+ * and communities and centrality don't see them.
+ */
+
+const { edgeId } = require('./graph');
+const { tokenize } = require('./recall');
+const { loadConfig } = require('./config');
+
+// Terms shared by more entities than this say nothing about any pair
+// (and would make pair scoring quadratic)
+const MAX_TERM_ENTITIES = 200;
+
+/**
+ * Build a unit-length TF-IDF context vector per entity
+ * @param {KnowledgeGraph} graph - Graph with paragraph provenance (see addMention)
+ * @param {Object} [options]
+ * @param {number} [options.minMentions=2] - Paragraphs an entity needs before it gets a vector
+ * @param {number} [options.terms=50] - Strongest terms kept per vector
+ * @returns {Map<string, Map<string, number>>} Node ID -> term -> weight
+ */
+function buildContextVectors(graph, options = {}) {
+  const minMentions = options.minMentions ?? 2;
+  const maxTerms = options.terms ?? 50;
+
+  // Each mention paragraph is a document
+  const paragraphs = [];
+  const documentFrequency = new Map();
+  for (const entry of graph.sourceIndex.values()) {
+    for (const mention of entry.mentions || []) {
+      const counts = new Map();
+      const terms = tokenize(mention.text);
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      paragraphs.push({ nodes: mention.nodes, counts, length: terms.length });
+    }
+  }
+
+  const mentionsOf = new Map();
+  for (const para of paragraphs) {
+    for (const id of para.nodes) {
+      if (!mentionsOf.has(id)) mentionsOf.set(id, []);
+      mentionsOf.get(id).push(para);
+    }
+  }
+
+  const vectors = new Map();
+  for (const [id, paras] of mentionsOf) {
+    const node = graph.getNode(id);
+    if (!node || paras.length < minMentions) continue;
+
+    // An entity's own name is in every paragraph about it; it isn't context
+    const ownTerms = new Set(tokenize([node.label, id.slice(id.indexOf(':') + 1).replace(/_/g, ' '),
+      ...(node.aliases || [])].join(' ')));
+
+    const vector = new Map();
+    for (const para of paras) {
+      for (const [term, count] of para.counts) {
+        if (ownTerms.has(term)) continue;
+        const idf = Math.log(paragraphs.length / documentFrequency.get(term));
+        if (idf <= 0) continue;
+        vector.set(term, (vector.get(term) || 0) + (count / para.length) * idf);
+      }
+    }
+
+    const top = [...vector].sort((a, b) => b[1] - a[1]).slice(0, maxTerms);
+    const norm = Math.sqrt(top.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    if (norm > 0) vectors.set(id, new Map(top.map(([term, weight]) => [term, weight / norm])));
+  }
+  return vectors;
+}
+
+/**
+ * Cosine similarity of every pair of vectors sharing a term
+ * @param {Map<string, Map<string, number>>} vectors - Unit-length vectors
+ * @returns {Map<string, {a: string, b: string, score: number}>} Pair key -> similarity
+ */
+function pairSimilarities(vectors) {
+  const postings = new Map();
+  for (const [id, vector] of vectors) {
+    for (const [term, weight] of vector) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([id, weight]);
+    }
+  }
+
+  const pairs = new Map();
+  for (const posting of postings.values()) {
+    if (posting.length < 2 || posting.length > MAX_TERM_ENTITIES) continue;
+    for (let i = 0; i < posting.length; i++) {
+      for (let j = i + 1; j < posting.length; j++) {
+        const [a, b] = posting[i][0] < posting[j][0] ? [posting[i][0], posting[j][0]] : [posting[j][0], posting[i][0]];
+        const key = `${a}\n${b}`;
+        const pair = pairs.get(key) || { a, b, score: 0 };
+        pair.score += posting[i][1] * posting[j][1];
+        pairs.set(key, pair);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Build `similar_to` edges between entities with similar contexts
+ * @param {KnowledgeGraph} graph - Graph with paragraph provenance
+ * @param {Object} [options] - { threshold, maxPerNode, minMentions, terms } (default: similarity from config)
+ * @returns {Array<Object>} Edges { id, source, target, type: 'similar_to', weight, similarity, lastSeen }
+ */
+function similarityEdges(graph, options = loadConfig().similarity) {
+  const threshold = options.threshold ?? 0.3;
+  const maxPerNode = options.maxPerNode ?? 3;
+
+  const connected = (a, b) => graph.getNodeEdges(a).some(edge => edge.source === b || edge.target === b);
+  const candidates = [...pairSimilarities(buildContextVectors(graph, options)).values()]
+    .filter(pair => pair.score >= threshold && !connected(pair.a, pair.b))
+    .sort((x, y) => y.score - x.score || x.a.localeCompare(y.a) || x.b.localeCompare(y.b));
+
+  // Keep each node's strongest few; an edge stays if it ranks for either end
+  const ranked = new Map();
+  const edges = [];
+  for (const { a, b, score } of candidates) {
+    const rankA = ranked.get(a) || 0;
+    const rankB = ranked.get(b) || 0;
+    if (rankA >= maxPerNode && rankB >= maxPerNode) continue;
+    ranked.set(a, rankA + 1);
+    ranked.set(b, rankB + 1);
+
+    const similarity = Math.round(Math.min(score, 1) * 1e4) / 1e4;
+    edges.push({
+      id: edgeId(a, b, 'similar_to'),
+      source: a,
+      target: b,
+      type: 'similar_to',
+      weight: similarity,
+      similarity,
+      lastSeen: Math.max(graph.getNode(a).lastSeen, graph.getNode(b).lastSeen)
+    });
+  }
+  return edges;
+}
+
+// Exports
+module.exports = {
+  buildContextVectors,
+  pairSimilarities,
+  similarityEdges
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const { buildGraph } = require('./graph');
+
+  console.log('=== Knowledge Engine Similarity Test ===\n');
+
+  // RKLB and ASTS never share a paragraph, but both show up in launch and
+  // satellite talk; pm2 lives in ops talk
+  const graph = buildGraph([
+    'RKLB launch window moved, satellite deployment on track for orbit.',
+    'RKLB rocket launch scrubbed, new orbit insertion date next week.',
+    'ASTS satellite deployment on track, launch to orbit next week.',
+    'ASTS orbit insertion confirmed after the rocket launch.',
+    'Restarted `pm2` after the scanner crashed overnight.',
+    '`pm2` logs show the scanner crashed again, restarted it.',
+    'NVDA earnings beat, guidance raised.'
+  ].join('\n\n'), 'MEMORY.md');
+
+  const vectors = buildContextVectors(graph);
+  const rklb = [...vectors.get('ticker:rklb')].slice(0, 4).map(([term, w]) => `${term}=${w.toFixed(2)}`);
+  console.log(`  Vectors: ${vectors.size} (NVDA has one mention, so none)`);
+  console.log(`  RKLB context: ${rklb.join(', ')}`);
+
+  console.log('\n--- Pairs ---');
+  for (const pair of [...pairSimilarities(vectors).values()].sort((a, b) => b.score - a.score)) {
+    console.log(`  ${pair.a} ~ ${pair.b}: ${pair.score.toFixed(3)}`);
+  }
+
+  console.log('\n--- Edges (threshold 0.3) ---');
+  const edges = similarityEdges(graph, { threshold: 0.3, maxPerNode: 3 });
+  for (const edge of edges) {
+    console.log(`  ${edge.id} (${edge.type}, similarity ${edge.similarity})`);
+  }
+  console.log(`  No edge duplicates a co-occurrence: ${edges.every(e => !graph.getNodeEdges(e.source).some(x => x.source === e.target || x.target === e.target))}`);
+
+  console.log('\n=== Test Complete ===');
+}
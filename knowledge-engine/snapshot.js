@@ -0,0 +1,267 @@
+/**
+ * Knowledge Engine - Graph Snapshots
+ * Persists the knowledge graph to disk so firstSeen/lastSeen survive restarts,
+ * and keeps a history of compressed snapshots for time-travel queries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { KnowledgeGraph } = require('./graph');
+
+const SNAPSHOT_PATH = process.env.GRAPH_SNAPSHOT || path.join(__dirname, '../data/knowledge-graph.json');
+const HISTORY_DIR = process.env.GRAPH_HISTORY || path.join(__dirname, '../data/knowledge-history');
+// Bump when extraction changes so stale snapshots are rebuilt from the files
+const SNAPSHOT_VERSION = 7;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const HISTORY_FILE = /^graph-(\d+)\.json\.gz$/;
+
+/**
+ * Write a graph snapshot to disk (atomically, via a temp file)
+ * @param {KnowledgeGraph} graph - Graph to persist
+ * @param {string} [filepath] - Snapshot path
+ * @returns {string} Path written
+ */
+function saveSnapshot(graph, filepath = SNAPSHOT_PATH) {
+  const data = {
+    snapshotVersion: SNAPSHOT_VERSION,
+    savedAt: Date.now(),
+    ...graph.toJSON()
+  };
+
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  const tmpPath = `${filepath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data));
+  fs.renameSync(tmpPath, filepath);
+  return filepath;
+}
+
+/**
+ * Load a graph snapshot from disk
+ * @param {string} [filepath] - Snapshot path
+ * @returns {KnowledgeGraph|null} Restored graph, or null if missing/unreadable
+ */
+function loadSnapshot(filepath = SNAPSHOT_PATH) {
+  if (!fs.existsSync(filepath)) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    if (data.snapshotVersion !== SNAPSHOT_VERSION) {
+      console.warn(`[Snapshot] Ignoring ${filepath}: version ${data.snapshotVersion}, expected ${SNAPSHOT_VERSION}`);
+      return null;
+    }
+    const graph = new KnowledgeGraph();
+    graph.fromJSON(data);
+    return graph;
+  } catch (e) {
+    console.warn(`[Snapshot] Failed to load ${filepath}:`, e.message);
+    return null;
+  }
+}
+
+/**
+ * Pick the history snapshots a retention policy keeps: everything recent,
+ * then the newest per day, then the newest per week. The newest overall is
+ * always kept.
+ * @param {Array<number>} times - Snapshot timestamps
+ * @param {number} now - Current time
+ * @param {Object} retention - { keepAllHours, keepDailyDays, keepWeeklyWeeks }
+ * @returns {Set<number>} Timestamps to keep
+ */
+function selectRetained(times, now, retention) {
+  const sorted = [...times].sort((a, b) => b - a);
+  const kept = new Set(sorted.slice(0, 1));
+  const buckets = new Set();
+
+  for (const time of sorted) {
+    const age = now - time;
+    let bucket = null;
+    if (age <= retention.keepAllHours * HOUR) {
+      kept.add(time);
+      continue;
+    } else if (age <= retention.keepDailyDays * DAY) {
+      bucket = `day:${Math.floor(time / DAY)}`;
+    } else if (age <= retention.keepWeeklyWeeks * 7 * DAY) {
+      bucket = `week:${Math.floor(time / (7 * DAY))}`;
+    }
+    // Newest first, so the first snapshot seen in a bucket is the one kept
+    if (bucket && !buckets.has(bucket)) {
+      buckets.add(bucket);
+      kept.add(time);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Gzipped graph snapshots over time, one file per snapshot
+ * (graph-<timestamp>.json.gz). Source bookkeeping and mention text are
+ * left out: a history snapshot only needs to answer what the graph was.
+ */
+class SnapshotHistory {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - History directory (default: data/knowledge-history)
+   * @param {Object} [options.retention] - { keepAllHours, keepDailyDays, keepWeeklyWeeks }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || HISTORY_DIR;
+    this.retention = { keepAllHours: 24, keepDailyDays: 30, keepWeeklyWeeks: 12, ...options.retention };
+    // Most recently loaded snapshot, since queries tend to repeat a timestamp
+    this.cache = null;
+  }
+
+  /**
+   * List snapshot timestamps, oldest first
+   * @returns {Array<number>}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(name => name.match(HISTORY_FILE))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Path of the snapshot taken at a time
+   */
+  fileFor(time) {
+    return path.join(this.dir, `graph-${time}.json.gz`);
+  }
+
+  /**
+   * Write a compressed snapshot and apply the retention policy
+   * @param {KnowledgeGraph} graph - Graph to record
+   * @param {number} [at] - Snapshot time (default: now)
+   * @returns {string} Path written
+   */
+  save(graph, at = Date.now()) {
+    const { sources, ...data } = graph.toJSON();
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filepath = this.fileFor(at);
+    const tmpPath = `${filepath}.tmp`;
+    fs.writeFileSync(tmpPath, zlib.gzipSync(JSON.stringify({ snapshotVersion: SNAPSHOT_VERSION, savedAt: at, ...data })));
+    fs.renameSync(tmpPath, filepath);
+    this.prune(at);
+    return filepath;
+  }
+
+  /**
+   * Delete snapshots the retention policy no longer keeps
+   * @param {number} [now] - Current time
+   * @returns {Array<number>} Timestamps removed
+   */
+  prune(now = Date.now()) {
+    const times = this.list();
+    const kept = selectRetained(times, now, this.retention);
+    const removed = times.filter(time => !kept.has(time));
+    for (const time of removed) {
+      fs.rmSync(this.fileFor(time), { force: true });
+    }
+    return removed;
+  }
+
+  /**
+   * Load the graph as of a time: the newest snapshot taken at or before it
+   * @param {number} at - Timestamp
+   * @returns {KnowledgeGraph|null} Graph (with `savedAt`), or null if no snapshot is that old
+   */
+  load(at) {
+    const time = this.list().filter(t => t <= at).pop();
+    if (time === undefined) return null;
+    if (this.cache && this.cache.time === time) return this.cache.graph;
+
+    try {
+      const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(this.fileFor(time))).toString('utf8'));
+      const graph = new KnowledgeGraph();
+      graph.fromJSON(data);
+      graph.savedAt = data.savedAt;
+      this.cache = { time, graph };
+      return graph;
+    } catch (e) {
+      console.warn(`[Snapshot] Failed to load history ${this.fileFor(time)}:`, e.message);
+      return null;
+    }
+  }
+}
+
+// Exports
+module.exports = {
+  SNAPSHOT_PATH,
+  SNAPSHOT_VERSION,
+  HISTORY_DIR,
+  saveSnapshot,
+  loadSnapshot,
+  selectRetained,
+  SnapshotHistory
+};
+
+// ============================================================
+// Standalone test
+// ============================================================
+if (require.main === module) {
+  const os = require('os');
+  const { buildGraph, updateSource, diffGraphs } = require('./graph');
+
+  console.log('=== Knowledge Engine Snapshot Test ===\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-snapshot-'));
+  const snapshotPath = path.join(tmpDir, 'knowledge-graph.json');
+
+  const markdown = `
+# Notes
+
+Anton reviewed NVDA with \`dexter\` today.
+`;
+
+  const graph = buildGraph(markdown, 'MEMORY.md');
+  // Pretend the graph was built a month ago
+  for (const node of graph.nodes.values()) {
+    node.firstSeen -= 30 * DAY;
+    node.lastSeen -= 30 * DAY;
+  }
+
+  saveSnapshot(graph, snapshotPath);
+  console.log(`  Saved: ${fs.statSync(snapshotPath).size} bytes`);
+
+  const restored = loadSnapshot(snapshotPath);
+  const nvda = restored.getNode('ticker:nvda');
+  console.log(`  Restored: ${restored.nodes.size} nodes, ${restored.edges.size} edges`);
+  console.log(`  NVDA age preserved: ${Math.round((Date.now() - nvda.lastSeen) / DAY)} days`);
+
+  // Editing the file keeps firstSeen for surviving entities
+  updateSource(markdown + '\nAlso looked at TSLA.\n', 'MEMORY.md', restored);
+  const edited = restored.getNode('ticker:nvda');
+  console.log(`  After edit, NVDA firstSeen age: ${Math.round((Date.now() - edited.firstSeen) / DAY)} days`);
+  console.log(`  After edit, NVDA lastSeen age: ${Math.round((Date.now() - edited.lastSeen) / DAY)} days`);
+
+  console.log(`  Missing file loads as: ${loadSnapshot(path.join(tmpDir, 'missing.json'))}`);
+
+  console.log('\n--- History ---');
+  const history = new SnapshotHistory({ dir: path.join(tmpDir, 'history') });
+  const start = Date.now() - 100 * DAY;
+  // Hourly snapshots for the last two days, then one every six hours back to 100 days
+  const times = [];
+  for (let t = start; t < Date.now() - 2 * DAY; t += 6 * HOUR) times.push(t);
+  for (let t = Date.now() - 2 * DAY; t <= Date.now(); t += HOUR) times.push(t);
+  const kept = selectRetained(times, Date.now(), history.retention);
+  console.log(`  Retention keeps ${kept.size} of ${times.length} (24 hourly, 30 daily, 12 weekly at most)`);
+
+  const weekAgo = Date.now() - 7 * DAY;
+  history.save(buildGraph(markdown, 'MEMORY.md'), weekAgo);
+  history.save(restored, Date.now());
+  const size = fs.statSync(history.fileFor(weekAgo)).size;
+  console.log(`  Saved ${history.list().length} compressed snapshots (oldest: ${size} bytes)`);
+  const then = history.load(Date.now() - 3 * DAY);
+  console.log(`  As of 3 days ago: ${then.getNodes().map(n => n.id).join(', ')} (saved ${Math.round((Date.now() - then.savedAt) / DAY)} days ago)`);
+  console.log(`  Before any snapshot: ${history.load(weekAgo - DAY)}`);
+  const changes = diffGraphs(then, history.load(Date.now()));
+  console.log(`  Since then: +${changes.nodes.added.map(n => n.id).join(', ')}, strengthened ${changes.nodes.strengthened.length}`);
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n=== Test Complete ===');
+}
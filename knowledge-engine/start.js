@@ -7,134 +7,374 @@
 const fs = require('fs');
 const path = require('path');
 const { KnowledgeServer } = require('./server');
-const { KnowledgeGraph, buildGraph } = require('./graph');
+const { KnowledgeGraph, updateSource, syncSource, detectCommunities, computeCentrality, computeImportance, diffGraphs } = require('./graph');
 const { applyDecay, getSourceWeight } = require('./decay');
-
-// Try to load watcher, but continue without it if unavailable
-let KnowledgeWatcher = null;
-try {
-  KnowledgeWatcher = require('./watcher').KnowledgeWatcher;
-} catch (e) {
-  console.warn('Watcher not available:', e.message);
-}
+const { getNodeTypes } = require('./extractor');
+const { saveSnapshot, loadSnapshot, SnapshotHistory, SNAPSHOT_PATH } = require('./snapshot');
+const { FileWatcher } = require('./watcher');
+const { loadAliasFile, applyAliases } = require('./aliases');
+const { loadConfig } = require('./config');
+const { scoreGraphEdges } = require('./scoring');
+const { RecallIndex, linkEntities } = require('./recall');
+const { similarityEdges } = require('./similarity');
 
 const PORT = parseInt(process.env.PORT) || 3847;
 const WORKSPACE = process.env.WORKSPACE || path.join(process.env.HOME, '.openclaw/workspace');
+// Quiet time after the last file event before the graph is saved and
+// re-served, so a burst of saves costs one snapshot write and one publish
+const FLUSH_DELAY_MS = 500;
 
-console.log('=== Absalom Knowledge Engine ===');
-console.log(`Port: ${PORT}`);
-console.log(`Workspace: ${WORKSPACE}`);
-console.log('');
-
-// Files to watch and process
-const MEMORY_FILES = [
-  'MEMORY.md',
-  'MEMORY_EXTENDED.md',
-  'SOUL.md',
-  'USER.md',
-  'AGENTS.md',
-  'TOOLS.md'
-];
+/**
+ * Everything edge scoring reads from a graph: node and edge IDs with their
+ * weights, and the paragraph count. Equal keys give equal communities and
+ * centrality.
+ * @param {KnowledgeGraph} graph
+ * @returns {string}
+ */
+function structureKey(graph) {
+  const parts = [graph.paragraphCount];
+  for (const [id, node] of graph.nodes) parts.push(`${id}=${node.weight}`);
+  for (const [id, edge] of graph.edges) parts.push(`${id}=${edge.weight}`);
+  return parts.join('\n');
+}
 
 /**
- * Load and process all memory files
+ * Start the server, load the workspace and keep the graph live
+ * @param {Object} options
+ * @param {number} options.port - Server port
+ * @param {string} options.workspace - Workspace holding the configured sources
+ * @param {string} options.snapshotPath - Graph snapshot file
+ * @param {string} options.historyDir - Snapshot history directory (default: GRAPH_HISTORY, else
+ *   knowledge-history next to the snapshot file)
+ * @param {Object} options.auth - Token config passed to KnowledgeServer
+ * @param {string} options.aliasFile - Alias file (default: aliasFile from absalom.config.json)
+ * @param {Object} options.edgeScoring - { method, backbone, alpha } (default: from absalom.config.json)
+ * @param {Object} options.communities - { resolution, minSize, minSeedShare, seeds } (default: from absalom.config.json)
+ * @param {Object} options.importance - { pagerank, degree, betweenness, weight } blend (default: from absalom.config.json)
+ * @param {Object} options.similarity - { enabled, threshold, maxPerNode, minMentions, terms } (default: from absalom.config.json)
+ * @param {Object} options.history - { enabled, intervalMinutes, keepAllHours, keepDailyDays, keepWeeklyWeeks } (default: from absalom.config.json)
+ * @returns {Promise<Object>} { server, graph, recall, history, watcher, stop }
  */
-function loadGraph() {
-  const graph = new KnowledgeGraph();
-  
-  for (const filename of MEMORY_FILES) {
-    const filepath = path.join(WORKSPACE, filename);
-    if (fs.existsSync(filepath)) {
-      try {
-        const content = fs.readFileSync(filepath, 'utf8');
-        buildGraph(content, filename, graph);
-        console.log(`  Loaded: ${filename}`);
-      } catch (e) {
-        console.warn(`  Failed to load ${filename}:`, e.message);
-      }
+async function startEngine(options = {}) {
+  const port = options.port || PORT;
+  const workspace = options.workspace || WORKSPACE;
+  const snapshotPath = options.snapshotPath || SNAPSHOT_PATH;
+  const config = loadConfig();
+  const aliasFile = options.aliasFile || config.aliasFile;
+  const edgeScoring = options.edgeScoring || config.edgeScoring;
+  const communityOptions = options.communities || config.communities;
+  const importanceBlend = options.importance || config.importance;
+  const similarity = options.similarity || config.similarity;
+  const historyOptions = options.history || config.history;
+  const historyDir = options.historyDir || process.env.GRAPH_HISTORY ||
+    path.join(path.dirname(snapshotPath), 'knowledge-history');
+
+  // Live graph, updated per source file as the watcher reports changes.
+  // Restored from the last snapshot so firstSeen/lastSeen survive restarts.
+  const graph = loadSnapshot(snapshotPath) || new KnowledgeGraph();
+  const watcher = new FileWatcher({ workspace });
+  // Paragraph text index for recall; in memory only, rebuilt from the files on start
+  const recall = new RecallIndex();
+  const { keepAllHours, keepDailyDays, keepWeeklyWeeks } = historyOptions;
+  const history = historyOptions.enabled
+    ? new SnapshotHistory({ dir: historyDir, retention: { keepAllHours, keepDailyDays, keepWeeklyWeeks } })
+    : null;
+
+  /**
+   * Re-extract every source so nodes fold (or unfold) under the current aliases
+   */
+  function rebuildAll() {
+    const files = watcher.getAllFiles();
+    for (const file of files) {
+      updateSource(file.content, file.relativePath, graph);
+    }
+    console.log(`[Aliases] Re-extracted ${files.length} files`);
+  }
+
+  /**
+   * Load and process all memory files
+   */
+  function loadGraph() {
+    const files = watcher.getAllFiles();
+    const present = new Set(files.map(file => file.relativePath));
+    const aliases = graph.getAliasSignature();
+    applyAliases(graph, loadAliasFile(aliasFile));
+    let changed = 0;
+
+    for (const file of files) {
+      if (syncSource(file.content, file.relativePath, graph)) changed++;
+      recall.updateSource(file.relativePath, file.content);
+    }
+    console.log(`  Loaded: ${files.length} files`);
+
+    // Drop sources that were deleted while we were down
+    for (const source of graph.getSources()) {
+      if (!present.has(source) && syncSource(null, source, graph)) changed++;
+    }
+
+    console.log(`  Re-extracted: ${changed} changed files`);
+
+    // Aliases from the alias file or front matter apply to every source
+    if (graph.getAliasSignature() !== aliases) {
+      rebuildAll();
+    }
+    console.log(`  Aliases: ${graph.aliases.size}`);
+    console.log(`  Recall: ${recall.getStats().paragraphs} paragraphs`);
+    persistGraph();
+    return snapshotGraph();
+  }
+
+  /**
+   * Save the live graph to the snapshot file
+   */
+  function persistGraph() {
+    try {
+      saveSnapshot(graph, snapshotPath);
+    } catch (e) {
+      console.warn(`[Snapshot] Failed to save ${snapshotPath}:`, e.message);
     }
   }
-  
-  // Also load memory/*.md files
-  const memoryDir = path.join(WORKSPACE, 'memory');
-  if (fs.existsSync(memoryDir)) {
-    const memoryFiles = fs.readdirSync(memoryDir).filter(f => f.endsWith('.md'));
-    for (const filename of memoryFiles) {
-      const filepath = path.join(memoryDir, filename);
+
+  /**
+   * Record a history snapshot if the graph changed since the last one
+   */
+  function recordHistory() {
+    if (!history) return;
+    const latest = history.list().pop();
+    if (latest !== undefined && latest >= graph.lastUpdated) return;
+    try {
+      history.save(graph);
+    } catch (e) {
+      console.warn(`[Snapshot] Failed to record history in ${historyDir}:`, e.message);
+    }
+  }
+
+  // Communities and centrality of the live graph, kept while its nodes,
+  // edges and their weights stay the same (see structureKey)
+  let structureCache = null;
+  let flushTimer = null;
+
+  /**
+   * Communities and centrality of a graph. They use every positive
+   * association, since the backbone is too sparse.
+   * @param {KnowledgeGraph} target - Graph
+   * @returns {{assignments: Map, communities: Array, centrality: Map}}
+   */
+  function graphStructure(target) {
+    const live = target === graph;
+    const key = live ? structureKey(graph) : null;
+    if (live && structureCache && structureCache.key === key) return structureCache;
+    const structure = { nodes: target.getNodes(), edges: scoreGraphEdges(target, { ...edgeScoring, backbone: false }) };
+    const result = {
+      ...detectCommunities(structure, communityOptions),
+      centrality: computeCentrality(structure),
+      key
+    };
+    if (live) structureCache = result;
+    return result;
+  }
+
+  /**
+   * Save and serve the live graph once file events go quiet (see FLUSH_DELAY_MS)
+   */
+  function scheduleFlush() {
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      persistGraph();
       try {
-        const content = fs.readFileSync(filepath, 'utf8');
-        buildGraph(content, `memory/${filename}`, graph);
+        server.setGraph(snapshotGraph());
       } catch (e) {
-        // Ignore individual file errors
+        console.error('[Server] Failed to publish graph:', e.message);
       }
-    }
-    console.log(`  Loaded: ${memoryFiles.length} files from memory/`);
+    }, FLUSH_DELAY_MS);
   }
-  
-  // Apply decay and source bonuses
-  const now = Date.now();
-  for (const node of graph.nodes.values()) {
-    const bonus = getSourceWeight([...node.sources][0] || '');
-    node.sourceBonus = bonus;
-    const decayed = applyDecay(node, now);
-    node.displayWeight = decayed.displayWeight * bonus;
-  }
-  
-  for (const edge of graph.edges.values()) {
-    edge.displayWeight = edge.weight;
+
+  /**
+   * Serialize a graph (the live one by default) with decay and source
+   * bonuses applied as of `now`, keeping only the scored edge backbone (plus
+   * similar_to edges when enabled), with each node's community, centrality
+   * and combined importance
+   * @param {KnowledgeGraph} [target] - Graph to serialize (default: the live graph)
+   * @param {number} [now] - Time decay is measured at (default: now)
+   */
+  function snapshotGraph(target = graph, now = Date.now()) {
+    const edges = [
+      ...scoreGraphEdges(target, edgeScoring),
+      ...(similarity.enabled ? similarityEdges(target, similarity) : [])
+    ].map(edge => ({ ...edge, displayWeight: edge.weight }));
+    const { assignments, communities, centrality } = graphStructure(target);
+    const importance = computeImportance(target, {
+      blend: importanceBlend,
+      decayOf: node => applyDecay(node, now).decayFactor,
+      sourceWeightOf: node => getSourceWeight(node.sources[0] || ''),
+      centrality
+    });
+
+    const nodes = target.getNodes().map(node => {
+      const bonus = getSourceWeight(node.sources[0] || '');
+      const decayed = applyDecay(node, now);
+      const { importance: score, ...centrality } = importance.get(node.id);
+      return {
+        ...node,
+        sourceBonus: bonus,
+        displayWeight: decayed.displayWeight * bonus,
+        community: assignments.get(node.id),
+        centrality,
+        importance: score
+      };
+    });
+
+    // Node types (with colors) so renderers can style extractor plugins
+    return {
+      nodes,
+      edges,
+      types: getNodeTypes(),
+      communities: communities.map(({ id, name, top, size, seed }) => ({ id, name, top, size, seed }))
+    };
   }
-  
-  return {
-    nodes: graph.getNodes(),
-    edges: graph.getEdges()
-  };
-}
 
-// Create and start server
-const server = new KnowledgeServer({ port: PORT, workspace: WORKSPACE });
+  const server = new KnowledgeServer({
+    port,
+    workspace,
+    auth: options.auth,
+    getMentions: (id, query) => graph.getMentions(id, query),
+    recall: (query, limit) => linkEntities(recall.search(query, { limit }), graph),
+    // Time travel: the stored snapshots, the graph as of one, and what changed between two
+    listHistory: history && (() => history.list()),
+    graphAt: (at) => {
+      const past = history && history.load(at);
+      return past && { ...snapshotGraph(past, past.savedAt), at: past.savedAt };
+    },
+    diffGraph: (from, to) => {
+      const before = history && history.load(from);
+      const after = to === undefined ? graph : history && history.load(to);
+      if (!before || !after) return null;
+      return { from: before.savedAt, to: after === graph ? Date.now() : after.savedAt, ...diffGraphs(before, after) };
+    }
+  });
+  await server.start();
 
-server.start().then(() => {
   console.log('');
   console.log('Loading knowledge graph...');
-  const graph = loadGraph();
-  server.setGraph(graph);
-  
+  const initial = loadGraph();
+  server.setGraph(initial);
+  recordHistory();
+  const historyTimer = history ? setInterval(recordHistory, historyOptions.intervalMinutes * 60 * 1000) : null;
+  if (historyTimer) historyTimer.unref();
+
+  // Hot updates: re-extract just the file that changed. A file that fails to
+  // extract is logged and skipped; it must not take the server down.
+  watcher.on('file:changed', ({ relativePath, content }) => {
+    try {
+      const aliases = graph.getAliasSignature();
+      if (!syncSource(content, relativePath, graph)) return;
+      recall.updateSource(relativePath, content);
+      if (graph.getAliasSignature() !== aliases) rebuildAll();
+      scheduleFlush();
+    } catch (e) {
+      console.error(`[Watcher] Failed to update ${relativePath}:`, e.message);
+    }
+  });
+  watcher.on('file:deleted', ({ relativePath }) => {
+    console.log(`[Watcher] Removed: ${relativePath}`);
+    try {
+      const aliases = graph.getAliasSignature();
+      updateSource(null, relativePath, graph);
+      recall.removeSource(relativePath);
+      if (graph.getAliasSignature() !== aliases) rebuildAll();
+      scheduleFlush();
+    } catch (e) {
+      console.error(`[Watcher] Failed to remove ${relativePath}:`, e.message);
+    }
+  });
+  // Watch failures (ENOSPC, EACCES) are re-emitted as 'error'; unhandled, that would exit
+  watcher.on('error', e => console.warn('[Watcher] Live updates may miss changes:', e.message));
+
+  // Alias file edits refold the whole graph
+  fs.watchFile(aliasFile, { interval: 1000 }, () => {
+    try {
+      if (!applyAliases(graph, loadAliasFile(aliasFile))) return;
+      console.log(`[Aliases] Reloaded ${aliasFile}`);
+      rebuildAll();
+      scheduleFlush();
+    } catch (e) {
+      console.error(`[Aliases] Failed to reload ${aliasFile}:`, e.message);
+    }
+  });
+
+  let watching = false;
+  try {
+    watcher.start();
+    watching = true;
+  } catch (e) {
+    console.warn('[Watcher] Not available:', e.message);
+  }
+
   console.log('');
   console.log('Knowledge Engine running');
-  console.log(`  WebSocket: ws://localhost:${PORT}`);
-  console.log(`  HTTP:      http://localhost:${PORT}/graph`);
-  console.log(`  Health:    http://localhost:${PORT}/health`);
-  console.log(`  Nodes:     ${graph.nodes.length}`);
-  console.log(`  Edges:     ${graph.edges.length}`);
-  
-  // Set up file watcher if available
-  if (KnowledgeWatcher) {
-    const watcher = new KnowledgeWatcher({ workspace: WORKSPACE });
-    watcher.on('change', (files) => {
-      console.log(`[Watcher] Files changed: ${files.join(', ')}`);
-      const newGraph = loadGraph();
-      server.setGraph(newGraph);
-    });
-    watcher.start();
-    console.log('  Watcher:   active');
-  } else {
-    console.log('  Watcher:   disabled (chokidar not available)');
+  console.log(`  WebSocket: ws://localhost:${port}`);
+  console.log(`  HTTP:      http://localhost:${port}/graph`);
+  console.log(`  Health:    http://localhost:${port}/health`);
+  console.log(`  Snapshot:  ${snapshotPath}`);
+  console.log(`  History:   ${history ? `${historyDir} (${history.list().length} snapshots)` : 'disabled'}`);
+  console.log(`  Nodes:     ${initial.nodes.length}`);
+  console.log(`  Edges:     ${initial.edges.length} (${edgeScoring.method}${edgeScoring.backbone ? ' backbone' : ''} of ${graph.edges.size})`);
+  console.log(`  Communities: ${initial.communities.length}`);
+  if (similarity.enabled) {
+    console.log(`  Similar:   ${initial.edges.filter(edge => edge.type === 'similar_to').length} similar_to edges`);
   }
-  
-}).catch(err => {
-  console.error('Failed to start:', err);
-  process.exit(1);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down...');
-  await server.stop();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  console.log('Interrupted...');
-  await server.stop();
-  process.exit(0);
-});
+  console.log(`  Watcher:   ${watching ? `active (${watcher.getWatchPaths().length} paths)` : 'disabled (chokidar not available)'}`);
+
+  return {
+    server,
+    graph,
+    recall,
+    history,
+    watcher,
+    async stop() {
+      if (historyTimer) clearInterval(historyTimer);
+      // Any pending flush is dropped: save now, synchronously
+      clearTimeout(flushTimer);
+      fs.unwatchFile(aliasFile);
+      persistGraph();
+      recordHistory();
+      await watcher.stop();
+      await server.stop();
+    }
+  };
+}
+
+/**
+ * Run the engine with env config and shut down cleanly on signals
+ */
+function main() {
+  console.log('=== Absalom Knowledge Engine ===');
+  console.log(`Port: ${PORT}`);
+  console.log(`Workspace: ${WORKSPACE}`);
+  console.log('');
+
+  startEngine().then(engine => {
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+      console.log('Shutting down...');
+      await engine.stop();
+      process.exit(0);
+    });
+
+    process.on('SIGINT', async () => {
+      console.log('Interrupted...');
+      await engine.stop();
+      process.exit(0);
+    });
+  }).catch(err => {
+    console.error('Failed to start:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { startEngine, main };
+
+if (require.main === module) {
+  main();
+}
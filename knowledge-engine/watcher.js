@@ -6,45 +6,41 @@
  * Uses chokidar for efficient file watching with debouncing
  */
 
-const chokidar = require('chokidar');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { createSources } = require('./config');
+const { SOURCE_WEIGHTS } = require('./decay');
 
 const WORKSPACE = process.env.WORKSPACE || path.join(process.env.HOME, '.openclaw/workspace');
 const DEBOUNCE_MS = 500;
 
-// Source weights from the spec
-const SOURCE_WEIGHTS = {
-  'SOUL.md': 5.0,
-  'MEMORY.md': 3.0,
-  'USER.md': 3.0,
-  'AGENTS.md': 2.0,
-  'memory/': 1.0,
-};
-
 class FileWatcher extends EventEmitter {
   constructor(options = {}) {
     super();
     this.workspace = options.workspace || WORKSPACE;
     this.debounceMs = options.debounceMs || DEBOUNCE_MS;
+    // Source globs, ignore patterns and weights from absalom.config.json
+    this.sources = options.sources || createSources();
     this.fileHashes = new Map();
     this.pendingUpdates = new Map();
     this.watcher = null;
+    this.ready = false;
   }
 
   /**
    * Get list of files to watch
    */
   getWatchPaths() {
-    return [
-      path.join(this.workspace, 'MEMORY.md'),
-      path.join(this.workspace, 'SOUL.md'),
-      path.join(this.workspace, 'USER.md'),
-      path.join(this.workspace, 'AGENTS.md'),
-      path.join(this.workspace, 'memory'),  // Watch directory for all .md files
-    ];
+    return this.sources.getWatchRoots(this.workspace);
+  }
+
+  /**
+   * Workspace-relative path with forward slashes (source id in the graph)
+   */
+  getRelativePath(filepath) {
+    return path.relative(this.workspace, filepath).split(path.sep).join('/');
   }
 
   /**
@@ -58,14 +54,7 @@ class FileWatcher extends EventEmitter {
    * Get source weight for a file path
    */
   getSourceWeight(filepath) {
-    const relativePath = path.relative(this.workspace, filepath);
-    
-    for (const [pattern, weight] of Object.entries(SOURCE_WEIGHTS)) {
-      if (relativePath === pattern || relativePath.startsWith(pattern)) {
-        return weight;
-      }
-    }
-    return 1.0;
+    return this.sources.getSourceWeight(this.getRelativePath(filepath));
   }
 
   /**
@@ -104,8 +93,10 @@ class FileWatcher extends EventEmitter {
    * Process a file change after debounce
    */
   processFileChange(filepath, eventType) {
-    // Only process .md files
-    if (!filepath.endsWith('.md')) {
+    const relativePath = this.getRelativePath(filepath);
+
+    // Only process configured sources
+    if (!this.sources.isSource(relativePath)) {
       return;
     }
 
@@ -114,7 +105,7 @@ class FileWatcher extends EventEmitter {
       this.fileHashes.delete(filepath);
       this.emit('file:deleted', {
         path: filepath,
-        relativePath: path.relative(this.workspace, filepath),
+        relativePath,
         timestamp: Date.now()
       });
       return;
@@ -130,7 +121,6 @@ class FileWatcher extends EventEmitter {
         return;
       }
 
-      const relativePath = path.relative(this.workspace, filepath);
       const weight = this.getSourceWeight(filepath);
 
       console.log(`[Watcher] ${eventType}: ${relativePath} (weight: ${weight})`);
@@ -155,56 +145,23 @@ class FileWatcher extends EventEmitter {
    */
   getAllFiles() {
     const files = [];
-    
-    const coreFiles = ['MEMORY.md', 'SOUL.md', 'USER.md', 'AGENTS.md'];
-    for (const filename of coreFiles) {
-      const filepath = path.join(this.workspace, filename);
-      if (fs.existsSync(filepath)) {
-        try {
-          const content = fs.readFileSync(filepath, 'utf8');
-          const hash = this.getFileHash(content);
-          this.fileHashes.set(filepath, hash);
-          
-          files.push({
-            path: filepath,
-            relativePath: filename,
-            content,
-            weight: this.getSourceWeight(filepath),
-            timestamp: Date.now()
-          });
-        } catch (err) {
-          console.error(`[Watcher] Error reading ${filename}:`, err.message);
-        }
-      }
-    }
 
-    // Memory directory
-    const memoryDir = path.join(this.workspace, 'memory');
-    if (fs.existsSync(memoryDir)) {
+    for (const relativePath of this.sources.listSources(this.workspace)) {
+      const filepath = path.join(this.workspace, relativePath);
       try {
-        const memoryFiles = fs.readdirSync(memoryDir)
-          .filter(f => f.endsWith('.md'))
-          .map(f => path.join(memoryDir, f));
-
-        for (const filepath of memoryFiles) {
-          try {
-            const content = fs.readFileSync(filepath, 'utf8');
-            const hash = this.getFileHash(content);
-            this.fileHashes.set(filepath, hash);
-            
-            files.push({
-              path: filepath,
-              relativePath: path.relative(this.workspace, filepath),
-              content,
-              weight: this.getSourceWeight(filepath),
-              timestamp: Date.now()
-            });
-          } catch (err) {
-            console.error(`[Watcher] Error reading ${filepath}:`, err.message);
-          }
-        }
+        const content = fs.readFileSync(filepath, 'utf8');
+        const hash = this.getFileHash(content);
+        this.fileHashes.set(filepath, hash);
+
+        files.push({
+          path: filepath,
+          relativePath,
+          content,
+          weight: this.getSourceWeight(filepath),
+          timestamp: Date.now()
+        });
       } catch (err) {
-        console.error('[Watcher] Error reading memory directory:', err.message);
+        console.error(`[Watcher] Error reading ${relativePath}:`, err.message);
       }
     }
 
@@ -213,6 +170,7 @@ class FileWatcher extends EventEmitter {
 
   /**
    * Start watching files
+   * @throws {Error} If chokidar can't be loaded
    */
   start() {
     if (this.watcher) {
@@ -220,6 +178,9 @@ class FileWatcher extends EventEmitter {
       return;
     }
 
+    // Loaded here so file listing still works where chokidar (ESM) can't be required
+    const chokidar = require('chokidar');
+
     const watchPaths = this.getWatchPaths();
     
     console.log('[Watcher] Starting file watcher');
@@ -233,12 +194,11 @@ class FileWatcher extends EventEmitter {
         stabilityThreshold: 200,
         pollInterval: 100
       },
-      // Only watch .md files in the memory directory
+      // Skip files that aren't configured sources (or are ignored)
       ignored: (filepath, stats) => {
         if (!stats) return false;
         if (stats.isDirectory()) return false;
-        if (filepath.includes('/memory/') && !filepath.endsWith('.md')) return true;
-        return false;
+        return !this.sources.isSource(this.getRelativePath(filepath));
       }
     });
 
@@ -251,6 +211,9 @@ class FileWatcher extends EventEmitter {
         this.emit('error', error);
       })
       .on('ready', () => {
+        // chokidar can report ready once per watched path
+        if (this.ready) return;
+        this.ready = true;
         console.log('[Watcher] Ready and watching for changes');
         this.emit('ready');
       });
@@ -272,8 +235,85 @@ class FileWatcher extends EventEmitter {
 
     await this.watcher.close();
     this.watcher = null;
+    this.ready = false;
     console.log('[Watcher] Stopped');
   }
 }
 
 module.exports = { FileWatcher, SOURCE_WEIGHTS };
+
+// ============================================================
+// Standalone test: hot updates end to end in a temp workspace
+// ============================================================
+if (require.main === module) {
+  const os = require('os');
+  const { startEngine } = require('./start');
+
+  const PORT = parseInt(process.env.TEST_PORT) || 38471;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-watcher-'));
+  const workspace = path.join(tmpDir, 'workspace');
+  fs.mkdirSync(path.join(workspace, 'memory'), { recursive: true });
+  fs.writeFileSync(path.join(workspace, 'MEMORY.md'), '# Memory\n\nAnton reviewed NVDA today.\n');
+
+  // Resolve once the server's graph satisfies check (or fail after a timeout)
+  const waitFor = (engine, label, check) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (check(engine.server.graph)) {
+        clearInterval(poll);
+        console.log(`  ${label}: ok (${Date.now() - started}ms)`);
+        resolve();
+      } else if (Date.now() - started > 10000) {
+        clearInterval(poll);
+        reject(new Error(`${label}: timed out`));
+      }
+    }, 100);
+  });
+  const hasNode = (id) => (g) => g.nodes.some(n => n.id === id);
+
+  (async () => {
+    console.log('=== Knowledge Engine Watcher Test ===\n');
+
+    const watcher = new FileWatcher({ workspace });
+    const watched = watcher.getWatchPaths().map(p => path.relative(workspace, p));
+    console.log(`  Watch paths: ${watched.join(', ')}`);
+
+    const engine = await startEngine({
+      port: PORT,
+      workspace,
+      snapshotPath: path.join(tmpDir, 'knowledge-graph.json'),
+      auth: {}
+    });
+    await new Promise(resolve => engine.watcher.once('ready', resolve));
+
+    let failed = false;
+    try {
+      await waitFor(engine, 'Initial load has NVDA', hasNode('ticker:nvda'));
+
+      fs.writeFileSync(path.join(workspace, 'TOOLS.md'), '# Tools\n\nUse `dexter` for TSLA research.\n');
+      await waitFor(engine, 'TOOLS.md created', hasNode('ticker:tsla'));
+
+      fs.writeFileSync(path.join(workspace, 'MEMORY_EXTENDED.md'), '# Extended\n\nAnton is watching AMD closely.\n');
+      await waitFor(engine, 'MEMORY_EXTENDED.md created', hasNode('ticker:amd'));
+
+      fs.writeFileSync(path.join(workspace, 'memory', '2026-01-05.md'), '# Log\n\nSold AAPL after earnings.\n');
+      await waitFor(engine, 'memory/ note created', hasNode('ticker:aapl'));
+
+      fs.writeFileSync(path.join(workspace, 'TOOLS.md'), '# Tools\n\nUse `dexter` for META research.\n');
+      await waitFor(engine, 'TOOLS.md edited', g => hasNode('ticker:meta')(g) && !hasNode('ticker:tsla')(g));
+
+      fs.unlinkSync(path.join(workspace, 'MEMORY_EXTENDED.md'));
+      await waitFor(engine, 'MEMORY_EXTENDED.md deleted', g => !hasNode('ticker:amd')(g));
+
+      console.log(`  Sources: ${engine.graph.getSources().sort().join(', ')}`);
+    } catch (e) {
+      console.error(`  FAILED ${e.message}`);
+      failed = true;
+    }
+
+    await engine.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log('\n=== Test Complete ===');
+    process.exit(failed ? 1 : 0);
+  })();
+}
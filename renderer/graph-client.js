@@ -35,6 +35,15 @@ class EventEmitter {
   }
 }
 
+/**
+ * Load the shared protocol definitions (protocol.js), if available
+ */
+function loadProtocol() {
+  if (typeof AbsalomProtocol !== 'undefined') return AbsalomProtocol;
+  if (typeof require === 'function') return require('./protocol');
+  return null;
+}
+
 class GraphClient extends EventEmitter {
   /**
    * @param {string} wsUrl - WebSocket URL to connect to
@@ -42,6 +51,8 @@ class GraphClient extends EventEmitter {
    * @param {number} options.reconnectDelay - Delay between reconnection attempts (ms)
    * @param {number} options.maxReconnectDelay - Maximum reconnect delay (ms)
    * @param {boolean} options.autoConnect - Auto-connect on creation
+   * @param {Array<string>} options.subscribe - Message types to receive ('graph:*' prefixes allowed; any graph: type brings all graph messages; default all)
+   * @param {string} options.token - API token, sent with hello (needed when the server sets a read token)
    */
   constructor(wsUrl, options = {}) {
     super();
@@ -51,9 +62,14 @@ class GraphClient extends EventEmitter {
       reconnectDelay: 1000,
       maxReconnectDelay: 30000,
       autoConnect: true,
+      subscribe: null,
+      token: null,
       ...options
     };
     
+    this.protocol = loadProtocol();
+    this.capabilities = [];
+    
     // Connection state
     this.ws = null;
     this.connected = false;
@@ -62,6 +78,8 @@ class GraphClient extends EventEmitter {
     
     // Graph state
     this.graph = { nodes: [], edges: [] };
+    this.version = 0;
+    this.awaitingFull = false;
     this.state = 'idle';
     this.tideLevel = 0.3;
     this.activations = new Map(); // nodeId -> { intensity, time }
@@ -122,6 +140,15 @@ class GraphClient extends EventEmitter {
     }
   }
 
+  /**
+   * Ask the server for the full graph (e.g. after missing a delta)
+   */
+  requestGraph() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.awaitingFull = true;
+    this.ws.send(JSON.stringify({ type: 'graph:request' }));
+  }
+
   /**
    * Get the current graph state
    */
@@ -182,6 +209,7 @@ class GraphClient extends EventEmitter {
       this.connected = true;
       this.reconnectAttempts = 0;
       console.log('[GraphClient] Connected to', this.wsUrl);
+      this._sendHello();
       this.emit('connect');
     };
 
@@ -215,16 +243,52 @@ class GraphClient extends EventEmitter {
     };
   }
 
+  _sendHello() {
+    if (!this.protocol) return; // Legacy mode: server sends everything
+    
+    // Deltas are opt-in; this client applies them (see _acceptDelta)
+    const hello = { type: 'hello', version: this.protocol.PROTOCOL_VERSION, capabilities: ['graph:deltas'] };
+    if (this.options.subscribe) {
+      hello.subscribe = this.options.subscribe;
+    }
+    if (this.options.token) {
+      hello.token = this.options.token;
+    }
+    this.ws.send(JSON.stringify(hello));
+  }
+
   _handleMessage(msg) {
+    // Known types must match the protocol; unknown ones pass through below
+    if (this.protocol && this.protocol.MESSAGE_SCHEMAS[msg.type]) {
+      const errors = this.protocol.validateMessage(msg, 'server');
+      if (errors.length > 0) {
+        console.warn(`[GraphClient] Ignoring invalid ${msg.type} message:`, errors);
+        return;
+      }
+    }
+    
     switch (msg.type) {
+      // === Handshake ===
+      case 'welcome':
+        this.capabilities = msg.capabilities || [];
+        this.emit('welcome', msg);
+        break;
+
+      case 'error':
+        console.warn('[GraphClient] Server error:', msg.error, msg.errors || '');
+        this.emit('server:error', msg);
+        break;
+
       // === Graph updates ===
       case 'graph:full':
         this.graph = msg.graph || { nodes: [], edges: [] };
+        this.version = this.graph.version || 0;
+        this.awaitingFull = false;
         this.emit('graph', this.graph);
         break;
 
       case 'graph:node:add':
-        if (msg.node) {
+        if (msg.node && this._acceptDelta(msg)) {
           this.graph.nodes.push(msg.node);
           this.emit('node:add', msg.node);
           this.emit('graph', this.graph);
@@ -232,7 +296,7 @@ class GraphClient extends EventEmitter {
         break;
 
       case 'graph:node:update':
-        if (msg.id && msg.changes) {
+        if (msg.id && msg.changes && this._acceptDelta(msg)) {
           const node = this.graph.nodes.find(n => n.id === msg.id);
           if (node) {
             Object.assign(node, msg.changes);
@@ -243,7 +307,7 @@ class GraphClient extends EventEmitter {
         break;
 
       case 'graph:node:remove':
-        if (msg.id) {
+        if (msg.id && this._acceptDelta(msg)) {
           const idx = this.graph.nodes.findIndex(n => n.id === msg.id);
           if (idx >= 0) {
             const removed = this.graph.nodes.splice(idx, 1)[0];
@@ -254,7 +318,7 @@ class GraphClient extends EventEmitter {
         break;
 
       case 'graph:edge:add':
-        if (msg.edge) {
+        if (msg.edge && this._acceptDelta(msg)) {
           this.graph.edges.push(msg.edge);
           this.emit('edge:add', msg.edge);
           this.emit('graph', this.graph);
@@ -262,10 +326,8 @@ class GraphClient extends EventEmitter {
         break;
 
       case 'graph:edge:update':
-        if (msg.id && msg.changes) {
-          const edge = this.graph.edges.find(e => 
-            `${e.source}↔${e.target}` === msg.id || `${e.target}↔${e.source}` === msg.id
-          );
+        if (msg.id && msg.changes && this._acceptDelta(msg)) {
+          const edge = this.graph.edges.find(e => this._edgeMatches(e, msg.id));
           if (edge) {
             Object.assign(edge, msg.changes);
             this.emit('edge:update', edge);
@@ -274,6 +336,17 @@ class GraphClient extends EventEmitter {
         }
         break;
 
+      case 'graph:edge:remove':
+        if (msg.id && this._acceptDelta(msg)) {
+          const idx = this.graph.edges.findIndex(e => this._edgeMatches(e, msg.id));
+          if (idx >= 0) {
+            const removed = this.graph.edges.splice(idx, 1)[0];
+            this.emit('edge:remove', removed);
+            this.emit('graph', this.graph);
+          }
+        }
+        break;
+
       // === State changes ===
       case 'state':
         const oldState = this.state;
@@ -352,6 +425,32 @@ class GraphClient extends EventEmitter {
     }
   }
 
+  /**
+   * Check a delta's version against ours. Stale deltas are dropped;
+   * a gap means we missed something, so re-request the full graph.
+   */
+  _acceptDelta(msg) {
+    if (typeof msg.version !== 'number') return true; // Unversioned server
+    if (this.awaitingFull) return false;
+    if (msg.version <= this.version) return false;
+    
+    if (msg.version !== this.version + 1) {
+      console.warn(`[GraphClient] Version gap (have ${this.version}, got ${msg.version}), requesting full graph`);
+      this.requestGraph();
+      return false;
+    }
+    
+    this.version = msg.version;
+    this.graph.version = msg.version;
+    return true;
+  }
+
+  _edgeMatches(edge, id) {
+    return edge.id === id ||
+      `${edge.source}↔${edge.target}` === id ||
+      `${edge.target}↔${edge.source}` === id;
+  }
+
   _scheduleReconnect() {
     if (this.reconnectTimer) return;
     
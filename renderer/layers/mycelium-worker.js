@@ -0,0 +1,174 @@
+/**
+ * Mycelium Worker - runs the mycelium layer's force simulation off the main thread
+ *
+ * Started by MyceliumLayer.create(canvas, { worker: 'mycelium-worker.js' }).
+ * Two modes, picked by the init message:
+ * - simulation: steps a ForceSimulation and sends positions back
+ * - render: also draws the layer on a transferred OffscreenCanvas
+ *
+ * The main thread keeps the graph, interaction and timeline. Each step (or
+ * frame) carries the nodes' activation, presence, growth and pins as a
+ * Float32Array; positions come back in the Float32Array it sent, and both
+ * are transferred, not copied. Node and edge order is the order of the last
+ * graph message.
+ */
+
+importScripts('mycelium.js');
+
+// Longest step taken at once when the main thread sends a backlog
+const MAX_STEP_DT = 0.1;
+
+// Render mode: the layer drawing on the OffscreenCanvas
+let layer = null;
+let ctx = null;
+// Simulation mode: just the physics
+let simulation = null;
+let generation = 0;
+
+/**
+ * Nodes and edges in graph message order (the main thread's order)
+ */
+function currentGraph() {
+  return layer
+    ? { nodes: layer.nodes, edges: layer.edges, sim: layer.simulation }
+    : { nodes: simulation.nodes, edges: simulation.edges, sim: simulation };
+}
+
+/**
+ * Replace the graph, keeping the main thread's starting positions
+ */
+function setGraph(msg) {
+  generation = msg.generation;
+  Object.assign(PALETTE.nodes, msg.palette);
+
+  if (layer) {
+    layer.setGraph({ nodes: msg.nodes, edges: msg.edges });
+  } else {
+    // Plain objects carry everything the forces read; setNodes would re-seed positions
+    const nodes = msg.nodes.map(data => ({
+      ...data,
+      x: 0, y: 0, vx: 0, vy: 0, fx: null, fy: null, activation: 0
+    }));
+    const nodeMap = new Map(nodes.map(node => [node.id, node]));
+    simulation.nodes = nodes;
+    simulation.nodeMap = nodeMap;
+    simulation.edges = msg.edges
+      .map(edge => ({ ...edge, source: nodeMap.get(edge.source), target: nodeMap.get(edge.target) }))
+      .filter(edge => edge.source && edge.target);
+  }
+
+  const { nodes } = currentGraph();
+  nodes.forEach((node, i) => {
+    node.x = msg.positions[i * 2];
+    node.y = msg.positions[i * 2 + 1];
+  });
+}
+
+/**
+ * Apply the main thread's per-node state (see WORKER_NODE_STRIDE)
+ */
+function applyNodeState(nodes, state) {
+  nodes.forEach((node, i) => {
+    const at = i * WORKER_NODE_STRIDE;
+    node.activation = state[at];
+    node.presence = state[at + 1];
+    node.growth = state[at + 2];
+    node.fx = Number.isNaN(state[at + 3]) ? null : state[at + 3];
+    node.fy = Number.isNaN(state[at + 4]) ? null : state[at + 4];
+  });
+}
+
+/**
+ * Copy the main thread's view state onto the layer and draw a frame
+ */
+function drawFrame(msg, dt) {
+  const { nodes, edges } = layer;
+  layer.time = msg.layerTime;
+  layer.waterLine = msg.waterLine;
+  layer.camera = msg.camera;
+  layer.pointer = msg.pointer;
+  layer.hoveredNode = nodes[msg.hoveredNode] || null;
+  layer.hoveredEdge = edges[msg.hoveredEdge] || null;
+  layer.selectedNode = nodes[msg.selectedNode] || null;
+  layer.timeline = msg.timelineTime === null ? null : { time: msg.timelineTime, playing: false, speed: 1 };
+
+  // Breathing, thoughts and strands animate here; activation and timeline
+  // state are the main thread's
+  for (const node of nodes) {
+    const { activation, presence, growth } = node;
+    node.update(dt, layer.time);
+    Object.assign(node, { activation, presence, growth });
+  }
+  edges.forEach((edge, i) => {
+    edge.update(dt, layer.time);
+    edge.activation = msg.edgeState[i * WORKER_EDGE_STRIDE];
+    edge.presence = msg.edgeState[i * WORKER_EDGE_STRIDE + 1];
+  });
+
+  for (const burst of msg.bursts) layer.particles.spawnBurst(...burst);
+  layer.updateParticles(dt);
+
+  ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+  layer.render(ctx);
+}
+
+/**
+ * Step the simulation (and draw, for frames), then hand the buffers back
+ */
+function step(msg) {
+  const transfer = [msg.nodeState.buffer, msg.positions.buffer];
+  if (msg.edgeState) transfer.push(msg.edgeState.buffer);
+  const reply = { type: 'positions', generation: msg.generation, nodeState: msg.nodeState, edgeState: msg.edgeState };
+
+  // A step for an older graph would scramble the new one's positions; just return the buffers
+  if (msg.generation !== generation) {
+    self.postMessage({ ...reply, positions: msg.positions }, transfer);
+    return;
+  }
+
+  const { nodes, sim } = currentGraph();
+  const dt = Math.min(msg.dt, MAX_STEP_DT);
+  Object.assign(sim, msg.bounds);
+  if (msg.reheat) sim.reheat(msg.reheat);
+
+  applyNodeState(nodes, msg.nodeState);
+  if (dt > 0) sim.step(dt, msg.time);
+  if (msg.type === 'frame') drawFrame(msg, dt);
+
+  const positions = msg.positions;
+  nodes.forEach((node, i) => {
+    positions[i * 2] = node.x;
+    positions[i * 2 + 1] = node.y;
+  });
+
+  self.postMessage({ ...reply, positions, alpha: sim.alpha }, transfer);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'init':
+      if (msg.canvas) {
+        layer = new MyceliumLayer(msg.canvas);
+        ctx = layer.ctx;
+      } else {
+        simulation = new ForceSimulation();
+      }
+      break;
+
+    case 'graph':
+      setGraph(msg);
+      break;
+
+    case 'resize':
+      if (layer) layer.resize(msg.width, msg.height);
+      break;
+
+    case 'step':
+    case 'frame':
+      step(msg);
+      break;
+  }
+};
+
+self.postMessage({ type: 'ready' });
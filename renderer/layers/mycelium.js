@@ -105,12 +105,68 @@ const PALETTE = {
   // Edge colors - BOOSTED for visibility
   edgeDim: { r: 50, g: 120, b: 100, a: 0.35 },
   edgeActive: { r: 80, g: 230, b: 190, a: 0.85 },
+  // Strand colors by edge type: co-occurrence cyan-green, explicit links amber,
+  // extracted relations violet, context similarity pale blue
+  edgeTypes: {
+    co_occurs: { dim: { r: 50, g: 130, b: 110 }, lit: { r: 90, g: 235, b: 195 } },
+    links_to: { dim: { r: 150, g: 120, b: 60 }, lit: { r: 255, g: 200, b: 110 } },
+    relation: { dim: { r: 120, g: 100, b: 170 }, lit: { r: 200, g: 170, b: 255 } },
+    similar_to: { dim: { r: 70, g: 100, b: 150 }, lit: { r: 140, g: 185, b: 255 } }
+  },
   
   // Particle colors
   particleBase: { r: 120, g: 220, b: 200 },
   particleWarm: { r: 255, g: 200, b: 150 }
 };
 
+/**
+ * Convert '#rrggbb' to a palette color { r, g, b, h }
+ */
+function hexToPaletteColor(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  const r = (n >> 16) & 255, g = (n >> 8) & 255, b = n & 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), d = max - min;
+  let h = 0;
+  if (d > 0) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+  }
+  return { r, g, b, h: Math.round((h * 60 + 360) % 360) };
+}
+
+/**
+ * Register node type colors sent with the graph ({ [type]: { color } }).
+ * Types from extractor plugins get their color without touching PALETTE.
+ */
+function registerNodeTypes(types) {
+  for (const [type, info] of Object.entries(types || {})) {
+    if (info && info.color) {
+      PALETTE.nodes[type] = hexToPaletteColor(info.color);
+    }
+  }
+}
+
+/**
+ * Get a node type's color; unknown types get a stable hue from their name
+ */
+function getTypeColor(type) {
+  if (!type) return PALETTE.nodes.default;
+  if (!PALETTE.nodes[type]) {
+    let hash = 0;
+    for (let i = 0; i < type.length; i++) {
+      hash = ((hash << 5) - hash + type.charCodeAt(i)) | 0;
+    }
+    const h = Math.abs(hash) % 360;
+    // HSL(h, 80%, 65%) to RGB
+    const k = (n) => (n + h / 30) % 12;
+    const a = 0.8 * Math.min(0.65, 0.35);
+    const f = (n) => Math.round(255 * (0.65 - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+    PALETTE.nodes[type] = { r: f(0), g: f(8), b: f(4), h };
+  }
+  return PALETTE.nodes[type];
+}
+
 // ============================================================================
 // PARTICLE SYSTEM - Thousands of flowing particles
 // ============================================================================
@@ -384,7 +440,7 @@ class ParticleSystem {
         
         const particle = new Particle(x, y, {
           mode: 'attracted',
-          hue: PALETTE.nodes[node.type]?.h || 163,
+          hue: getTypeColor(node.type).h,
           brightness: 0.6,
           speed: 0.8
         });
@@ -483,13 +539,23 @@ class OrganicEdge {
     this.source = sourceNode;
     this.target = targetNode;
     this.weight = data.weight || 1;
+    // 'co_occurs' or 'similar_to' (undirected), 'links_to' or 'relation' (directed, source -> target)
+    this.type = data.type || 'co_occurs';
+    this.relation = data.relation || null;
+    this.directed = this.type === 'links_to' || this.type === 'relation';
+    this.colors = PALETTE.edgeTypes[this.type] || PALETTE.edgeTypes.co_occurs;
     
     // Animation state
     this.activation = 0;
     this.targetActivation = 0;
     
-    // PERF: Reduced strand count (2-3 instead of 3-5)
-    this.strandCount = 2 + Math.floor(Math.random() * 2);
+    // Timeline playback: opacity, and the snapshot times the edge exists in
+    this.presence = 1;
+    this.targetPresence = 1;
+    this.frames = null;
+    
+    // PERF: Reduced strand count (2-3 instead of 3-5); links are a single taut strand
+    this.strandCount = this.directed ? 1 : 2 + Math.floor(Math.random() * 2);
     this.strands = [];
     for (let i = 0; i < this.strandCount; i++) {
       this.strands.push({
@@ -513,6 +579,7 @@ class OrganicEdge {
     // Smooth activation transitions
     const speed = this.activation > this.targetActivation ? 2 : 4;
     this.activation += (this.targetActivation - this.activation) * Math.min(1, dt * speed);
+    this.presence += (this.targetPresence - this.presence) * Math.min(1, dt * 5);
     
     // Decay activation
     if (this.targetActivation > 0) {
@@ -614,9 +681,64 @@ class OrganicEdge {
       this.renderPulse(ctx, time, pulse);
     }
     
+    if (this.directed) {
+      this.renderArrow(ctx, time, baseWidth);
+    }
+    
     ctx.restore();
   }
   
+  /**
+   * Hover label: the relation verb, link, similarity, or co-occurrence count
+   */
+  getLabel() {
+    const from = this.source.label;
+    const to = this.target.label;
+    if (this.type === 'relation') return `${from} ${this.relation} ${to}`;
+    if (this.type === 'links_to') return `${from} links to ${to}`;
+    if (this.type === 'similar_to') return `${from} ≈ ${to} (similar context ${Math.round(this.weight * 100)}%)`;
+    return `${from} · ${to} (together ×${this.weight})`;
+  }
+  
+  /**
+   * Approximate distance from a point to the curve (sampled)
+   */
+  distanceTo(x, y, time) {
+    let best = Infinity;
+    for (let i = 0; i <= 16; i++) {
+      const point = this.getPointOnCurve(i / 16, time);
+      const dx = point.x - x;
+      const dy = point.y - y;
+      best = Math.min(best, dx * dx + dy * dy);
+    }
+    return Math.sqrt(best);
+  }
+  
+  /**
+   * Arrowhead just short of the target node, pointing along the curve
+   */
+  renderArrow(ctx, time, baseWidth) {
+    const tip = this.getPointOnCurve(0.9, time);
+    const back = this.getPointOnCurve(0.86, time);
+    const dx = tip.x - back.x;
+    const dy = tip.y - back.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len < 0.01) return;
+    
+    const ux = dx / len;
+    const uy = dy / len;
+    const size = 5 + baseWidth * 1.5;
+    const c = this.activation > 0.3 ? this.colors.lit : this.colors.dim;
+    
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - ux * size - uy * size * 0.5, tip.y - uy * size + ux * size * 0.5);
+    ctx.lineTo(tip.x - ux * size + uy * size * 0.5, tip.y - uy * size - ux * size * 0.5);
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${c.r}, ${c.g}, ${c.b}, ${0.5 + this.activation * 0.4})`;
+    ctx.fill();
+  }
+  
   renderStrand(ctx, time, strand, baseWidth, edgeLength) {
     // PERF: Reduce segment count - 12-20 is plenty for smooth curves
     const segments = Math.max(12, Math.min(20, Math.floor(edgeLength / 20)));
@@ -647,10 +769,11 @@ class OrganicEdge {
     const activeAlpha = 0.80;
     const alpha = dimAlpha + (activeAlpha - dimAlpha) * this.activation;
     
-    // Brighter base colors - visible cyan-green even when dim
-    const r = Math.round(50 + (90 - 50) * this.activation);   // 50-90 (was 30-45)
-    const g = Math.round(130 + (235 - 130) * this.activation); // 130-235 (was 60-212)
-    const b = Math.round(110 + (195 - 110) * this.activation); // 110-195 (was 55-168)
+    // Brighter base colors - visible even when dim, hue by edge type
+    const { dim, lit } = this.colors;
+    const r = Math.round(dim.r + (lit.r - dim.r) * this.activation);   // 50-90 (was 30-45)
+    const g = Math.round(dim.g + (lit.g - dim.g) * this.activation); // 130-235 (was 60-212)
+    const b = Math.round(dim.b + (lit.b - dim.b) * this.activation); // 110-195 (was 55-168)
     
     // Draw main line
     ctx.beginPath();
@@ -783,14 +906,28 @@ const NODE_SIGNATURES = {
   }
 };
 
+/**
+ * Rough age for tooltips: "just now", "5m ago", "3h ago", "12d ago"
+ */
+function formatAge(ms) {
+  const minutes = Math.max(0, ms) / 60000;
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${Math.round(minutes)}m ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / (24 * 60))}d ago`;
+}
+
 class OrganicNode {
   constructor(data) {
     this.id = data.id;
     this.label = data.label || data.id;
     this.type = data.type || 'default';
     this.weight = data.weight || 1;
+    // Combined centrality/decay score from the engine (0-1, top node 1)
+    this.importance = typeof data.importance === 'number' ? data.importance : null;
     this.firstSeen = data.firstSeen || Date.now();
     this.lastSeen = data.lastSeen || Date.now();
+    this.sources = data.sources || [];
     
     // Physics
     this.x = data.x || Math.random() * 800;
@@ -805,6 +942,14 @@ class OrganicNode {
     this.targetActivation = 0;
     this.baseRadius = this.calculateRadius();
     
+    // Timeline playback: size (0 = unborn) and opacity (fades once stale)
+    this.growth = 1;
+    this.targetGrowth = 1;
+    this.presence = 1;
+    this.targetPresence = 1;
+    // Per-snapshot { at, weight, importance, lastSeen } when built from a series
+    this.keyframes = null;
+    
     // Visual signature for this type
     this.signature = NODE_SIGNATURES[this.type] || NODE_SIGNATURES.default;
     
@@ -862,21 +1007,46 @@ class OrganicNode {
     }
   }
   
-  calculateRadius() {
+  calculateRadius(weight = this.weight, importance = this.importance) {
     // WIDER SIZE RANGE: exponential scaling for heavy nodes
     // Light nodes: ~5px, Heavy nodes (weight 50+): up to ~40px
     const minRadius = 5;
     const maxRadius = 45;
     
+    // Importance is already relative to the whole graph; the curve keeps
+    // mid-ranked nodes visible while the top few dominate
+    if (importance !== null && importance !== undefined) {
+      return minRadius + (maxRadius - minRadius) * Math.pow(importance, 0.75);
+    }
+    
     // Exponential curve: small nodes stay small, heavy nodes get MUCH bigger
-    const weightFactor = Math.pow(this.weight, 0.6); // Sublinear but more dramatic than log
+    const weightFactor = Math.pow(weight, 0.6); // Sublinear but more dramatic than log
     const normalizedWeight = Math.min(1, weightFactor / 15); // Normalize to 0-1
     
     return minRadius + (maxRadius - minRadius) * normalizedWeight;
   }
   
   getColor() {
-    return PALETTE.nodes[this.type] || PALETTE.nodes.default;
+    return getTypeColor(this.type);
+  }
+  
+  /**
+   * Tooltip lines: label, type and weight, freshness, sources
+   * @param {number} [now] - Time freshness is measured at (default: now)
+   */
+  getDetails(now = Date.now()) {
+    const weight = this.importance !== null
+      ? `weight ${this.weight} · importance ${Math.round(this.importance * 100)}%`
+      : `weight ${this.weight}`;
+    const sources = this.sources.length > 3
+      ? `${this.sources.slice(0, 3).join(', ')} +${this.sources.length - 3}`
+      : this.sources.join(', ');
+    return [
+      this.label,
+      `${this.type} · ${weight}`,
+      `seen ${formatAge(now - this.lastSeen)} · first ${formatAge(now - this.firstSeen)}`,
+      ...(sources ? [sources] : [])
+    ];
   }
   
   update(dt, time) {
@@ -906,6 +1076,10 @@ class OrganicNode {
       if (this.thoughtIntensity < 0) this.thoughtIntensity = 0;
     }
     
+    // === TIMELINE: grow and fade smoothly toward the scrubbed time ===
+    this.growth += (this.targetGrowth - this.growth) * Math.min(1, dt * 5);
+    this.presence += (this.targetPresence - this.presence) * Math.min(1, dt * 5);
+    
     // === LABEL OPACITY: fade in on activation ===
     const targetLabelOpacity = this.activation > 0.5 ? Math.min(1, (this.activation - 0.5) * 3) : 0;
     this.labelOpacity += (targetLabelOpacity - this.labelOpacity) * Math.min(1, dt * 4);
@@ -962,7 +1136,7 @@ class OrganicNode {
     
     // Calculate radius with dramatic activation scaling
     const activationScale = 1 + effectiveGlow * 0.6;
-    const radius = this.baseRadius * breathScale * activationScale;
+    const radius = this.baseRadius * this.growth * breathScale * activationScale;
     
     ctx.save();
     ctx.translate(x, y);
@@ -1164,6 +1338,67 @@ class OrganicNode {
 // FORCE SIMULATION (enhanced with organic settling)
 // ============================================================================
 
+// Deepest quadtree split; nodes closer than ~1/2^12 of the layout share a leaf
+const QUADTREE_MAX_DEPTH = 12;
+
+/**
+ * Barnes-Hut quadtree over node positions. Each cell knows how many nodes
+ * it holds and their center, so a distant cluster can push as one body.
+ */
+class QuadTree {
+  constructor(nodes) {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const node of nodes) {
+      if (node.x < x0) x0 = node.x;
+      if (node.y < y0) y0 = node.y;
+      if (node.x > x1) x1 = node.x;
+      if (node.y > y1) y1 = node.y;
+    }
+    // Square root cell so every cell stays square
+    const size = nodes.length ? Math.max(x1 - x0, y1 - y0, 1) : 1;
+    this.root = this.createCell(nodes.length ? x0 : 0, nodes.length ? y0 : 0, size);
+    for (const node of nodes) this.insert(this.root, node, 0);
+  }
+  
+  createCell(x, y, size) {
+    // Leaves hold `bodies`; split cells hold `children` (quadrants, null if empty)
+    return { x, y, size, count: 0, cx: 0, cy: 0, bodies: null, children: null };
+  }
+  
+  insert(cell, node, depth) {
+    // Running center of the nodes below this cell
+    cell.cx = (cell.cx * cell.count + node.x) / (cell.count + 1);
+    cell.cy = (cell.cy * cell.count + node.y) / (cell.count + 1);
+    cell.count++;
+    
+    if (cell.children) {
+      this.insertChild(cell, node, depth);
+    } else if (!cell.bodies) {
+      cell.bodies = [node];
+    } else if (depth >= QUADTREE_MAX_DEPTH) {
+      cell.bodies.push(node);
+    } else {
+      // Occupied leaf: split and push both down
+      const bodies = cell.bodies;
+      cell.bodies = null;
+      cell.children = [null, null, null, null];
+      for (const body of bodies) this.insertChild(cell, body, depth);
+      this.insertChild(cell, node, depth);
+    }
+  }
+  
+  insertChild(cell, node, depth) {
+    const half = cell.size / 2;
+    const qx = node.x >= cell.x + half ? 1 : 0;
+    const qy = node.y >= cell.y + half ? 1 : 0;
+    const index = qy * 2 + qx;
+    if (!cell.children[index]) {
+      cell.children[index] = this.createCell(cell.x + qx * half, cell.y + qy * half, half);
+    }
+    this.insert(cell.children[index], node, depth + 1);
+  }
+}
+
 class ForceSimulation {
   constructor(options = {}) {
     this.centerX = options.centerX || 400;
@@ -1178,6 +1413,17 @@ class ForceSimulation {
     this.damping = options.damping || 0.92;
     this.depthInfluence = options.depthInfluence || 0.3;
     
+    // Barnes-Hut accuracy: cells smaller than theta x their distance act as
+    // one body (0 = exact all-pairs)
+    this.theta = options.theta ?? 0.9;
+    
+    // Cooling: forces scale with alpha, which decays toward alphaTarget;
+    // below alphaMin the layout counts as settled and layout forces are skipped
+    this.alpha = 1;
+    this.alphaMin = options.alphaMin ?? 0.002;
+    this.alphaDecay = options.alphaDecay ?? 0.01; // per 60fps frame: settles in ~10s
+    this.alphaTarget = 0;
+    
     this.nodes = [];
     this.edges = [];
     this.nodeMap = new Map();
@@ -1194,10 +1440,27 @@ class ForceSimulation {
       this.nodeMap.set(node.id, node);
     }
     this.initializePositions();
+    this.reheat();
   }
   
   setEdges(edges) {
     this.edges = edges;
+    this.reheat();
+  }
+  
+  /**
+   * Wake the simulation so the layout can move again
+   * @param {number} [alpha=1] - Energy to restart with (never lowers the current alpha)
+   */
+  reheat(alpha = 1) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+  
+  /**
+   * Whether the layout has cooled to rest
+   */
+  isSettled() {
+    return this.alpha < this.alphaMin;
   }
   
   initializePositions() {
@@ -1247,7 +1510,10 @@ class ForceSimulation {
   }
   
   step(dt, time) {
-    const alpha = Math.min(dt * 8, 1);
+    // Cool toward alphaTarget (frame-rate independent)
+    this.alpha += (this.alphaTarget - this.alpha) * Math.min(1, this.alphaDecay * dt * 60);
+    const frameScale = Math.min(dt * 8, 1);
+    const alpha = frameScale * this.alpha;
     
     // Reset fixed nodes
     for (const node of this.nodes) {
@@ -1255,6 +1521,20 @@ class ForceSimulation {
       if (node.fy !== null) { node.y = node.fy; node.vy = 0; }
     }
     
+    // Settled: skip the layout forces, keep drifting and breathing
+    if (!this.isSettled()) this.applyForces(alpha);
+    
+    // Drift is cosmetic, not layout, so it never cools
+    this.applyDrift(frameScale);
+    this.breathe(dt);
+    this.integrate();
+  }
+  
+  /**
+   * Center pull, repulsion, edge springs and depth gravity
+   * @param {number} alpha - Force scale for this step
+   */
+  applyForces(alpha) {
     // CENTER FORCE - pulls toward TRUE center (no sway offset!)
     // This is the primary stabilizing force that prevents drift
     for (const node of this.nodes) {
@@ -1264,8 +1544,51 @@ class ForceSimulation {
       node.vy += dy * this.centerForce * alpha;
     }
     
-    // SUBTLE ORBITAL DRIFT - based on true center, not swaying
-    // Applied separately to avoid biased perpendicular vectors
+    // Repulsion
+    this.applyRepulsion(alpha);
+    
+    // Edge springs
+    for (const edge of this.edges) {
+      const source = edge.source;
+      const target = edge.target;
+      if (!source || !target) continue;
+      
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < 1) continue;
+      
+      const idealDist = this.edgeLength / Math.sqrt(edge.weight * 0.5 + 0.5);
+      const displacement = dist - idealDist;
+      const force = displacement * this.edgeForce * alpha;
+      
+      const fx = (dx / dist) * force;
+      const fy = (dy / dist) * force;
+      
+      if (source.fx === null) source.vx += fx;
+      if (source.fy === null) source.vy += fy;
+      if (target.fx === null) target.vx -= fx;
+      if (target.fy === null) target.vy -= fy;
+    }
+    
+    // Depth gravity - SYMMETRIC around centerY with slight downward bias for older nodes
+    // This doesn't push all nodes down; it creates vertical stratification around center
+    for (const node of this.nodes) {
+      const age = Date.now() - node.firstSeen;
+      const ageDepth = Math.min(1, age / (30 * 24 * 60 * 60 * 1000));
+      // Target is slightly below center for old nodes, at center for new nodes
+      const targetY = this.centerY + ageDepth * 50 * this.depthInfluence;
+      const dy = targetY - node.y;
+      // Very gentle - this is cosmetic stratification, not a strong force
+      node.vy += dy * 0.001 * alpha;
+    }
+  }
+  
+  /**
+   * SUBTLE ORBITAL DRIFT - based on true center, not swaying
+   * @param {number} scale - Frame-rate scale for this step
+   */
+  applyDrift(scale) {
     for (const node of this.nodes) {
       const dx = node.x - this.centerX;
       const dy = node.y - this.centerY;
@@ -1276,12 +1599,82 @@ class ForceSimulation {
         const orbitSpeed = 0.00003 * node.activation; // Only active nodes drift
         const perpX = -dy / distFromCenter;
         const perpY = dx / distFromCenter;
-        node.vx += perpX * orbitSpeed * distFromCenter * alpha;
-        node.vy += perpY * orbitSpeed * distFromCenter * alpha;
+        node.vx += perpX * orbitSpeed * distFromCenter * scale;
+        node.vy += perpY * orbitSpeed * distFromCenter * scale;
       }
     }
+  }
+  
+  /**
+   * Node repulsion, Barnes-Hut approximated: O(n log n) instead of all pairs
+   * @param {number} alpha - Force scale for this step
+   */
+  applyRepulsion(alpha) {
+    if (this.theta <= 0) {
+      this.applyExactRepulsion(alpha);
+      return;
+    }
+    const maxDistSq = 200 * 200; // 200px cutoff - tight clustering
+    const thetaSq = this.theta * this.theta;
+    const tree = new QuadTree(this.nodes);
+    const stack = [];
     
-    // Repulsion - PERF: Check distance squared first to avoid sqrt when unnecessary
+    for (const node of this.nodes) {
+      if (node.fx !== null && node.fy !== null) continue;
+      
+      // Push `node` away from `count` nodes centered at (x, y)
+      const repel = (x, y, count) => {
+        const dx = x - node.x;
+        const dy = y - node.y;
+        const distSq = dx * dx + dy * dy;
+        
+        // PERF: Early exit using squared distance (avoids sqrt)
+        if (distSq > maxDistSq || distSq < 1) return;
+        const dist = Math.sqrt(distSq);
+        
+        // Hybrid falloff
+        const force = this.repulsionForce * count / (distSq + dist * 50) * alpha;
+        if (node.fx === null) node.vx -= (dx / dist) * force;
+        if (node.fy === null) node.vy -= (dy / dist) * force;
+      };
+      
+      stack.push(tree.root);
+      while (stack.length) {
+        const cell = stack.pop();
+        
+        // Cells wholly beyond the cutoff can't reach this node
+        const nearX = Math.max(cell.x, Math.min(node.x, cell.x + cell.size));
+        const nearY = Math.max(cell.y, Math.min(node.y, cell.y + cell.size));
+        const inside = nearX === node.x && nearY === node.y;
+        if (!inside && (nearX - node.x) ** 2 + (nearY - node.y) ** 2 > maxDistSq) continue;
+        
+        if (cell.bodies) {
+          for (const body of cell.bodies) {
+            if (body !== node) repel(body.x, body.y, 1);
+          }
+          continue;
+        }
+        
+        // Far enough (and not around this node): the whole cell pushes as one
+        const dx = cell.cx - node.x;
+        const dy = cell.cy - node.y;
+        if (!inside && cell.size * cell.size < thetaSq * (dx * dx + dy * dy)) {
+          repel(cell.cx, cell.cy, cell.count);
+          continue;
+        }
+        for (const child of cell.children) {
+          if (child) stack.push(child);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Node repulsion over all pairs (theta 0)
+   * @param {number} alpha - Force scale for this step
+   */
+  applyExactRepulsion(alpha) {
+    // PERF: Check distance squared first to avoid sqrt when unnecessary
     const maxDistSq = 200 * 200; // 200px cutoff - tight clustering
     for (let i = 0; i < this.nodes.length; i++) {
       const a = this.nodes[i];
@@ -1309,44 +1702,12 @@ class ForceSimulation {
         if (b.fy === null) b.vy += fy;
       }
     }
-    
-    // Edge springs
-    for (const edge of this.edges) {
-      const source = edge.source;
-      const target = edge.target;
-      if (!source || !target) continue;
-      
-      const dx = target.x - source.x;
-      const dy = target.y - source.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist < 1) continue;
-      
-      const idealDist = this.edgeLength / Math.sqrt(edge.weight * 0.5 + 0.5);
-      const displacement = dist - idealDist;
-      const force = displacement * this.edgeForce * alpha;
-      
-      const fx = (dx / dist) * force;
-      const fy = (dy / dist) * force;
-      
-      if (source.fx === null) source.vx += fx;
-      if (source.fy === null) source.vy += fy;
-      if (target.fx === null) target.vx -= fx;
-      if (target.fy === null) target.vy -= fy;
-    }
-    
-    // Depth gravity - SYMMETRIC around centerY with slight downward bias for older nodes
-    // This doesn't push all nodes down; it creates vertical stratification around center
-    for (const node of this.nodes) {
-      const age = Date.now() - node.firstSeen;
-      const ageDepth = Math.min(1, age / (30 * 24 * 60 * 60 * 1000));
-      // Target is slightly below center for old nodes, at center for new nodes
-      const targetY = this.centerY + ageDepth * 50 * this.depthInfluence;
-      const dy = targetY - node.y;
-      // Very gentle - this is cosmetic stratification, not a strong force
-      node.vy += dy * 0.001 * alpha;
-    }
-    
-    // Global breathing - expand/contract entire layout
+  }
+  
+  /**
+   * Global breathing - expand/contract the entire layout
+   */
+  breathe(dt) {
     // Uses POSITION adjustment, not velocity, to avoid drift accumulation
     this.breathPhase += dt * 0.15; // ~42 second full cycle
     const breathFactor = 1 + Math.sin(this.breathPhase) * this.breathAmp;
@@ -1364,7 +1725,12 @@ class ForceSimulation {
         node.y += dy * breathDelta;
       }
     }
-    
+  }
+  
+  /**
+   * Move nodes by their velocity, damped and clamped to the bounds
+   */
+  integrate() {
     // Update positions - simple boundary clamping
     for (const node of this.nodes) {
       const margin = 40;
@@ -1390,6 +1756,201 @@ class ForceSimulation {
   }
 }
 
+// Per-node floats sent to the worker each step: activation, presence, growth, fx, fy (NaN = free)
+const WORKER_NODE_STRIDE = 5;
+// Per-edge floats sent with each drawn frame: activation, presence
+const WORKER_EDGE_STRIDE = 2;
+
+/**
+ * ForceSimulation that steps in a Web Worker (mycelium-worker.js). Node
+ * state goes out and positions come back as transferable Float32Arrays,
+ * recycled between steps. While a step is in flight, nodes keep their last
+ * positions and elapsed time accumulates for the next one.
+ *
+ * In render mode the worker also draws (on an OffscreenCanvas) and steps
+ * once per frame posted by MyceliumLayer.render, instead of per step().
+ * If the worker dies, stepping falls back to the main thread (drawing
+ * can't: the canvas was transferred) and options.onFailure is called.
+ */
+class WorkerSimulation extends ForceSimulation {
+  constructor(worker, options = {}) {
+    super(options);
+    this.worker = worker;
+    this.renderMode = !!options.renderMode;
+    this.onFailure = options.onFailure || null;
+    
+    // Replies for an older graph are dropped
+    this.generation = 0;
+    this.busy = false;
+    this.pendingDt = 0;
+    this.pendingReheat = 0;
+    this.time = 0;
+    // Buffers handed back by the worker, reused when the graph size matches
+    this.spare = {};
+    
+    worker.onmessage = (e) => this.receive(e.data);
+    worker.onerror = (e) => {
+      console.warn('[Mycelium] Worker failed, simulating on the main thread:', e.message);
+      worker.terminate();
+      this.worker = null;
+      if (this.onFailure) this.onFailure(new Error(e.message));
+    };
+  }
+  
+  setEdges(edges) {
+    super.setEdges(edges);
+    this.sendGraph();
+  }
+  
+  reheat(alpha = 1) {
+    super.reheat(alpha);
+    this.pendingReheat = Math.max(this.pendingReheat, alpha);
+  }
+  
+  /**
+   * Send the nodes, edges and starting positions (after setNodes + setEdges)
+   */
+  sendGraph() {
+    if (!this.worker) return;
+    this.generation++;
+    this.busy = false;
+    
+    const positions = new Float32Array(this.nodes.length * 2);
+    this.nodes.forEach((node, i) => {
+      positions[i * 2] = node.x;
+      positions[i * 2 + 1] = node.y;
+    });
+    this.worker.postMessage({
+      type: 'graph',
+      generation: this.generation,
+      nodes: this.nodes.map(({ id, label, type, weight, importance, firstSeen, lastSeen, sources }) =>
+        ({ id, label, type, weight, importance, firstSeen, lastSeen, sources })),
+      edges: this.edges.map(({ id, source, target, type, relation, weight }) =>
+        ({ id, source: source.id, target: target.id, type, relation, weight })),
+      // Colors registered on this thread (registerNodeTypes)
+      palette: PALETTE.nodes,
+      positions
+    }, [positions.buffer]);
+  }
+  
+  step(dt, time) {
+    if (!this.worker) {
+      super.step(dt, time);
+      return;
+    }
+    this.pendingDt += dt;
+    this.time = time;
+    if (!this.renderMode) this.post('step');
+  }
+  
+  /**
+   * Ask the worker to step and draw one frame (render mode)
+   * @param {Object} frame - View state from MyceliumLayer (see frameState)
+   * @param {Array<OrganicEdge>} edges - Edges, for their activation and presence
+   */
+  postFrame(frame, edges) {
+    if (!this.worker || this.busy) return;
+    const edgeState = this.takeBuffer('edgeState', edges.length * WORKER_EDGE_STRIDE);
+    edges.forEach((edge, i) => {
+      edgeState[i * WORKER_EDGE_STRIDE] = edge.activation;
+      edgeState[i * WORKER_EDGE_STRIDE + 1] = edge.presence;
+    });
+    this.post('frame', { ...frame, edgeState }, [edgeState.buffer]);
+  }
+  
+  /**
+   * Post a step (or frame) with the nodes' state and a buffer for the positions
+   */
+  post(type, extra = {}, transfer = []) {
+    if (this.busy) return;
+    const nodeState = this.takeBuffer('nodeState', this.nodes.length * WORKER_NODE_STRIDE);
+    this.nodes.forEach((node, i) => {
+      const at = i * WORKER_NODE_STRIDE;
+      nodeState[at] = node.activation;
+      nodeState[at + 1] = node.presence;
+      nodeState[at + 2] = node.growth;
+      nodeState[at + 3] = node.fx === null ? NaN : node.fx;
+      nodeState[at + 4] = node.fy === null ? NaN : node.fy;
+    });
+    const positions = this.takeBuffer('positions', this.nodes.length * 2);
+    
+    this.worker.postMessage({
+      type,
+      generation: this.generation,
+      dt: this.pendingDt,
+      time: this.time,
+      reheat: this.pendingReheat,
+      bounds: { width: this.width, height: this.height, centerX: this.centerX, centerY: this.centerY },
+      nodeState,
+      positions,
+      ...extra
+    }, [nodeState.buffer, positions.buffer, ...transfer]);
+    this.busy = true;
+    this.pendingDt = 0;
+    this.pendingReheat = 0;
+  }
+  
+  /**
+   * A returned buffer of the right size, or a new one
+   */
+  takeBuffer(name, length) {
+    const buffer = this.spare[name];
+    this.spare[name] = null;
+    return buffer && buffer.length === length ? buffer : new Float32Array(length);
+  }
+  
+  receive(msg) {
+    if (msg.type !== 'positions') return;
+    this.busy = false;
+    for (const name of ['nodeState', 'edgeState', 'positions']) {
+      if (msg[name]) this.spare[name] = msg[name];
+    }
+    if (msg.generation !== this.generation) return;
+    
+    const positions = msg.positions;
+    this.nodes.forEach((node, i) => {
+      node.x = positions[i * 2];
+      node.y = positions[i * 2 + 1];
+    });
+    this.alpha = msg.alpha;
+  }
+}
+
+/**
+ * Start mycelium-worker.js and wait until it has loaded
+ * @param {string} url - Worker script URL
+ * @returns {Promise<Worker|null>} The worker, or null if workers are unsupported or it failed to start
+ */
+function startWorker(url) {
+  if (typeof Worker === 'undefined') return Promise.resolve(null);
+  return new Promise(resolve => {
+    let worker;
+    const fail = (reason) => {
+      console.warn('[Mycelium] Worker unavailable, running on the main thread:', reason);
+      if (worker) worker.terminate();
+      resolve(null);
+    };
+    try {
+      worker = new Worker(url);
+    } catch (e) {
+      fail(e.message);
+      return;
+    }
+    const timer = setTimeout(() => fail('no response'), 3000);
+    worker.onmessage = (e) => {
+      if (e.data && e.data.type !== 'ready') return;
+      clearTimeout(timer);
+      worker.onmessage = null;
+      worker.onerror = null;
+      resolve(worker);
+    };
+    worker.onerror = (e) => {
+      clearTimeout(timer);
+      fail(e.message || 'failed to load');
+    };
+  });
+}
+
 // ============================================================================
 // ATMOSPHERIC EFFECTS
 // ============================================================================
@@ -1521,27 +2082,105 @@ class AtmosphericEffects {
 // MAIN MYCELIUM LAYER CLASS
 // ============================================================================
 
+// Timeline playback: stale knowledge halves in opacity every week down to a
+// floor, and a full pass over the history takes 30 seconds at 1x
+const TIMELINE_FADE_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+const TIMELINE_FADE_FLOOR = 0.25;
+const TIMELINE_PASS_SECONDS = 30;
+
+/**
+ * Opacity of knowledge last seen at `lastSeen`, viewed at `time`
+ */
+function fadeSince(lastSeen, time) {
+  if (time <= lastSeen) return 1;
+  return Math.max(TIMELINE_FADE_FLOOR, Math.pow(0.5, (time - lastSeen) / TIMELINE_FADE_HALF_LIFE));
+}
+
+/**
+ * Timeline state from a single graph's timestamps: born at firstSeen,
+ * growing until lastSeen, fading after
+ * @returns {{growth: number, presence: number}}
+ */
+function lifeState(node, time) {
+  if (time < node.firstSeen) return { growth: 0, presence: 0 };
+  const span = node.lastSeen - node.firstSeen;
+  const life = span > 0 ? Math.min(1, (time - node.firstSeen) / span) : 1;
+  return { growth: 0.3 + 0.7 * life, presence: fadeSince(node.lastSeen, time) };
+}
+
+/**
+ * Timeline state from a snapshot series: size interpolated between the
+ * snapshots either side of `time`, appearing and vanishing with them
+ * @param {OrganicNode} node - Node with keyframes
+ * @param {number} frame - Latest snapshot time at or before `time`
+ * @param {number|undefined} next - Following snapshot time
+ * @returns {{growth: number, presence: number}}
+ */
+function snapshotState(node, frame, next, time) {
+  const now = node.keyframes.get(frame);
+  const later = next === undefined ? null : node.keyframes.get(next);
+  const progress = next === undefined ? 0 : (time - frame) / (next - frame);
+  const size = (key) => node.calculateRadius(key.weight, key.importance) / node.baseRadius;
+  
+  if (now && later) {
+    return { growth: size(now) + (size(later) - size(now)) * progress, presence: fadeSince(now.lastSeen, time) };
+  }
+  if (now) return { growth: size(now), presence: (1 - progress) * fadeSince(now.lastSeen, time) };
+  if (later) return { growth: size(later) * progress, presence: 1 };
+  return { growth: 0, presence: 0 };
+}
+
 class MyceliumLayer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Drawing target (the placeholder canvas when offscreen)
+   * @param {Object} [options] - Off-main-thread setup; use MyceliumLayer.create() rather than passing these
+   * @param {Worker} [options.worker] - Started mycelium-worker.js; the simulation runs there
+   * @param {boolean} [options.offscreen] - The worker also draws, on the canvas transferred to it
+   * @param {number} [options.width] - Canvas size at transfer (the placeholder's size is frozen)
+   * @param {number} [options.height]
+   */
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
+    this.worker = options.worker || null;
+    this.offscreen = !!(this.worker && options.offscreen);
+    this.ctx = this.offscreen ? null : canvas.getContext('2d');
+    this.width = options.width || canvas.width;
+    this.height = options.height || canvas.height;
     
     this.nodes = [];
     this.edges = [];
     this.nodeMap = new Map();
     this.edgeMap = new Map();
     
-    this.simulation = new ForceSimulation({
-      width: canvas.width,
-      height: canvas.height,
-      centerX: canvas.width / 2,
-      centerY: canvas.height / 2
-    });
-    
-    this.particles = new ParticleSystem(800); // PERF: Reduced from 2000
-    this.atmosphere = new AtmosphericEffects(canvas);
+    const bounds = {
+      width: this.width,
+      height: this.height,
+      centerX: this.width / 2,
+      centerY: this.height / 2
+    };
+    this.simulation = this.worker
+      ? new WorkerSimulation(this.worker, {
+          ...bounds,
+          renderMode: this.offscreen,
+          onFailure: (error) => this.workerFailed(error)
+        })
+      : new ForceSimulation(bounds);
+    
+    if (this.offscreen) {
+      // The worker draws particles; bursts are queued for its next frame
+      this.particles = {
+        particles: [],
+        bursts: [],
+        spawnBurst(...args) { this.bursts.push(args); },
+        update() {}
+      };
+      this.atmosphere = null;
+    } else {
+      this.particles = new ParticleSystem(800); // PERF: Reduced from 2000
+      this.atmosphere = new AtmosphericEffects(canvas);
+    }
     
-    this.waterLine = canvas.height * 0.3;
+    this.waterLine = this.height * 0.3;
     this.time = 0;
     
     // Global color temperature - slow hue shift over time
@@ -1559,15 +2198,368 @@ class MyceliumLayer {
       driftAmp: 3      // 3px drift pulse
     };
     
+    // Pointer position (layer coordinates) and the node or edge under it
+    this.pointer = null;
+    this.hoveredNode = null;
+    this.hoveredEdge = null;
+    this.hoverCheckTime = 0;
+    
+    // Selected node (its neighborhood stays lit) and the view camera
+    this.selectedNode = null;
+    this.selectionPulseTime = 0;
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    
+    // Event listeners: hover, edge:hover, select, drag:start, drag, drag:end, pin, camera, error
+    this.listeners = {};
+    
+    // Timeline playback ({ time, playing, speed }), null when showing the live graph,
+    // and the snapshot times when the graph was built from a series
+    this.timeline = null;
+    this.frameTimes = null;
+    
     // Performance tracking
     this.lastFrameTime = 0;
     this.frameCount = 0;
   }
   
+  /**
+   * Create a layer, off the main thread where the browser allows: with
+   * OffscreenCanvas the worker simulates and draws, with plain workers it
+   * only simulates, and without workers everything stays on this thread
+   * @param {HTMLCanvasElement} canvas - Canvas with no context yet
+   * @param {Object} [options]
+   * @param {string} [options.worker] - URL of mycelium-worker.js; omit to stay on the main thread
+   * @param {boolean} [options.offscreen=true] - Let the worker draw when OffscreenCanvas is supported
+   * @returns {Promise<MyceliumLayer>}
+   */
+  static async create(canvas, options = {}) {
+    const worker = options.worker ? await startWorker(options.worker) : null;
+    if (!worker) return new MyceliumLayer(canvas);
+    
+    const { width, height } = canvas;
+    if (options.offscreen !== false && typeof canvas.transferControlToOffscreen === 'function') {
+      try {
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+        return new MyceliumLayer(canvas, { worker, offscreen: true, width, height });
+      } catch (e) {
+        console.warn('[Mycelium] OffscreenCanvas unavailable, drawing on the main thread:', e.message);
+      }
+    }
+    worker.postMessage({ type: 'init' });
+    return new MyceliumLayer(canvas, { worker });
+  }
+  
+  /**
+   * The worker died and the simulation moved to this thread. Offscreen, the
+   * canvas went down with it, so the layer can't draw again: it emits
+   * 'error' for the page to recreate it on a fresh canvas.
+   * @param {Error} error
+   */
+  workerFailed(error) {
+    this.worker = null;
+    if (this.offscreen) this.emit('error', error);
+  }
+  
+  /**
+   * Current view sway (applied as a render transform)
+   */
+  getSway() {
+    return {
+      x: Math.sin(this.time * 0.03) * 3,
+      y: Math.cos(this.time * 0.025) * 2
+    };
+  }
+  
+  /**
+   * Listen for interaction events:
+   * - hover (node|null), edge:hover (edge|null) - pointer moved onto or off a node or edge
+   * - select (node|null) - node clicked, or background clicked to deselect
+   * - drag:start, drag, drag:end (node) - node dragged; it stays pinned where dropped
+   * - pin (node, pinned) - node pinned by a drag or released with a double click
+   * - camera ({ x, y, zoom }) - view panned or zoomed
+   * - error (Error) - the worker drawing an offscreen layer died; the layer
+   *   stays blank, so replace it with a new one on a new canvas
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(listener);
+    return this;
+  }
+  
+  off(event, listener) {
+    if (!this.listeners[event]) return this;
+    this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+    return this;
+  }
+  
+  emit(event, ...args) {
+    for (const listener of this.listeners[event] || []) listener(...args);
+  }
+  
+  /**
+   * Convert canvas coordinates (CSS pixels) to simulation coordinates,
+   * undoing the view sway and camera
+   */
+  screenToWorld(x, y) {
+    const sway = this.getSway();
+    return {
+      x: (x - sway.x - this.camera.x) / this.camera.zoom,
+      y: (y - sway.y - this.camera.y) / this.camera.zoom
+    };
+  }
+  
+  /**
+   * Topmost visible node under a canvas point
+   * @param {number} x - Canvas x (CSS pixels)
+   * @param {number} y - Canvas y (CSS pixels)
+   * @returns {OrganicNode|null}
+   */
+  nodeAt(x, y) {
+    if (y < this.waterLine) return null;
+    const point = this.screenToWorld(x, y);
+    // A few screen pixels of slack so small nodes stay clickable when zoomed out
+    const slack = 4 / this.camera.zoom;
+    
+    let hit = null;
+    for (const node of this.simulation.nodes) {
+      if (node.presence < 0.1 || node.growth < 0.05) continue;
+      const radius = node.baseRadius * node.growth + slack;
+      const dx = node.x - point.x;
+      const dy = node.y - point.y;
+      // Nodes render in y order, so the lowest one under the point is on top
+      if (dx * dx + dy * dy <= radius * radius && (!hit || node.y > hit.y)) hit = node;
+    }
+    return hit;
+  }
+  
+  /**
+   * Track the pointer for hover tooltips and edge labels
+   * @param {number|null} x - Canvas x (CSS pixels), or null when the pointer leaves
+   * @param {number} [y] - Canvas y (CSS pixels)
+   */
+  setPointer(x, y) {
+    this.pointer = x === null ? null : { x, y };
+    this.updateHover();
+  }
+  
+  /**
+   * Find the node under the pointer, or else the edge nearest it (within a few pixels)
+   */
+  updateHover() {
+    const previousNode = this.hoveredNode;
+    const previousEdge = this.hoveredEdge;
+    this.hoveredNode = null;
+    this.hoveredEdge = null;
+    
+    if (this.pointer && this.pointer.y >= this.waterLine) {
+      this.hoveredNode = this.nodeAt(this.pointer.x, this.pointer.y);
+      if (!this.hoveredNode) {
+        const { x, y } = this.screenToWorld(this.pointer.x, this.pointer.y);
+        let nearest = 8 / this.camera.zoom;
+        for (const edge of this.edges) {
+          if (this.edgeOpacity(edge) < 0.2) continue;
+          const dist = edge.distanceTo(x, y, this.time);
+          if (dist < nearest) {
+            nearest = dist;
+            this.hoveredEdge = edge;
+          }
+        }
+      }
+    }
+    
+    if (this.hoveredNode !== previousNode) this.emit('hover', this.hoveredNode);
+    if (this.hoveredEdge !== previousEdge) this.emit('edge:hover', this.hoveredEdge);
+  }
+  
+  /**
+   * Select a node and light up its neighborhood (null to deselect)
+   * @param {string|null} id - Node ID
+   */
+  select(id) {
+    const node = id === null ? null : this.nodeMap.get(id) || null;
+    if (node === this.selectedNode) return;
+    this.selectedNode = node;
+    if (node) {
+      this.activate([node.id], 1);
+      this.selectionPulseTime = this.time;
+    }
+    this.emit('select', node);
+  }
+  
+  /**
+   * Pin a node at its current position, or release it to the simulation
+   * @param {string} id - Node ID
+   * @param {boolean} [pinned=true]
+   */
+  pin(id, pinned = true) {
+    const node = this.nodeMap.get(id);
+    if (!node) return;
+    node.fx = pinned ? node.x : null;
+    node.fy = pinned ? node.y : null;
+    this.simulation.reheat(0.3);
+    this.emit('pin', node, pinned);
+  }
+  
+  /**
+   * Zoom around a canvas point, keeping the point under it fixed
+   * @param {number} factor - Zoom multiplier (> 1 zooms in)
+   * @param {number} x - Canvas x (CSS pixels)
+   * @param {number} y - Canvas y (CSS pixels)
+   */
+  zoomAt(factor, x, y) {
+    const before = this.screenToWorld(x, y);
+    this.camera.zoom = Math.max(0.3, Math.min(4, this.camera.zoom * factor));
+    const sway = this.getSway();
+    this.camera.x = x - sway.x - before.x * this.camera.zoom;
+    this.camera.y = y - sway.y - before.y * this.camera.zoom;
+    this.emit('camera', this.camera);
+  }
+  
+  /**
+   * Move the view by a screen offset
+   */
+  pan(dx, dy) {
+    this.camera.x += dx;
+    this.camera.y += dy;
+    this.emit('camera', this.camera);
+  }
+  
+  /**
+   * Back to the unzoomed, centered view
+   */
+  resetCamera() {
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.emit('camera', this.camera);
+  }
+  
+  /**
+   * Handle pointer input on the canvas: hover, click to select, drag a node
+   * to pin it (double click releases), drag the background to pan, wheel or
+   * pinch to zoom
+   * @returns {Function} Removes the listeners
+   */
+  enableInteraction() {
+    const canvas = this.canvas;
+    const pointers = new Map();
+    let gesture = null;
+    
+    const local = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    const pinchOf = () => {
+      const [a, b] = [...pointers.values()];
+      return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+    
+    const onDown = (e) => {
+      const point = local(e);
+      pointers.set(e.pointerId, point);
+      canvas.setPointerCapture(e.pointerId);
+      
+      if (pointers.size === 2) {
+        if (gesture && gesture.node && gesture.moved) this.emit('drag:end', gesture.node);
+        gesture = { pinch: pinchOf() };
+        return;
+      }
+      const node = this.nodeAt(point.x, point.y);
+      gesture = { node, start: point, last: point, moved: false };
+    };
+    
+    const onMove = (e) => {
+      const point = local(e);
+      if (!pointers.has(e.pointerId)) {
+        if (e.pointerType === 'mouse') this.setPointer(point.x, point.y);
+        return;
+      }
+      pointers.set(e.pointerId, point);
+      
+      if (gesture && gesture.pinch && pointers.size === 2) {
+        const pinch = pinchOf();
+        this.zoomAt(pinch.distance / gesture.pinch.distance, pinch.x, pinch.y);
+        this.pan(pinch.x - gesture.pinch.x, pinch.y - gesture.pinch.y);
+        gesture.pinch = pinch;
+        return;
+      }
+      if (!gesture || gesture.pinch) return;
+      
+      if (!gesture.moved && Math.hypot(point.x - gesture.start.x, point.y - gesture.start.y) > 4) {
+        gesture.moved = true;
+        if (gesture.node) this.emit('drag:start', gesture.node);
+      }
+      if (!gesture.moved) return;
+      
+      if (gesture.node) {
+        const world = this.screenToWorld(point.x, point.y);
+        gesture.node.fx = gesture.node.x = world.x;
+        gesture.node.fy = gesture.node.y = world.y;
+        // Neighbors follow the dragged node
+        this.simulation.reheat(0.3);
+        this.emit('drag', gesture.node);
+      } else {
+        this.pan(point.x - gesture.last.x, point.y - gesture.last.y);
+      }
+      gesture.last = point;
+    };
+    
+    const onUp = (e) => {
+      if (!pointers.delete(e.pointerId)) return;
+      if (gesture && !gesture.pinch) {
+        if (gesture.node && gesture.moved) {
+          this.emit('drag:end', gesture.node);
+          this.emit('pin', gesture.node, true);
+        } else if (!gesture.moved) {
+          const node = gesture.node;
+          this.select(node && node !== this.selectedNode ? node.id : null);
+        }
+      }
+      // Lifting one finger of a pinch ends the gesture
+      gesture = null;
+    };
+    
+    const onDoubleClick = (e) => {
+      const point = local(e);
+      const node = this.nodeAt(point.x, point.y);
+      if (node && node.fx !== null) this.pin(node.id, false);
+    };
+    
+    const onWheel = (e) => {
+      e.preventDefault();
+      const point = local(e);
+      this.zoomAt(Math.exp(-e.deltaY * 0.0015), point.x, point.y);
+    };
+    
+    const onLeave = () => this.setPointer(null);
+    
+    canvas.addEventListener('pointerdown', onDown);
+    canvas.addEventListener('pointermove', onMove);
+    canvas.addEventListener('pointerup', onUp);
+    canvas.addEventListener('pointercancel', onUp);
+    canvas.addEventListener('pointerleave', onLeave);
+    canvas.addEventListener('dblclick', onDoubleClick);
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    
+    return () => {
+      canvas.removeEventListener('pointerdown', onDown);
+      canvas.removeEventListener('pointermove', onMove);
+      canvas.removeEventListener('pointerup', onUp);
+      canvas.removeEventListener('pointercancel', onUp);
+      canvas.removeEventListener('pointerleave', onLeave);
+      canvas.removeEventListener('dblclick', onDoubleClick);
+      canvas.removeEventListener('wheel', onWheel);
+    };
+  }
+  
   /**
    * Set the full graph data
    */
   setGraph(graph) {
+    registerNodeTypes(graph.types);
+    
+    // Pins survive graph updates
+    const pinned = new Map(this.nodes.filter(node => node.fx !== null).map(node => [node.id, node]));
+    
     this.nodes = [];
     this.edges = [];
     this.nodeMap.clear();
@@ -1575,6 +2567,10 @@ class MyceliumLayer {
     
     for (const nodeData of (graph.nodes || [])) {
       const node = new OrganicNode(nodeData);
+      if (pinned.has(node.id)) {
+        node.fx = pinned.get(node.id).fx;
+        node.fy = pinned.get(node.id).fy;
+      }
       this.nodes.push(node);
       this.nodeMap.set(node.id, node);
     }
@@ -1592,6 +2588,146 @@ class MyceliumLayer {
     
     this.simulation.setNodes(this.nodes);
     this.simulation.setEdges(this.edges);
+    this.hoveredNode = null;
+    this.hoveredEdge = null;
+    // The selection follows its node into the new graph, or is dropped
+    if (this.selectedNode) {
+      this.selectedNode = this.nodeMap.get(this.selectedNode.id) || null;
+      if (!this.selectedNode) this.emit('select', null);
+    }
+    
+    // A new graph keeps the scrubbed time
+    this.frameTimes = null;
+    if (this.timeline) this.setTime(this.timeline.time);
+  }
+  
+  /**
+   * Set the graph from a series of snapshots for timeline playback. Every
+   * node from any snapshot is laid out once, so nodes keep their place as
+   * they come and go.
+   * @param {Array<Object>} snapshots - Graph payloads with `at` (as served by GET /graph?at=)
+   */
+  setSnapshots(snapshots) {
+    const frames = [...snapshots].sort((a, b) => a.at - b.at);
+    const nodes = new Map();
+    const edges = new Map();
+    const keyframes = new Map();
+    const edgeFrames = new Map();
+    
+    for (const frame of frames) {
+      for (const nodeData of (frame.nodes || [])) {
+        // Newest data wins, so nodes end at their latest size
+        nodes.set(nodeData.id, nodeData);
+        if (!keyframes.has(nodeData.id)) keyframes.set(nodeData.id, new Map());
+        keyframes.get(nodeData.id).set(frame.at, {
+          weight: nodeData.weight || 1,
+          importance: nodeData.importance,
+          lastSeen: nodeData.lastSeen || frame.at
+        });
+      }
+      for (const edgeData of (frame.edges || [])) {
+        const id = edgeData.id || `${edgeData.source}↔${edgeData.target}`;
+        edges.set(id, edgeData);
+        if (!edgeFrames.has(id)) edgeFrames.set(id, new Set());
+        edgeFrames.get(id).add(frame.at);
+      }
+    }
+    
+    const last = frames[frames.length - 1] || {};
+    this.setGraph({ nodes: [...nodes.values()], edges: [...edges.values()], types: last.types });
+    for (const node of this.nodes) node.keyframes = keyframes.get(node.id);
+    for (const edge of this.edges) edge.frames = edgeFrames.get(edge.id);
+    this.frameTimes = frames.map(frame => frame.at);
+    if (frames.length) this.setTime(last.at);
+  }
+  
+  /**
+   * Time span the timeline covers: the snapshot series, or a single graph's
+   * earliest firstSeen to latest lastSeen
+   * @returns {{start: number, end: number, frames: Array<number>|null}|null} null when there is no graph
+   */
+  getTimeRange() {
+    if (this.frameTimes && this.frameTimes.length) {
+      return { start: this.frameTimes[0], end: this.frameTimes[this.frameTimes.length - 1], frames: this.frameTimes };
+    }
+    if (this.nodes.length === 0) return null;
+    
+    let start = Infinity;
+    let end = -Infinity;
+    for (const node of this.nodes) {
+      start = Math.min(start, node.firstSeen);
+      end = Math.max(end, node.lastSeen);
+    }
+    return { start, end, frames: null };
+  }
+  
+  /**
+   * Show the graph as it was at a time. Nodes stay in the simulation, so
+   * the layout holds still while they are born, grow and fade.
+   * @param {number} time - Timestamp (clamped to getTimeRange())
+   */
+  setTime(time) {
+    const range = this.getTimeRange();
+    if (!range) return;
+    time = Math.max(range.start, Math.min(range.end, time));
+    this.timeline = Object.assign(this.timeline || { playing: false, speed: 1 }, { time });
+    
+    let frame;
+    let next;
+    if (range.frames) {
+      const index = range.frames.findIndex(at => at > time);
+      next = index === -1 ? undefined : range.frames[index];
+      frame = range.frames[(index === -1 ? range.frames.length : index) - 1];
+    }
+    
+    for (const node of this.nodes) {
+      const state = node.keyframes ? snapshotState(node, frame, next, time) : lifeState(node, time);
+      node.targetGrowth = state.growth;
+      node.targetPresence = state.presence;
+    }
+    for (const edge of this.edges) {
+      edge.targetPresence = !edge.frames || edge.frames.has(frame) ? 1 : 0;
+    }
+  }
+  
+  /**
+   * Leave timeline mode and show the whole graph
+   */
+  clearTime() {
+    this.timeline = null;
+    for (const node of this.nodes) {
+      node.targetGrowth = 1;
+      node.targetPresence = 1;
+    }
+    for (const edge of this.edges) {
+      edge.targetPresence = 1;
+    }
+  }
+  
+  /**
+   * Play the timeline forward, from the start if it is at the end
+   * @param {number} [speed] - Multiple of the normal pace (one pass in 30s); default: current speed
+   */
+  playTimeline(speed) {
+    const range = this.getTimeRange();
+    if (!range) return;
+    if (!this.timeline || this.timeline.time >= range.end) this.setTime(range.start);
+    this.timeline.playing = true;
+    if (speed) this.timeline.speed = speed;
+  }
+  
+  /**
+   * Stop playback, staying at the current time
+   */
+  pauseTimeline() {
+    if (this.timeline) this.timeline.playing = false;
+  }
+  
+  /**
+   * Edge opacity on the timeline: its own presence, no more than its ends'
+   */
+  edgeOpacity(edge) {
+    return edge.presence * Math.min(edge.source.presence, edge.target.presence);
   }
   
   /**
@@ -1605,13 +2741,15 @@ class MyceliumLayer {
         
         // Spawn particle burst
         this.particles.spawnBurst(node.x, node.y, 8 + Math.floor(intensity * 12), {
-          hue: PALETTE.nodes[node.type]?.h || 163,
+          hue: getTypeColor(node.type).h,
           brightness: 0.7 + intensity * 0.3
         });
         
         this.spreadActivation(node, intensity * 0.7, new Set([id]), 0);
       }
     }
+    // Active nodes drift, so wake a settled layout a little
+    this.simulation.reheat(0.05);
     
     // Activate edges between active nodes (LOWERED threshold for better connectivity visibility)
     for (const edge of this.edges) {
@@ -1699,7 +2837,8 @@ class MyceliumLayer {
    */
   setWaterLine(y) {
     this.waterLine = y;
-    this.simulation.centerY = y + (this.canvas.height - y) / 2;
+    this.simulation.centerY = y + (this.height - y) / 2;
+    this.simulation.reheat(0.3);
   }
   
   /**
@@ -1715,6 +2854,14 @@ class MyceliumLayer {
     // Update global breath
     this.globalBreath.phase += dt * this.globalBreath.speed;
     
+    // Timeline playback
+    if (this.timeline && this.timeline.playing) {
+      const range = this.getTimeRange();
+      const step = dt * this.timeline.speed * (range.end - range.start) / TIMELINE_PASS_SECONDS;
+      this.setTime(this.timeline.time + step);
+      if (this.timeline.time >= range.end) this.timeline.playing = false;
+    }
+    
     // Physics
     this.simulation.step(dt, this.time);
     
@@ -1731,33 +2878,143 @@ class MyceliumLayer {
     }
     
     // Particles
+    this.updateParticles(dt);
+    
+    // Edges drift, so re-check the hover a few times a second
+    if (this.pointer && this.time - this.hoverCheckTime > 0.15) {
+      this.hoverCheckTime = this.time;
+      this.updateHover();
+    }
+    if (this.hoveredEdge) {
+      this.hoveredEdge.targetActivation = Math.max(this.hoveredEdge.targetActivation, 0.5);
+    }
+    if (this.hoveredNode) {
+      this.hoveredNode.targetActivation = Math.max(this.hoveredNode.targetActivation, 0.4);
+    }
+    
+    // Keep the selection's neighborhood lit, re-spreading as it decays
+    if (this.selectedNode) {
+      this.selectedNode.targetActivation = Math.max(this.selectedNode.targetActivation, 0.9);
+      if (this.time - this.selectionPulseTime > 2) {
+        this.selectionPulseTime = this.time;
+        this.spreadActivation(this.selectedNode, 0.6, new Set([this.selectedNode.id]), 0);
+      }
+    }
+  }
+  
+  /**
+   * Move particles; they only gather around what exists at the scrubbed time
+   */
+  updateParticles(dt) {
     const bounds = {
       left: 0,
-      right: this.canvas.width,
+      right: this.width,
       top: this.waterLine,
-      bottom: this.canvas.height
+      bottom: this.height
     };
-    this.particles.update(dt, this.time, this.nodes, this.edges, bounds);
+    const visibleNodes = this.timeline ? this.nodes.filter(node => node.presence > 0.1) : this.nodes;
+    const visibleEdges = this.timeline ? this.edges.filter(edge => this.edgeOpacity(edge) > 0.1) : this.edges;
+    this.particles.update(dt, this.time, visibleNodes, visibleEdges, bounds);
+  }
+  
+  /**
+   * View state the worker needs to draw a frame like this thread would
+   */
+  frameState() {
+    const bursts = this.particles.bursts.splice(0);
+    return {
+      layerTime: this.time,
+      waterLine: this.waterLine,
+      camera: this.camera,
+      pointer: this.pointer,
+      hoveredNode: this.hoveredNode ? this.nodes.indexOf(this.hoveredNode) : -1,
+      hoveredEdge: this.hoveredEdge ? this.edges.indexOf(this.hoveredEdge) : -1,
+      selectedNode: this.selectedNode ? this.nodes.indexOf(this.selectedNode) : -1,
+      timelineTime: this.timeline ? this.timeline.time : null,
+      bursts
+    };
+  }
+  
+  /**
+   * Draw the hovered edge's label next to the pointer
+   */
+  renderHoverLabel(ctx) {
+    if (!this.pointer || (!this.hoveredNode && !this.hoveredEdge)) return;
+    
+    // Nodes get a details tooltip (freshness as of the scrubbed time), edges a one-line label
+    const lines = this.hoveredNode
+      ? this.hoveredNode.getDetails(this.timeline ? this.timeline.time : Date.now())
+      : [this.hoveredEdge.getLabel()];
+    const lit = this.hoveredNode ? this.hoveredNode.getColor() : this.hoveredEdge.colors.lit;
+    ctx.save();
+    ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+    const height = lines.length * 16 + 4;
+    const x = Math.min(this.pointer.x + 12, this.width - width - 4);
+    const y = Math.max(this.waterLine, this.pointer.y - height - 8);
+    
+    ctx.fillStyle = 'rgba(4, 10, 14, 0.85)';
+    ctx.strokeStyle = `rgba(${lit.r}, ${lit.g}, ${lit.b}, 0.6)`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      // First line (label) bright, details dimmer
+      ctx.fillStyle = i === 0 ? `rgb(${lit.r}, ${lit.g}, ${lit.b})` : 'rgba(200, 220, 215, 0.75)';
+      ctx.fillText(line, x + 8, y + 10 + i * 16);
+    });
+    ctx.restore();
+  }
+  
+  /**
+   * Ring around the selected node, and a dot on pinned ones
+   */
+  renderSelection(ctx) {
+    for (const node of this.nodes) {
+      if (node.fx === null || node.presence < 0.1) continue;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.beginPath();
+      ctx.arc(node.x, node.y - node.baseRadius * node.growth - 6, 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    const node = this.selectedNode;
+    if (!node) return;
+    const { r, g, b } = node.getColor();
+    const radius = node.baseRadius * node.growth * 1.6 + 6 + Math.sin(this.time * 3) * 2;
+    ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.8)`;
+    ctx.lineWidth = 1.5 / this.camera.zoom;
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
   }
   
   /**
    * Render everything in layers
    */
   render(ctx) {
+    // Offscreen: the worker draws; send it this frame's state (nothing, once it died)
+    if (this.offscreen) {
+      this.simulation.postFrame(this.frameState(), this.edges);
+      return;
+    }
     ctx = ctx || this.ctx;
     
     ctx.save();
     
     // Clip to below water line
     ctx.beginPath();
-    ctx.rect(0, this.waterLine, this.canvas.width, this.canvas.height - this.waterLine);
+    ctx.rect(0, this.waterLine, this.width, this.height - this.waterLine);
     ctx.clip();
     
     // ORGANIC SWAY - applied as view transform, not physics force
     // This gives gentle underwater drift feel without causing position drift
-    const swayX = Math.sin(this.time * 0.03) * 3;
-    const swayY = Math.cos(this.time * 0.025) * 2;
-    ctx.translate(swayX, swayY);
+    const sway = this.getSway();
+    ctx.translate(sway.x, sway.y);
     
     // === LAYER 1: Background ===
     this.atmosphere.renderBackground(ctx, this.waterLine);
@@ -1765,10 +3022,19 @@ class MyceliumLayer {
     // === LAYER 2: Caustics (underwater light) ===
     this.atmosphere.renderCaustics(ctx, this.time, this.waterLine);
     
+    // Camera (zoom and pan) applies to the graph, not the water around it
+    ctx.save();
+    ctx.translate(this.camera.x, this.camera.y);
+    ctx.scale(this.camera.zoom, this.camera.zoom);
+    
     // === LAYER 3: Deep edges (rendered first, behind everything) ===
     for (const edge of this.edges) {
+      const opacity = this.edgeOpacity(edge);
+      if (opacity < 0.01) continue;
+      ctx.globalAlpha = opacity;
       edge.render(ctx, this.time);
     }
+    ctx.globalAlpha = 1;
     
     // === LAYER 4: Particles (between edges and nodes) ===
     this.particles.render(ctx, this.time);
@@ -1777,8 +3043,14 @@ class MyceliumLayer {
     // Sort by Y for depth ordering (deeper = behind)
     const sortedNodes = [...this.nodes].sort((a, b) => a.y - b.y);
     for (const node of sortedNodes) {
+      if (node.presence < 0.01 || node.growth < 0.01) continue;
+      ctx.globalAlpha = node.presence;
       node.render(ctx, this.time);
     }
+    ctx.globalAlpha = 1;
+    this.renderSelection(ctx);
+    
+    ctx.restore();
     
     // === LAYER 6: Depth fog ===
     this.atmosphere.renderFog(ctx, this.waterLine);
@@ -1787,20 +3059,31 @@ class MyceliumLayer {
     
     // === LAYER 7: Vignette (over everything) ===
     this.atmosphere.renderVignette(ctx);
+    
+    // === LAYER 8: Hover tooltip ===
+    this.renderHoverLabel(ctx);
   }
   
   /**
    * Resize handler
    */
   resize(width, height) {
-    this.canvas.width = width;
-    this.canvas.height = height;
+    this.width = width;
+    this.height = height;
     
     this.simulation.width = width;
     this.simulation.height = height;
     this.simulation.centerX = width / 2;
     this.simulation.centerY = this.waterLine + (height - this.waterLine) / 2;
+    this.simulation.reheat(0.3);
     
+    // Offscreen, the canvas belongs to the worker
+    if (this.offscreen) {
+      if (this.worker) this.worker.postMessage({ type: 'resize', width, height });
+      return;
+    }
+    this.canvas.width = width;
+    this.canvas.height = height;
     this.atmosphere = new AtmosphericEffects(this.canvas);
   }
 }
@@ -1815,9 +3098,12 @@ if (typeof module !== 'undefined' && module.exports) {
     OrganicNode, 
     OrganicEdge, 
     ForceSimulation,
+    WorkerSimulation,
     ParticleSystem,
     Particle,
     AtmosphericEffects,
-    PerlinNoise
+    PerlinNoise,
+    registerNodeTypes,
+    getTypeColor
   };
 }
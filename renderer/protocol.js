@@ -0,0 +1,278 @@
+/**
+ * Absalom Protocol - shared WebSocket/HTTP message definitions
+ * Used by the knowledge engine server and by browser clients (GraphClient)
+ *
+ * Field specs are either a type shorthand ('string', 'number?', 'array')
+ * where a trailing '?' marks the field optional, or an object:
+ *   { type, optional, enum: [...], min, max, items }
+ *
+ * Client messages carry a scope: 'public' (no token), 'read' (default)
+ * or 'write' (requires the write token).
+ */
+
+(function (root) {
+  const PROTOCOL_VERSION = 1;
+
+  const MODES = ['idle', 'listening', 'thinking', 'responding'];
+
+  const AGENT_ACTIONS = ['spawn', 'update', 'work', 'complete', 'heartbeat'];
+
+  // Graph edge `type`: undirected co-occurrence, a directed explicit link,
+  // a directed relation carrying a `relation` verb label, or an optional
+  // undirected context similarity carrying `similarity` (0-1)
+  const EDGE_TYPES = ['co_occurs', 'links_to', 'relation', 'similar_to'];
+
+  const INTENSITY = { type: 'number', optional: true, min: 0 };
+
+  // Optional client features announced in hello. Clients that send
+  // 'graph:deltas' get graph:node:* / graph:edge:* deltas; everyone else
+  // gets a graph:full on every change.
+  const CLIENT_CAPABILITIES = ['graph:deltas'];
+
+  /**
+   * WebSocket messages by type
+   * direction: 'server' (server -> client) or 'client' (client -> server)
+   */
+  const MESSAGE_SCHEMAS = {
+    // === State ===
+    'state': { direction: 'server', fields: { mode: 'string', message: 'string?', lastUpdate: 'number?' } },
+    'state:change': { direction: 'server', fields: { state: 'object' } },
+
+    // === Graph ===
+    'graph:full': { direction: 'server', fields: { graph: 'object' } },
+    'graph:update': { direction: 'server', fields: { addNodes: 'array?', removeNodes: 'array?' } },
+    'graph:node:add': { direction: 'server', fields: { id: 'string', node: 'object', version: 'number?' } },
+    'graph:node:update': { direction: 'server', fields: { id: 'string', changes: 'object', version: 'number?' } },
+    'graph:node:remove': { direction: 'server', fields: { id: 'string', version: 'number?' } },
+    'graph:edge:add': { direction: 'server', fields: { id: 'string', edge: 'object', version: 'number?' } },
+    'graph:edge:update': { direction: 'server', fields: { id: 'string', changes: 'object', version: 'number?' } },
+    'graph:edge:remove': { direction: 'server', fields: { id: 'string', version: 'number?' } },
+
+    // === Activation ===
+    'activate': { direction: 'server', fields: { nodeIds: { type: 'array', items: 'string' }, intensity: INTENSITY } },
+    'activate:path': { direction: 'server', fields: { path: { type: 'array', items: 'string' }, intensity: INTENSITY } },
+    'activate:building': { direction: 'server', fields: { building: 'string', duration: 'number?', intensity: INTENSITY } },
+    'activate:district': { direction: 'server', fields: { district: 'string', stagger: 'number?', duration: 'number?', intensity: INTENSITY } },
+    'activate:topic': { direction: 'server', fields: { topic: 'string', duration: 'number?', intensity: INTENSITY } },
+
+    // === City ===
+    'city:state': { direction: 'server', fields: { city: 'object' } },
+    'thought': { direction: 'server', fields: { text: 'string' } },
+
+    // === Sub-agents ===
+    'agent:spawn': { direction: 'server', fields: { agent: 'object?', sessionKey: 'string?' } },
+    'agent:update': { direction: 'server', fields: { sessionKey: 'string', status: 'string?' } },
+    'agent:work': { direction: 'server', fields: { sessionKey: 'string', state: 'string?' } },
+    'agent:complete': { direction: 'server', fields: { sessionKey: 'string', findings: 'array' } },
+    'agent:heartbeat': { direction: 'server', fields: { agents: 'array?' } },
+
+    // === Surface layer ===
+    'tide:level': { direction: 'server', fields: { level: { type: 'number', min: 0, max: 1 } } },
+    'context:add': { direction: 'server', fields: { concept: 'string', creatureType: 'string?' } },
+    'context:clear': { direction: 'server', fields: {} },
+
+    // === Handshake / control ===
+    'welcome': { direction: 'server', fields: { version: 'number', capabilities: 'array', subscribe: 'array?' } },
+    'error': { direction: 'server', fields: { error: 'string', errors: 'array?' } },
+    'pong': { direction: 'server', fields: { timestamp: 'number' } },
+
+    'hello': {
+      direction: 'client',
+      scope: 'public',
+      fields: {
+        version: 'number',
+        token: 'string?',
+        subscribe: { type: 'array', optional: true, items: 'string' },
+        capabilities: { type: 'array', optional: true, items: 'string' }
+      }
+    },
+    'ping': { direction: 'client', scope: 'public', fields: {} },
+    'graph:request': { direction: 'client', fields: {} },
+    'graph:get': { direction: 'client', fields: {} },
+    'state:request': { direction: 'client', fields: {} },
+    'city:request': { direction: 'client', fields: {} },
+    'city:regenerate': { direction: 'client', scope: 'write', fields: {} }
+  };
+
+  // Server graph messages, delivered together (see isSubscribed)
+  const GRAPH_TYPES = Object.keys(MESSAGE_SCHEMAS)
+    .filter(type => type.startsWith('graph:') && MESSAGE_SCHEMAS[type].direction === 'server');
+
+  /**
+   * HTTP request bodies by route
+   * oneOf: at least one of the listed fields must be present
+   */
+  const BODY_SCHEMAS = {
+    'POST /state': { fields: { mode: { type: 'string', enum: MODES }, message: 'string?' } },
+    'POST /graph': { fields: { nodes: 'array', edges: 'array' } },
+    'POST /activate': {
+      fields: {
+        nodeIds: { type: 'array', optional: true, items: 'string' },
+        path: { type: 'array', optional: true, items: 'string' },
+        intensity: INTENSITY
+      },
+      oneOf: ['nodeIds', 'path']
+    },
+    'POST /tide': { fields: { level: 'number' } },
+    'POST /context': { fields: { concept: 'string?', creatureType: 'string?', clear: 'boolean?' }, oneOf: ['concept', 'clear'] },
+    'POST /agent': { fields: { action: { type: 'string', enum: AGENT_ACTIONS }, agent: 'object?', sessionKey: 'string?' } },
+    'POST /api/thought': { fields: { text: 'string' } },
+    'POST /api/recall': { fields: { query: 'string', limit: 'number?' } },
+    'POST /city-state/cognitive': { fields: { mode: 'string', context: 'string?' } },
+    'POST /planner/scan': { fields: { buildingId: 'string?', district: 'string?', label: 'string?' } }
+  };
+
+  /**
+   * Expand a field spec shorthand into an object
+   */
+  function parseSpec(spec) {
+    if (typeof spec === 'string') {
+      const optional = spec.endsWith('?');
+      return { type: optional ? spec.slice(0, -1) : spec, optional };
+    }
+    return spec;
+  }
+
+  /**
+   * Get the protocol type name of a value
+   */
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  /**
+   * Validate an object against a field schema
+   * @param {Object} schema - { fields, oneOf }
+   * @param {*} data - Value to check
+   * @returns {Array<{field: string, message: string}>} Field-level errors (empty if valid)
+   */
+  function validateFields(schema, data) {
+    if (typeOf(data) !== 'object') {
+      return [{ field: '', message: `expected object, got ${typeOf(data)}` }];
+    }
+
+    const errors = [];
+    for (const [field, rawSpec] of Object.entries(schema.fields)) {
+      const spec = parseSpec(rawSpec);
+      const value = data[field];
+
+      if (value === undefined) {
+        if (!spec.optional) errors.push({ field, message: 'is required' });
+        continue;
+      }
+
+      const actual = typeOf(value);
+      if (actual !== spec.type) {
+        errors.push({ field, message: `expected ${spec.type}, got ${actual}` });
+        continue;
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        errors.push({ field, message: `must be one of ${spec.enum.join(', ')}` });
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        errors.push({ field, message: `must be >= ${spec.min}` });
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        errors.push({ field, message: `must be <= ${spec.max}` });
+      }
+      if (spec.items) {
+        const bad = value.findIndex(item => typeOf(item) !== spec.items);
+        if (bad >= 0) {
+          errors.push({ field: `${field}[${bad}]`, message: `expected ${spec.items}, got ${typeOf(value[bad])}` });
+        }
+      }
+    }
+
+    if (schema.oneOf && !schema.oneOf.some(field => data[field] !== undefined)) {
+      errors.push({ field: schema.oneOf.join('|'), message: `one of ${schema.oneOf.join(', ')} is required` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a WebSocket message
+   * @param {Object} msg - Parsed message
+   * @param {string} [direction] - Expected direction ('server' or 'client')
+   * @returns {Array<{field: string, message: string}>} Errors (empty if valid)
+   */
+  function validateMessage(msg, direction) {
+    if (typeOf(msg) !== 'object' || typeof msg.type !== 'string') {
+      return [{ field: 'type', message: 'is required' }];
+    }
+
+    const schema = MESSAGE_SCHEMAS[msg.type];
+    if (!schema) {
+      return [{ field: 'type', message: `unknown message type "${msg.type}"` }];
+    }
+    if (direction && schema.direction !== direction) {
+      return [{ field: 'type', message: `"${msg.type}" is not a ${direction} message` }];
+    }
+
+    return validateFields(schema, msg);
+  }
+
+  /**
+   * Validate an HTTP request body
+   * @param {string} route - e.g. 'POST /tide'
+   * @param {*} body - Parsed JSON body
+   * @returns {Array<{field: string, message: string}>} Errors (empty if valid or unknown route)
+   */
+  function validateBody(route, body) {
+    const schema = BODY_SCHEMAS[route];
+    return schema ? validateFields(schema, body) : [];
+  }
+
+  /**
+   * Get all message types sent in one direction
+   * @param {string} direction - 'server' or 'client'
+   * @returns {Array<string>}
+   */
+  function getMessageTypes(direction) {
+    return Object.keys(MESSAGE_SCHEMAS)
+      .filter(type => MESSAGE_SCHEMAS[type].direction === direction);
+  }
+
+  /**
+   * Check a message type against a subscription list.
+   * Patterns may end in '*' to match a prefix ('graph:*', 'agent:*').
+   * Graph messages are one unit: deltas share a single version sequence and
+   * a gap is repaired with graph:full, so a pattern matching any graph:
+   * type subscribes to all of them.
+   * @param {string} type - Message type
+   * @param {Array<string>|null} subscribe - Patterns, or null for everything
+   * @returns {boolean}
+   */
+  function isSubscribed(type, subscribe) {
+    if (!subscribe) return true;
+    const matches = (candidate) => subscribe.some(pattern =>
+      pattern.endsWith('*') ? candidate.startsWith(pattern.slice(0, -1)) : candidate === pattern
+    );
+    if (type.startsWith('graph:')) return GRAPH_TYPES.some(matches);
+    return matches(type);
+  }
+
+  const AbsalomProtocol = {
+    PROTOCOL_VERSION,
+    MODES,
+    AGENT_ACTIONS,
+    EDGE_TYPES,
+    CLIENT_CAPABILITIES,
+    MESSAGE_SCHEMAS,
+    BODY_SCHEMAS,
+    validateFields,
+    validateMessage,
+    validateBody,
+    getMessageTypes,
+    isSubscribed
+  };
+
+  // Export for module and browser
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AbsalomProtocol;
+  } else {
+    root.AbsalomProtocol = AbsalomProtocol;
+  }
+})(typeof self !== 'undefined' ? self : this);
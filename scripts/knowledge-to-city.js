@@ -6,69 +6,26 @@
  * Generates city layout like an optimized brain:
  * - Most-used concepts closest to core
  * - Heavily connected concepts cluster together
+ * - Districts are the co-occurrence graph's communities, not keyword lists
  * - Growth areas have room to expand
  * - Critical systems (memory, cognition) are prominent/fortified
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getSourceDate } = require('../knowledge-engine/extractor');
+const { createSources } = require('../knowledge-engine/config');
+const { scoreEdges } = require('../knowledge-engine/scoring');
+const { detectCommunities, computeImportance } = require('../knowledge-engine/graph');
 
 const WORKSPACE = process.env.WORKSPACE || path.join(process.env.HOME, '.openclaw/workspace');
 const OUTPUT_PATH = path.join(__dirname, '../data/city-state.json');
 
-// District definitions with keywords for classification
-const DISTRICTS = {
-  trading: {
-    keywords: ['stock', 'trading', 'market', 'options', 'scanner', 'asymmetry', 'ticker', 
-               'lunr', 'rdw', 'rklb', 'asts', 'uec', 'ccj', 'smr', 'oklo', 'ionq', 'rgti', 
-               'qubt', 'sofi', 'hood', 'ampx', 'ctmx', 'price', 'portfolio', 'holdings',
-               'bullish', 'bearish', 'momentum', 'breakout', 'squeeze', 'bounce', 'kelly',
-               'position', 'stop', 'target', 'entry', 'exit', 'pulse', 'dexter'],
-    basePosition: { x: 45, z: 20 },
-    color: '#ffd700',
-    importance: 1.2  // Trading is critical
-  },
-  infrastructure: {
-    keywords: ['server', 'deploy', 'docker', 'tailscale', 'coolify', 'pm2', 'cloudflare',
-               'tunnel', 'websocket', 'api', 'nginx', 'linux', 'ssh', 'port', 'daemon',
-               'systemd', 'cron', 'node', 'python', 'bash', 'git', 'github', 'vercel'],
-    basePosition: { x: -40, z: 30 },
-    color: '#ff6b9d',
-    importance: 0.9
-  },
-  projects: {
-    keywords: ['project', 'build', 'create', 'app', 'visualization', 'face', 'mind',
-               'electron', 'renderer', 'canvas', 'three', 'webgl', 'animation',
-               'landing', 'page', 'whop', 'telegram', 'bot', 'skill', 'router', 'city'],
-    basePosition: { x: 20, z: -45 },
-    color: '#9d6bff',
-    importance: 1.0
-  },
-  memory: {
-    keywords: ['memory', 'remember', 'decision', 'learned', 'preference', 'soul',
-               'identity', 'anton', 'user', 'human', 'session', 'heartbeat',
-               'briefing', 'summary', 'note', 'log', 'journal', 'continuity'],
-    basePosition: { x: -30, z: -40 },
-    color: '#6bff9d',
-    importance: 1.3  // Memory is critical for continuity
-  },
-  core: {
-    keywords: ['self', 'absalom', 'core', 'agent', 'assistant', 'ai', 'claude',
-               'knowledge', 'graph', 'engine', 'system', 'opus', 'sonnet'],
-    basePosition: { x: 0, z: 0 },
-    color: '#00ffff',
-    importance: 1.5  // Core is most important
-  }
-};
+// Districts sit on a ring around the core; seeds may pin their own position
+const DISTRICT_RING_RADIUS = 45;
 
-// Source file weights (SOUL.md concepts are identity = tallest)
-const SOURCE_WEIGHTS = {
-  'SOUL.md': 5.0,      // Identity - tallest buildings
-  'MEMORY.md': 3.0,    // Long-term memory - very important
-  'USER.md': 2.0,      // User context
-  'AGENTS.md': 1.5,    // Operational patterns
-  'TOOLS.md': 1.0      // Tool notes
-};
+// Source files and weights from absalom.config.json (SOUL.md concepts are identity = tallest)
+const SOURCES = createSources();
 
 // Recency decay: buildings from recent files get height boost
 const RECENCY_HALF_LIFE_DAYS = 7;
@@ -80,48 +37,40 @@ function readMemoryFiles() {
   const files = [];
   const now = Date.now();
   
-  // Main files
-  const mainFiles = ['MEMORY.md', 'SOUL.md', 'USER.md', 'AGENTS.md', 'TOOLS.md'];
-  for (const filename of mainFiles) {
-    const filepath = path.join(WORKSPACE, filename);
-    if (fs.existsSync(filepath)) {
-      try {
-        const content = fs.readFileSync(filepath, 'utf8');
-        const stat = fs.statSync(filepath);
-        files.push({
-          name: filename,
-          content,
-          mtime: stat.mtime.getTime(),
-          sourceWeight: SOURCE_WEIGHTS[filename] || 1
-        });
-      } catch (e) {
-        console.warn(`Failed to read ${filename}:`, e.message);
-      }
-    }
-  }
-  
-  // Memory directory
-  const memoryDir = path.join(WORKSPACE, 'memory');
-  if (fs.existsSync(memoryDir)) {
-    const memoryFiles = fs.readdirSync(memoryDir).filter(f => f.endsWith('.md'));
-    for (const filename of memoryFiles) {
-      const filepath = path.join(memoryDir, filename);
-      try {
-        const content = fs.readFileSync(filepath, 'utf8');
-        const stat = fs.statSync(filepath);
-        // Recency weight: exponential decay with half-life
-        const ageMs = now - stat.mtime.getTime();
-        const ageDays = ageMs / (1000 * 60 * 60 * 24);
-        const recencyMultiplier = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  for (const name of SOURCES.listSources(WORKSPACE)) {
+    const filepath = path.join(WORKSPACE, name);
+    try {
+      const content = fs.readFileSync(filepath, 'utf8');
+      const stat = fs.statSync(filepath);
+      const sourceWeight = SOURCES.getSourceWeight(name);
+      
+      // Top-level files count at their source weight
+      if (!name.includes('/')) {
         files.push({
-          name: `memory/${filename}`,
+          name,
           content,
           mtime: stat.mtime.getTime(),
-          sourceWeight: 1.5 * (0.5 + recencyMultiplier)  // 0.75 to 1.5 based on recency
+          writtenAt: stat.mtime.getTime(),
+          sourceWeight
         });
-      } catch (e) {
-        // Ignore individual file errors
+        continue;
       }
+      
+      // Notes in subdirectories (memory/) date from their filename, not from when they were last touched
+      const writtenAt = Math.min(getSourceDate(name) ?? stat.mtime.getTime(), now);
+      // Recency weight: exponential decay with half-life
+      const ageMs = now - writtenAt;
+      const ageDays = ageMs / (1000 * 60 * 60 * 24);
+      const recencyMultiplier = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+      files.push({
+        name,
+        content,
+        mtime: stat.mtime.getTime(),
+        writtenAt,
+        sourceWeight: sourceWeight * 1.5 * (0.5 + recencyMultiplier)  // 0.75 to 1.5x based on recency
+      });
+    } catch (e) {
+      console.warn(`Failed to read ${name}:`, e.message);
     }
   }
   
@@ -142,8 +91,10 @@ function splitIntoParagraphs(content) {
  * Extract entities and build co-occurrence matrix
  */
 function extractEntitiesWithCooccurrence(files) {
-  const entities = new Map(); // id -> { id, type, label, frequency, recencyScore, sourceScore, sources, district }
+  const entities = new Map(); // id -> { id, type, label, frequency, recencyScore, sourceScore, sources }
   const cooccurrence = new Map(); // "id1|id2" -> count
+  const paragraphCounts = new Map(); // id -> paragraphs mentioning it
+  let paragraphCount = 0;
   
   // Known valid tickers
   const VALID_TICKERS = new Set([
@@ -164,15 +115,14 @@ function extractEntitiesWithCooccurrence(files) {
     'EOD', 'ATR', 'OBV', 'TTM', 'VCP', 'IPO'
   ]);
   
-  function addEntity(id, type, label, sourceWeight, recencyMult, sourceName, district) {
+  function addEntity(id, type, label, sourceWeight, recencyMult, sourceName) {
     if (!entities.has(id)) {
       entities.set(id, {
         id, type, label,
         frequency: 0,
         recencyScore: 0,
         sourceScore: 0,
-        sources: new Set(),
-        district
+        sources: new Set()
       });
     }
     const e = entities.get(id);
@@ -192,7 +142,7 @@ function extractEntitiesWithCooccurrence(files) {
   for (const file of files) {
     const paragraphs = splitIntoParagraphs(file.content);
     const sourceWeight = file.sourceWeight;
-    const ageMs = Date.now() - file.mtime;
+    const ageMs = Date.now() - file.writtenAt;
     const ageDays = ageMs / (1000 * 60 * 60 * 24);
     const recencyMult = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
     
@@ -206,7 +156,7 @@ function extractEntitiesWithCooccurrence(files) {
         const ticker = match[1];
         if (VALID_TICKERS.has(ticker) || 
             (!TICKER_EXCLUSIONS.has(ticker) && file.content.includes(`$${ticker}`))) {
-          const id = addEntity(`ticker:${ticker}`, 'ticker', ticker, sourceWeight, recencyMult, file.name, 'trading');
+          const id = addEntity(`ticker:${ticker}`, 'ticker', ticker, sourceWeight, recencyMult, file.name);
           paraEntities.push(id);
         }
       }
@@ -215,8 +165,7 @@ function extractEntitiesWithCooccurrence(files) {
       const toolsRegex = /\b(PM2|Docker|Tailscale|Coolify|Cloudflare|Telegram|Discord|GitHub|WebSocket|Node\.js|Python|Three\.js|Electron|Vercel|Fly\.io|Kelly|Dexter|Opus|Sonnet)\b/gi;
       while ((match = toolsRegex.exec(para)) !== null) {
         const tool = match[1];
-        const district = ['Opus', 'Sonnet', 'Kelly', 'Dexter'].includes(tool) ? 'core' : 'infrastructure';
-        const id = addEntity(`tool:${tool.toLowerCase()}`, 'tool', tool, sourceWeight, recencyMult, file.name, district);
+        const id = addEntity(`tool:${tool.toLowerCase()}`, 'tool', tool, sourceWeight, recencyMult, file.name);
         paraEntities.push(id);
       }
       
@@ -236,7 +185,7 @@ function extractEntitiesWithCooccurrence(files) {
         pattern.lastIndex = 0;
         while ((match = pattern.exec(para)) !== null) {
           const project = match[0].trim();
-          const id = addEntity(`project:${project.toLowerCase().replace(/\s+/g, '-')}`, 'project', project, sourceWeight * 1.5, recencyMult, file.name, 'projects');
+          const id = addEntity(`project:${project.toLowerCase().replace(/\s+/g, '-')}`, 'project', project, sourceWeight * 1.5, recencyMult, file.name);
           paraEntities.push(id);
         }
       }
@@ -252,61 +201,137 @@ function extractEntitiesWithCooccurrence(files) {
         while ((match = pattern.exec(para)) !== null) {
           const concept = match[1].trim();
           if (concept.length > 2 && concept.length < 40 && !/^[#\-\*]/.test(concept)) {
-            const district = classifyToDistrict(concept);
-            const id = addEntity(`concept:${concept.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, 'concept', concept, sourceWeight * 0.8, recencyMult, file.name, district);
+            const id = addEntity(`concept:${concept.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, 'concept', concept, sourceWeight * 0.8, recencyMult, file.name);
             paraEntities.push(id);
           }
         }
       }
       
-      // Build co-occurrence from paragraph entities
-      for (let i = 0; i < paraEntities.length; i++) {
-        for (let j = i + 1; j < paraEntities.length; j++) {
-          addCooccurrence(paraEntities[i], paraEntities[j]);
+      // Build co-occurrence from paragraph entities (each entity once per paragraph)
+      const unique = [...new Set(paraEntities)];
+      paragraphCount++;
+      for (const id of unique) {
+        paragraphCounts.set(id, (paragraphCounts.get(id) || 0) + 1);
+      }
+      for (let i = 0; i < unique.length; i++) {
+        for (let j = i + 1; j < unique.length; j++) {
+          addCooccurrence(unique[i], unique[j]);
         }
       }
     }
   }
   
-  return { entities, cooccurrence };
+  return {
+    entities,
+    cooccurrence,
+    // Sample statistics for edge scoring
+    paragraphStats: { countOf: (id) => paragraphCounts.get(id) || 0, total: paragraphCount }
+  };
 }
 
 /**
- * Classify text to a district based on keywords
+ * Score co-occurrence pairs (method and filter from edgeScoring in absalom.config.json)
+ * @param {Object} [overrides] - e.g. { backbone: false } to keep every positive pair
  */
-function classifyToDistrict(text) {
-  const lower = text.toLowerCase();
-  
-  let bestDistrict = 'memory';
-  let bestScore = 0;
-  
-  for (const [district, config] of Object.entries(DISTRICTS)) {
-    let score = 0;
-    for (const keyword of config.keywords) {
-      if (lower.includes(keyword)) {
-        score += 1;
-      }
-    }
-    if (score > bestScore) {
-      bestScore = score;
-      bestDistrict = district;
-    }
+function scoreCooccurrence(cooccurrence, paragraphStats, overrides = {}) {
+  const pairs = [...cooccurrence].map(([key, count]) => {
+    const [source, target] = key.split('|');
+    return { source, target, weight: count };
+  });
+  return scoreEdges(pairs, paragraphStats, { ...SOURCES.config.edgeScoring, ...overrides });
+}
+
+/**
+ * Color for an unseeded district: hues spread by the golden angle
+ */
+function districtColor(index) {
+  const hue = (index * 137.508 + 190) % 360;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = 0.6 - 0.4 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+/**
+ * Group entities into districts by community detection and set each
+ * entity's `district`. Clusters come from every positively associated
+ * pair, not just the backbone, which is too sparse to cluster on.
+ * @returns {Object<string, Object>} District key -> { name, color, basePosition, keywords, size, seed }
+ */
+function assignDistricts(entities, associations) {
+  const nodes = [...entities.values()].map(e => ({ id: e.id, label: e.label, weight: calculateImportance(e) }));
+  const { assignments, communities } = detectCommunities({ nodes, edges: associations }, SOURCES.config.communities);
+
+  for (const entity of entities.values()) {
+    entity.district = assignments.get(entity.id);
   }
-  
-  return bestDistrict;
+
+  // One slot per district on the ring; seeds with a position take the slot
+  // nearest to it, the rest fill the free slots in weight order
+  const slots = communities.map((_, i) => (i / communities.length) * Math.PI * 2);
+  const angleGap = (a, b) => Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+  for (const community of communities) {
+    const position = community.seedConfig?.position;
+    if (!position) continue;
+    const angle = Math.atan2(position.z, position.x);
+    slots.sort((a, b) => angleGap(a, angle) - angleGap(b, angle)).shift();
+  }
+  slots.sort((a, b) => a - b);
+
+  const districts = {};
+  communities.forEach((community, index) => {
+    const angle = community.seedConfig?.position ? 0 : slots.shift();
+    districts[community.id] = {
+      name: community.name,
+      color: community.seedConfig?.color || districtColor(index),
+      basePosition: community.seedConfig?.position || {
+        x: Math.round(Math.cos(angle) * DISTRICT_RING_RADIUS),
+        z: Math.round(Math.sin(angle) * DISTRICT_RING_RADIUS)
+      },
+      // Labels of the heaviest members, for matching activity text to the district
+      keywords: community.nodes.slice(0, 8).map(id => entities.get(id).label.toLowerCase()),
+      size: community.size,
+      seed: community.seed
+    };
+  });
+
+  return districts;
 }
 
 /**
- * Calculate importance score: frequency × recency × source_weight
+ * Score entities with the graph's combined importance: centrality blended
+ * with mentions (importance in absalom.config.json), times recency and source weight
+ */
+function rankEntities(entities, associations) {
+  const nodes = [...entities.values()].map(e => ({ id: e.id, label: e.label, weight: e.frequency }));
+  const scores = computeImportance({ nodes, edges: associations }, {
+    blend: SOURCES.config.importance,
+    decayOf: node => 0.5 + entities.get(node.id).recencyScore,
+    sourceWeightOf: node => entities.get(node.id).sourceScore
+  });
+
+  for (const entity of entities.values()) {
+    const { importance, ...centrality } = scores.get(entity.id);
+    entity.centrality = centrality;
+    entity.importance = importance;
+  }
+}
+
+/**
+ * Calculate importance score: the combined importance once rankEntities
+ * has run, otherwise frequency × recency × source_weight
  */
 function calculateImportance(entity) {
+  if (entity.importance !== undefined) return entity.importance;
   return entity.frequency * (0.5 + entity.recencyScore) * entity.sourceScore;
 }
 
 /**
  * Force-directed layout simulation for clustering connected concepts
  */
-function forceDirectedLayout(entities, cooccurrence, iterations = 100) {
+function forceDirectedLayout(entities, cooccurrence, iterations = 100, districts = {}) {
   const positions = new Map();
   const entitiesArray = [...entities.values()];
   
@@ -318,8 +343,10 @@ function forceDirectedLayout(entities, cooccurrence, iterations = 100) {
   const BOUNDS = 80; // Max distance from origin
   
   // Initialize positions based on district + importance (more important = closer to center)
+  const homeOf = (entity) => (districts[entity.district] || {}).basePosition || { x: 0, z: 0 };
+  
   for (const entity of entitiesArray) {
-    const district = DISTRICTS[entity.district] || DISTRICTS.memory;
+    const home = homeOf(entity);
     const importance = calculateImportance(entity);
     const normalizedImportance = importance / maxImportance;
     
@@ -328,7 +355,7 @@ function forceDirectedLayout(entities, cooccurrence, iterations = 100) {
     const coreDistance = 10 + (1 - Math.pow(normalizedImportance, 0.4)) * 45;
     
     // Angle toward district center with jitter
-    const districtAngle = Math.atan2(district.basePosition.z, district.basePosition.x);
+    const districtAngle = Math.atan2(home.z, home.x);
     const angleSpread = (Math.random() - 0.5) * 1.2; // ±0.6 radians spread
     const angle = districtAngle + angleSpread;
     
@@ -413,13 +440,13 @@ function forceDirectedLayout(entities, cooccurrence, iterations = 100) {
     // Pull toward district center + slight pull to core based on importance
     for (const entity of entitiesArray) {
       const p = positions.get(entity.id);
-      const district = DISTRICTS[entity.district] || DISTRICTS.memory;
+      const home = homeOf(entity);
       const importance = calculateImportance(entity);
       const normalizedImportance = importance / maxImportance;
       
       // Pull toward district
-      const dxDist = district.basePosition.x * 0.6 - p.x;
-      const dzDist = district.basePosition.z * 0.6 - p.z;
+      const dxDist = home.x * 0.6 - p.x;
+      const dzDist = home.z * 0.6 - p.z;
       p.fx += dxDist * districtPull * temp;
       p.fz += dzDist * districtPull * temp;
       
@@ -457,7 +484,7 @@ function forceDirectedLayout(entities, cooccurrence, iterations = 100) {
 /**
  * Calculate dynamic district bounds based on entity count
  */
-function calculateDistrictBounds(entities) {
+function calculateDistrictBounds(entities, districts) {
   const districtCounts = {};
   const districtEntities = {};
   
@@ -472,7 +499,7 @@ function calculateDistrictBounds(entities) {
   const totalEntities = entities.size;
   const districtBounds = {};
   
-  for (const [district, config] of Object.entries(DISTRICTS)) {
+  for (const [district, config] of Object.entries(districts)) {
     const count = districtCounts[district] || 1;
     const proportion = count / totalEntities;
     
@@ -498,7 +525,7 @@ function calculateDistrictBounds(entities) {
 /**
  * Generate buildings with brain-optimized layout
  */
-function generateBuildings(entities, cooccurrence) {
+function generateBuildings(entities, cooccurrence, districts) {
   const buildings = [];
   
   // Calculate importances
@@ -512,16 +539,15 @@ function generateBuildings(entities, cooccurrence) {
   
   // Run force-directed layout
   console.log('Running force-directed layout...');
-  const positions = forceDirectedLayout(entities, cooccurrence, 150);
+  const positions = forceDirectedLayout(entities, cooccurrence, 150, districts);
   
   // Generate buildings
   for (const entity of entities.values()) {
     const pos = positions.get(entity.id);
     const importance = importanceMap.get(entity.id);
     const normalizedImportance = importance / maxImportance;
-    const district = DISTRICTS[entity.district];
     
-    // Height based on: frequency × recency × source_weight
+    // Height based on combined importance (centrality × recency × source_weight)
     // SOUL.md entities get significant height boost
     let height;
     if (normalizedImportance > 0.8) {
@@ -564,6 +590,7 @@ function generateBuildings(entities, cooccurrence) {
       width: Math.round(width * 10) / 10,
       depth: Math.round(width * 10) / 10,
       importance: Math.round(importance * 100) / 100,
+      centrality: entity.centrality,
       frequency: entity.frequency,
       recencyScore: Math.round(entity.recencyScore * 100) / 100,
       sourceScore: Math.round(entity.sourceScore * 100) / 100,
@@ -578,36 +605,31 @@ function generateBuildings(entities, cooccurrence) {
 }
 
 /**
- * Generate connections (roads/bridges) based on co-occurrence
+ * Generate connections (roads/bridges) from the scored co-occurrence backbone
  */
-function generateConnections(buildings, cooccurrence) {
+function generateConnections(buildings, backbone) {
   const connections = [];
   const buildingMap = new Map(buildings.map(b => [b.id, b]));
   
-  // Convert co-occurrence to connections
-  const maxStrength = Math.max(...cooccurrence.values(), 1);
+  const maxScore = Math.max(...backbone.map(e => e.score), 0) || 1;
   
-  for (const [key, count] of cooccurrence) {
-    const [id1, id2] = key.split('|');
+  for (const { source: id1, target: id2, weight: count, score } of backbone) {
     const b1 = buildingMap.get(id1);
     const b2 = buildingMap.get(id2);
     
     if (!b1 || !b2) continue;
     
     // Normalize strength (0-1)
-    const strength = count / maxStrength;
+    const strength = score / maxScore;
     
-    // Only include meaningful connections
-    if (count >= 2 || strength > 0.3) {
-      connections.push({
-        from: id1,
-        to: id2,
-        strength: Math.round(strength * 100) / 100,
-        count,
-        // Connection type based on district relationship
-        type: b1.district === b2.district ? 'local' : 'bridge'
-      });
-    }
+    connections.push({
+      from: id1,
+      to: id2,
+      strength: Math.round(strength * 100) / 100,
+      count,
+      // Connection type based on district relationship
+      type: b1.district === b2.district ? 'local' : 'bridge'
+    });
   }
   
   // Sort by strength
@@ -618,30 +640,28 @@ function generateConnections(buildings, cooccurrence) {
 }
 
 /**
- * Analyze recent context to determine active district
+ * Analyze recent context to determine active district: districts whose
+ * entities appear in the most recent files light up
  */
-function analyzeActiveDistrict(files) {
-  const sorted = files.sort((a, b) => b.mtime - a.mtime);
+function analyzeActiveDistrict(files, entities, districts) {
+  const sorted = files.sort((a, b) => b.writtenAt - a.writtenAt);
   const recent = sorted.slice(0, 3);
   
   const districtScores = {};
-  for (const district of Object.keys(DISTRICTS)) {
+  for (const district of Object.keys(districts)) {
     districtScores[district] = 0.2;
   }
   
   for (const file of recent) {
-    const lower = file.content.toLowerCase();
-    for (const [district, config] of Object.entries(DISTRICTS)) {
-      for (const keyword of config.keywords) {
-        if (lower.includes(keyword)) {
-          districtScores[district] += 0.1 * file.sourceWeight;
-        }
+    for (const entity of entities.values()) {
+      if (entity.sources.has(file.name) && entity.district in districtScores) {
+        districtScores[entity.district] += 0.1 * file.sourceWeight;
       }
     }
   }
   
   // Normalize
-  const max = Math.max(...Object.values(districtScores));
+  const max = Math.max(...Object.values(districtScores), 0.2);
   for (const district of Object.keys(districtScores)) {
     districtScores[district] = Math.round(Math.min(1, districtScores[district] / max) * 100) / 100;
   }
@@ -675,20 +695,34 @@ function main() {
   
   // Extract entities with co-occurrence
   console.log('Extracting entities and building co-occurrence matrix...');
-  const { entities, cooccurrence } = extractEntitiesWithCooccurrence(files);
+  const { entities, cooccurrence, paragraphStats } = extractEntitiesWithCooccurrence(files);
   console.log(`  Found ${entities.size} entities`);
   console.log(`  Found ${cooccurrence.size} co-occurrence pairs`);
   
+  // Score co-occurrence: every positive association for clustering, the backbone for roads
+  const associations = scoreCooccurrence(cooccurrence, paragraphStats, { backbone: false });
+  const backbone = scoreCooccurrence(cooccurrence, paragraphStats);
+  
+  // Rank entities by centrality, recency and source
+  rankEntities(entities, associations);
+  
+  // Detect districts from the graph's communities
+  console.log('Detecting districts...');
+  const districts = assignDistricts(entities, associations);
+  for (const [key, district] of Object.entries(districts)) {
+    console.log(`  ${key}: "${district.name}" (${district.size} entities${district.seed ? ', seeded' : ''})`);
+  }
+  
   // Calculate district bounds
   console.log('Calculating dynamic district bounds...');
-  const districtBounds = calculateDistrictBounds(entities);
+  const districtBounds = calculateDistrictBounds(entities, districts);
   for (const [district, bounds] of Object.entries(districtBounds)) {
     console.log(`  ${district}: ${bounds.entityCount} entities, radius ${Math.round(bounds.radius)}`);
   }
   
   // Generate buildings with force-directed layout
   console.log('Generating brain-optimized building layout...');
-  const buildings = generateBuildings(entities, cooccurrence);
+  const buildings = generateBuildings(entities, cooccurrence, districts);
   console.log(`  Created ${buildings.length} buildings`);
   
   // Show top buildings by importance
@@ -699,11 +733,11 @@ function main() {
   
   // Generate connections
   console.log('\nGenerating co-occurrence connections...');
-  const connections = generateConnections(buildings, cooccurrence);
+  const connections = generateConnections(buildings, backbone);
   console.log(`  Created ${connections.length} connections`);
   
   // Analyze activity
-  const { activeDistrict, districtActivity } = analyzeActiveDistrict(files);
+  const { activeDistrict, districtActivity } = analyzeActiveDistrict(files, entities, districts);
   console.log(`\n  Active district: ${activeDistrict}`);
   
   // Build city state
@@ -714,6 +748,7 @@ function main() {
     cognitiveState: 'idle',
     activeDistrict,
     districtActivity,
+    districts,
     districtBounds,
     buildings,
     connections,
@@ -722,6 +757,7 @@ function main() {
       buildingCount: buildings.length,
       connectionCount: connections.length,
       cooccurrencePairs: cooccurrence.size,
+      districtCount: Object.keys(districts).length,
       fileCount: files.length
     }
   };
@@ -750,4 +786,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main, readMemoryFiles, extractEntitiesWithCooccurrence, generateBuildings, forceDirectedLayout };
+module.exports = { main, readMemoryFiles, extractEntitiesWithCooccurrence, rankEntities, assignDistricts, generateBuildings, forceDirectedLayout };
@@ -12,6 +12,9 @@ const path = require('path');
 
 const STATE_FILE = process.env.STATE_FILE || '/tmp/absalom-activity.json';
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3847';
+const { loadAuthConfig } = require('../knowledge-engine/auth');
+// POST /state needs the write token when the server has one configured
+const TOKEN = process.env.ABSALOM_TOKEN || loadAuthConfig().writeToken;
 const POLL_INTERVAL = 500; // ms
 
 let lastState = 'idle';
@@ -25,7 +28,10 @@ function pushState(mode) {
   
   const req = http.request(`${SERVER_URL}/state`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' }
+    headers: {
+      'Content-Type': 'application/json',
+      ...(TOKEN ? { 'Authorization': `Bearer ${TOKEN}` } : {})
+    }
   });
   
   req.on('error', () => {}); // Ignore errors
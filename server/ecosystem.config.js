@@ -1,6 +1,7 @@
 module.exports = {
   apps: [
     {
+      // Runs the knowledge engine server; see index.js
       name: 'absalom-state',
       script: 'index.js',
       cwd: '/home/openclaw/Projects/absalom-face/server',
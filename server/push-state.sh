@@ -2,12 +2,21 @@
 # Push state to Absalom face server
 # Usage: ./push-state.sh <mode> [message]
 # Modes: idle, listening, thinking, responding
+# Auth: ABSALOM_TOKEN, or writeToken from knowledge-engine/auth.json
 
 MODE=${1:-idle}
 MESSAGE=${2:-""}
 PORT=${ABSALOM_PORT:-3847}
 HOST=${ABSALOM_HOST:-localhost}
+AUTH_FILE=${ABSALOM_AUTH_FILE:-"$(dirname "$0")/../knowledge-engine/auth.json"}
+TOKEN=${ABSALOM_TOKEN:-${ABSALOM_WRITE_TOKEN:-$(jq -r '.writeToken // empty' "$AUTH_FILE" 2>/dev/null)}}
+
+AUTH_HEADER=()
+if [ -n "$TOKEN" ]; then
+  AUTH_HEADER=(-H "Authorization: Bearer $TOKEN")
+fi
 
 curl -s -X POST "http://${HOST}:${PORT}/state" \
   -H "Content-Type: application/json" \
+  "${AUTH_HEADER[@]}" \
   -d "{\"mode\": \"$MODE\", \"message\": \"$MESSAGE\"}"
@@ -1,11 +1,11 @@
 #!/bin/bash
 # Start Absalom Face services
 
-# Start state server
-cd ~/Projects/absalom-face/server
+# Start knowledge engine (state, graph and city server) + activity watcher
+cd ~/Projects/absalom-face/knowledge-engine
 pm2 start ecosystem.config.js --update-env 2>/dev/null || {
-  node index.js &
-  node activity-watcher.js &
+  node start.js &
+  node ../server/activity-watcher.js &
 }
 
 # Start Cloudflare tunnel